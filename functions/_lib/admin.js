@@ -0,0 +1,19 @@
+// ADMIN AUTHENTICATION - Operator-only endpoints (schema migrations) require
+// "Authorization: Bearer <ADMIN_TOKEN>", where ADMIN_TOKEN is a Pages secret. Without
+// the secret configured every admin request is refused.
+
+import { constantTimeEqual } from './compare.js';
+import { getBearerToken } from './auth.js';
+
+export function isAdminConfigured(env) {
+  return typeof env.ADMIN_TOKEN === 'string' && env.ADMIN_TOKEN.length >= 32;
+}
+
+export async function isAdminRequest(request, env) {
+  if (!isAdminConfigured(env)) return false;
+
+  const token = getBearerToken(request);
+  if (!token) return false;
+
+  return await constantTimeEqual(token, env.ADMIN_TOKEN);
+}
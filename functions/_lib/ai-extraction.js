@@ -0,0 +1,272 @@
+// STRUCTURED AI EXTRACTION - Schema-checked JSON from Workers AI text models
+// The model is asked for JSON matching a schema; malformed output is repaired
+// where possible (code fences, trailing commas, single quotes, truncation) and
+// otherwise retried with the validation errors fed back to the model. Extracted
+// values are then checked against the source text so nothing the model invented
+// survives (hallucination guard).
+
+import { findAnalyte, findAnalytesInText } from './analytes.js';
+
+const DEFAULT_MODEL = '@cf/meta/llama-3.1-8b-instruct';
+
+// Expected output of the lab result extraction prompt
+export const HEALTH_PARAMETERS_SCHEMA = {
+  type: 'object',
+  required: ['healthParameters'],
+  properties: {
+    healthParameters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['parameter', 'value'],
+        properties: {
+          parameter: { type: 'string', minLength: 1 },
+          value: { type: ['string', 'number'], pattern: '^[<>]?\\s*-?\\d+(?:[.,]\\d+)?$' },
+          unit: { type: ['string', 'null'] },
+          flag: { type: ['string', 'null'] },
+          referenceRange: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+// Run a prompt until the output parses and matches the schema.
+// Returns { data, attempts, repaired } or throws after maxAttempts.
+export async function runStructuredExtraction(env, prompt, options = {}) {
+  const schema = options.schema || HEALTH_PARAMETERS_SCHEMA;
+  const maxAttempts = options.maxAttempts || 2;
+  const model = options.model || DEFAULT_MODEL;
+
+  let currentPrompt = prompt;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await env.AI.run(model, {
+      prompt: currentPrompt,
+      max_tokens: options.maxTokens || 1500,
+      temperature: 0.0,
+      response_format: { type: 'json_schema', json_schema: schema }
+    });
+
+    const raw = response?.response;
+    let parsed = null;
+    let errors = [];
+
+    try {
+      parsed = typeof raw === 'object' && raw !== null ? { data: raw, repaired: false } : parseModelJson(raw);
+      errors = validateSchema(parsed.data, schema, { itemsLenient: true });
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (parsed && errors.length === 0) {
+      return {
+        data: dropInvalidItems(parsed.data, schema),
+        attempts: attempt,
+        repaired: parsed.repaired || attempt > 1
+      };
+    }
+
+    lastError = errors.join('; ');
+    console.warn(`AI output rejected (attempt ${attempt}/${maxAttempts}): ${lastError}`);
+
+    currentPrompt = `${prompt}
+
+Your previous answer was not valid: ${lastError}
+Previous answer:
+${String(typeof raw === 'string' ? raw : JSON.stringify(raw)).slice(0, 1500)}
+
+Reply again with ONLY a JSON object matching this schema, no explanation:
+${JSON.stringify(schema)}`;
+  }
+
+  throw new Error(`AI output invalid after ${maxAttempts} attempts: ${lastError}`);
+}
+
+// Parse JSON out of a model reply, repairing common defects. Returns { data, repaired }.
+export function parseModelJson(raw) {
+  if (typeof raw !== 'string' || raw.trim().length === 0) {
+    throw new Error('empty response');
+  }
+
+  const text = raw.trim();
+  try {
+    return { data: JSON.parse(text), repaired: false };
+  } catch (error) {
+    // fall through to repair
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  let candidate = fenced ? fenced[1] : text;
+
+  const start = candidate.indexOf('{');
+  if (start === -1) throw new Error('no JSON object in response');
+  candidate = extractBalanced(candidate.slice(start));
+
+  const repaired = candidate
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/([{,]\s*)([A-Za-z_][A-Za-z0-9_]*)\s*:/g, '$1"$2":')
+    .replace(/'([^'"\\]*)'/g, '"$1"')
+    .replace(/,\s*([}\]])/g, '$1');
+
+  try {
+    return { data: JSON.parse(repaired), repaired: true };
+  } catch (error) {
+    throw new Error(`unparseable JSON (${error.message})`);
+  }
+}
+
+// The first balanced {...}, closing any brackets left open by a truncated reply
+function extractBalanced(text) {
+  const end = scanBrackets(text).end;
+  if (end !== -1) return text.slice(0, end + 1);
+
+  // Truncated: drop a dangling partial entry, then close what is still open
+  const truncated = text
+    .replace(/,\s*"[^"]*"?\s*:?\s*"?[^"{}\[\],]*$/, '')
+    .replace(/,\s*\{[^{}]*$/, '');
+  const state = scanBrackets(truncated);
+  return truncated + (state.inString ? '"' : '') + state.stack.reverse().join('');
+}
+
+// Track open brackets outside strings; end is the index closing the first object (or -1)
+function scanBrackets(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if (ch === '}' || ch === ']') {
+      stack.pop();
+      if (stack.length === 0) return { end: i, stack, inString };
+    }
+  }
+
+  return { end: -1, stack, inString };
+}
+
+// Minimal JSON schema check (type, required, properties, items, minLength, pattern, enum).
+// With itemsLenient, bad array items are left for dropInvalidItems instead of failing.
+export function validateSchema(value, schema, options = {}, path = '$') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${path} should be ${types.join(' or ')}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+  if ((typeof value === 'string' || typeof value === 'number') && schema.pattern && !new RegExp(schema.pattern).test(String(value).trim())) {
+    errors.push(`${path} has an invalid format`);
+  }
+
+  if (matchesType(value, 'object') && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, options, `${path}.${key}`));
+    });
+  }
+
+  if (Array.isArray(value) && schema.items && !options.itemsLenient) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, options, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  if (type === 'null') return value === null;
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (type === 'number') return typeof value === 'number' && isFinite(value);
+  return typeof value === type;
+}
+
+// Remove array items that fail their item schema (logged, not fatal)
+function dropInvalidItems(data, schema) {
+  const result = { ...data };
+
+  Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+    if (propertySchema.type === 'array' && propertySchema.items && Array.isArray(result[key])) {
+      result[key] = result[key].filter((item, index) => {
+        const errors = validateSchema(item, propertySchema.items, {}, `$.${key}[${index}]`);
+        if (errors.length > 0) console.warn(`AI item dropped: ${errors.join('; ')}`);
+        return errors.length === 0;
+      });
+    }
+  });
+
+  return result;
+}
+
+// Hallucination guard: the value must appear verbatim in the source, and we score how
+// well the source supports it. Returns { grounded, confidence, line, reason }.
+export function groundParameter(param, sourceText) {
+  const value = String(param.value).replace(/^[<>]\s*/, '').trim();
+  const lines = String(sourceText || '').split(/\n+/);
+
+  // "5.4" is also accepted where the report prints a decimal comma ("5,4")
+  const variants = Array.from(new Set([value, value.replace('.', ',')]));
+  const valueSource = `(?<![\\d.,])(?:${variants.map(escapeRegExp).join('|')})(?![\\d]|[.,]\\d)`;
+  const valuePattern = new RegExp(valueSource);
+
+  if (!lines.some(line => valuePattern.test(line))) {
+    return { grounded: false, confidence: 0, line: null, reason: `value ${value} not found in source text` };
+  }
+
+  const analyte = findAnalyte(param.parameter);
+  const supporting = lines.find(line => {
+    if (!valuePattern.test(line)) return false;
+    const mentioned = analyte
+      ? findAnalytesInText(line).some(mention => mention.analyte === analyte)
+      : line.toLowerCase().includes(String(param.parameter).toLowerCase());
+    return mentioned && !isOnlyInRange(line, valueSource);
+  });
+
+  if (!supporting) {
+    // The number exists, but never next to this test's name (or only as a range bound)
+    return { grounded: false, confidence: 0, line: null, reason: `value ${value} not found on a ${param.parameter} line` };
+  }
+
+  let confidence = 0.65;
+  if (param.unit && supporting.toLowerCase().includes(String(param.unit).toLowerCase())) confidence += 0.1;
+  if (param.referenceRange && supporting.includes(String(param.referenceRange).trim())) confidence += 0.05;
+  if (analyte) confidence += 0.05;
+
+  return { grounded: true, confidence: Math.round(confidence * 100) / 100, line: supporting.trim(), reason: null };
+}
+
+// True when every occurrence of the value on the line is part of a reference range ("<200", "70-99")
+function isOnlyInRange(line, valueSource) {
+  const occurrences = new RegExp(valueSource, 'g');
+  let match;
+  while ((match = occurrences.exec(line)) !== null) {
+    const before = line.slice(0, match.index);
+    const after = line.slice(match.index + match[0].length);
+    const inRange = /(?:[<>≤≥]=?|\d\s*(?:-|–|to))\s*$/.test(before) || /^\s*(?:-|–|to)\s*\d/.test(after);
+    if (!inRange) return false;
+  }
+  return true;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
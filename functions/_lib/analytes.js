@@ -0,0 +1,582 @@
+// ANALYTE CATALOG - Single source of truth for the lab tests we recognise
+// Every entry is keyed by its display name (what gets stored in health_parameters)
+// and carries the synonyms labs print, the LOINC code, the category used by the
+// dashboard, the canonical unit, a plausible value range (in the canonical unit,
+// used to reject mis-captured numbers), a default adult reference interval
+// used only when a report does not print its own, and critical (panic) limits
+// where labs commonly define them. Sex-specific intervals are written
+// "Male: ...; Female: ..." and chosen by the patient's sex; low/high span both.
+
+export const ANALYTES = [
+  // ===== Lipid panel =====
+  {
+    name: 'Total Cholesterol',
+    synonyms: ['total cholesterol', 'cholesterol, total', 'cholesterol total', 'cholesterol', 'tc'],
+    loinc: '2093-3',
+    category: 'Cardiovascular',
+    unit: 'mg/dL',
+    plausibleRange: [50, 1000],
+    reference: { low: null, high: 200, text: '<200 mg/dL' }
+  },
+  {
+    name: 'LDL Cholesterol',
+    synonyms: ['ldl cholesterol', 'ldl-cholesterol', 'cholesterol, ldl', 'cholesterol ldl', 'ldl-c', 'ldl calculated', 'ldl calc', 'ldl direct', 'ldl'],
+    loinc: '13457-7',
+    category: 'Cardiovascular',
+    unit: 'mg/dL',
+    plausibleRange: [5, 600],
+    reference: { low: null, high: 100, text: '<100 mg/dL' }
+  },
+  {
+    name: 'HDL Cholesterol',
+    synonyms: ['hdl cholesterol', 'hdl-cholesterol', 'cholesterol, hdl', 'cholesterol hdl', 'hdl-c', 'hdl'],
+    loinc: '2085-9',
+    category: 'Cardiovascular',
+    unit: 'mg/dL',
+    plausibleRange: [5, 200],
+    reference: { low: 40, high: null, text: '>40 mg/dL' }
+  },
+  {
+    name: 'Non-HDL Cholesterol',
+    synonyms: ['non-hdl cholesterol', 'non hdl cholesterol', 'non-hdl-c', 'non-hdl', 'cholesterol, non-hdl'],
+    loinc: '43396-1',
+    category: 'Cardiovascular',
+    unit: 'mg/dL',
+    plausibleRange: [20, 800],
+    reference: { low: null, high: 130, text: '<130 mg/dL' }
+  },
+  {
+    name: 'VLDL Cholesterol',
+    synonyms: ['vldl cholesterol', 'vldl-cholesterol', 'cholesterol, vldl', 'vldl'],
+    loinc: '13458-5',
+    category: 'Cardiovascular',
+    unit: 'mg/dL',
+    plausibleRange: [1, 300],
+    reference: { low: 5, high: 40, text: '5-40 mg/dL' }
+  },
+  {
+    name: 'Triglycerides',
+    synonyms: ['triglycerides', 'triglyceride', 'trigs', 'tg'],
+    loinc: '2571-8',
+    category: 'Cardiovascular',
+    unit: 'mg/dL',
+    plausibleRange: [10, 5000],
+    reference: { low: null, high: 150, text: '<150 mg/dL' }
+  },
+
+  // ===== Glucose metabolism =====
+  {
+    name: 'HbA1c',
+    synonyms: ['hba1c', 'hb a1c', 'hemoglobin a1c', 'haemoglobin a1c', 'glycated hemoglobin', 'glycated haemoglobin', 'glycohemoglobin', 'a1c'],
+    loinc: '4548-4',
+    category: 'Metabolic',
+    unit: '%',
+    plausibleRange: [3.0, 20.0],
+    reference: { low: null, high: 5.7, text: '<5.7%' }
+  },
+  {
+    name: 'Glucose',
+    synonyms: ['fasting glucose', 'glucose, fasting', 'fasting blood glucose', 'fasting plasma glucose', 'blood glucose', 'glucose', 'fbg', 'fpg'],
+    loinc: '2345-7',
+    category: 'Metabolic',
+    unit: 'mg/dL',
+    plausibleRange: [10, 1500],
+    reference: { low: 70, high: 99, text: '70-99 mg/dL' },
+    critical: { low: 50, high: 400 }
+  },
+  {
+    name: 'Insulin',
+    synonyms: ['fasting insulin', 'insulin, fasting', 'insulin'],
+    loinc: '20448-7',
+    category: 'Metabolic',
+    unit: 'uIU/mL',
+    plausibleRange: [0.1, 500],
+    reference: { low: 2.6, high: 24.9, text: '2.6-24.9 uIU/mL' }
+  },
+
+  // ===== Liver function =====
+  {
+    name: 'ALT',
+    synonyms: ['alt', 'alt (sgpt)', 'sgpt', 'alanine aminotransferase', 'alanine transaminase'],
+    loinc: '1742-6',
+    category: 'Liver Function',
+    unit: 'U/L',
+    plausibleRange: [1, 5000],
+    reference: { low: 7, high: 55, text: '7-55 U/L' }
+  },
+  {
+    name: 'AST',
+    synonyms: ['ast', 'ast (sgot)', 'sgot', 'aspartate aminotransferase', 'aspartate transaminase'],
+    loinc: '1920-8',
+    category: 'Liver Function',
+    unit: 'U/L',
+    plausibleRange: [1, 5000],
+    reference: { low: 8, high: 48, text: '8-48 U/L' }
+  },
+  {
+    name: 'Alkaline Phosphatase',
+    synonyms: ['alkaline phosphatase', 'alk phos', 'alk. phos.', 'alp'],
+    loinc: '6768-6',
+    category: 'Liver Function',
+    unit: 'U/L',
+    plausibleRange: [5, 3000],
+    reference: { low: 40, high: 129, text: '40-129 U/L' }
+  },
+  {
+    name: 'GGT',
+    synonyms: ['ggt', 'gamma gt', 'gamma-glutamyl transferase', 'gamma glutamyl transferase', 'gamma-glutamyltransferase'],
+    loinc: '2324-2',
+    category: 'Liver Function',
+    unit: 'U/L',
+    plausibleRange: [1, 3000],
+    reference: { low: 8, high: 61, text: '8-61 U/L' }
+  },
+  {
+    name: 'Total Bilirubin',
+    synonyms: ['total bilirubin', 'bilirubin, total', 'bilirubin total', 'bilirubin'],
+    loinc: '1975-2',
+    category: 'Liver Function',
+    unit: 'mg/dL',
+    plausibleRange: [0.05, 50],
+    reference: { low: 0.1, high: 1.2, text: '0.1-1.2 mg/dL' }
+  },
+  {
+    name: 'Albumin',
+    synonyms: ['albumin', 'albumin, serum', 'serum albumin'],
+    loinc: '1751-7',
+    category: 'Liver Function',
+    unit: 'g/dL',
+    plausibleRange: [1.0, 7.0],
+    reference: { low: 3.5, high: 5.0, text: '3.5-5.0 g/dL' }
+  },
+  {
+    name: 'Total Protein',
+    synonyms: ['total protein', 'protein, total', 'protein total'],
+    loinc: '2885-2',
+    category: 'Liver Function',
+    unit: 'g/dL',
+    plausibleRange: [2.0, 15.0],
+    reference: { low: 6.0, high: 8.3, text: '6.0-8.3 g/dL' }
+  },
+
+  // ===== Kidney function =====
+  {
+    name: 'Creatinine',
+    synonyms: ['creatinine', 'creatinine, serum', 'serum creatinine'],
+    loinc: '2160-0',
+    category: 'Kidney Function',
+    unit: 'mg/dL',
+    plausibleRange: [0.1, 20.0],
+    reference: { low: 0.6, high: 1.3, text: 'Male: 0.7-1.3; Female: 0.6-1.1 mg/dL' }
+  },
+  {
+    name: 'BUN',
+    synonyms: ['bun', 'blood urea nitrogen', 'urea nitrogen', 'urea nitrogen (bun)'],
+    loinc: '3094-0',
+    category: 'Kidney Function',
+    unit: 'mg/dL',
+    plausibleRange: [1, 300],
+    reference: { low: 7, high: 20, text: '7-20 mg/dL' }
+  },
+  {
+    name: 'eGFR',
+    synonyms: ['egfr', 'estimated gfr', 'gfr, estimated', 'egfr non-afr. american', 'egfr (ckd-epi)', 'gfr'],
+    loinc: '33914-3',
+    category: 'Kidney Function',
+    unit: 'mL/min/1.73m2',
+    plausibleRange: [1, 200],
+    reference: { low: 60, high: null, text: '>60 mL/min/1.73m2' }
+  },
+  {
+    name: 'Uric Acid',
+    synonyms: ['uric acid', 'urate'],
+    loinc: '3084-1',
+    category: 'Kidney Function',
+    unit: 'mg/dL',
+    plausibleRange: [0.5, 25],
+    reference: { low: 2.6, high: 7.2, text: 'Male: 3.5-7.2; Female: 2.6-6.0 mg/dL' }
+  },
+
+  // ===== Electrolytes and minerals =====
+  {
+    name: 'Sodium',
+    synonyms: ['sodium', 'sodium, serum', 'na+'],
+    loinc: '2951-2',
+    category: 'Electrolytes',
+    unit: 'mmol/L',
+    plausibleRange: [90, 200],
+    reference: { low: 135, high: 145, text: '135-145 mmol/L' },
+    critical: { low: 120, high: 160 }
+  },
+  {
+    name: 'Potassium',
+    synonyms: ['potassium', 'potassium, serum', 'k+'],
+    loinc: '2823-3',
+    category: 'Electrolytes',
+    unit: 'mmol/L',
+    plausibleRange: [1.0, 10.0],
+    reference: { low: 3.5, high: 5.1, text: '3.5-5.1 mmol/L' },
+    critical: { low: 2.8, high: 6.2 }
+  },
+  {
+    name: 'Chloride',
+    synonyms: ['chloride', 'chloride, serum', 'cl-'],
+    loinc: '2075-0',
+    category: 'Electrolytes',
+    unit: 'mmol/L',
+    plausibleRange: [60, 150],
+    reference: { low: 98, high: 107, text: '98-107 mmol/L' }
+  },
+  {
+    name: 'Bicarbonate',
+    synonyms: ['bicarbonate', 'carbon dioxide, total', 'carbon dioxide', 'total co2', 'co2', 'hco3'],
+    loinc: '2028-9',
+    category: 'Electrolytes',
+    unit: 'mmol/L',
+    plausibleRange: [5, 60],
+    reference: { low: 22, high: 29, text: '22-29 mmol/L' }
+  },
+  {
+    name: 'Calcium',
+    synonyms: ['calcium', 'calcium, serum', 'calcium, total', 'total calcium'],
+    loinc: '17861-6',
+    category: 'Electrolytes',
+    unit: 'mg/dL',
+    plausibleRange: [3.0, 20.0],
+    reference: { low: 8.6, high: 10.3, text: '8.6-10.3 mg/dL' },
+    critical: { low: 6.5, high: 13.0 }
+  },
+  {
+    name: 'Magnesium',
+    synonyms: ['magnesium', 'magnesium, serum'],
+    loinc: '19123-9',
+    category: 'Electrolytes',
+    unit: 'mg/dL',
+    plausibleRange: [0.5, 10.0],
+    reference: { low: 1.7, high: 2.2, text: '1.7-2.2 mg/dL' }
+  },
+  {
+    name: 'Phosphorus',
+    synonyms: ['phosphorus', 'phosphate', 'phosphorus, inorganic'],
+    loinc: '2777-1',
+    category: 'Electrolytes',
+    unit: 'mg/dL',
+    plausibleRange: [0.5, 15.0],
+    reference: { low: 2.5, high: 4.5, text: '2.5-4.5 mg/dL' }
+  },
+
+  // ===== Complete blood count =====
+  {
+    name: 'Hemoglobin',
+    synonyms: ['hemoglobin', 'haemoglobin', 'hgb', 'hb'],
+    loinc: '718-7',
+    category: 'Hematology',
+    unit: 'g/dL',
+    plausibleRange: [2.0, 25.0],
+    reference: { low: 12.0, high: 17.5, text: 'Male: 13.5-17.5; Female: 12.0-15.5 g/dL' },
+    critical: { low: 7.0, high: 20.0 }
+  },
+  {
+    name: 'Hematocrit',
+    synonyms: ['hematocrit', 'haematocrit', 'hct', 'packed cell volume', 'pcv'],
+    loinc: '4544-3',
+    category: 'Hematology',
+    unit: '%',
+    plausibleRange: [10, 75],
+    reference: { low: 36, high: 53, text: 'Male: 41-53; Female: 36-46%' }
+  },
+  {
+    name: 'WBC',
+    synonyms: ['wbc', 'white blood cell count', 'white blood cells', 'white cell count', 'leukocytes', 'total leukocyte count'],
+    loinc: '6690-2',
+    category: 'Hematology',
+    unit: '10^3/uL',
+    plausibleRange: [0.1, 200],
+    reference: { low: 4.5, high: 11.0, text: '4.5-11.0 10^3/uL' },
+    critical: { low: 2.0, high: 30.0 }
+  },
+  {
+    name: 'RBC',
+    synonyms: ['rbc', 'red blood cell count', 'red blood cells', 'red cell count', 'erythrocytes'],
+    loinc: '789-8',
+    category: 'Hematology',
+    unit: '10^6/uL',
+    plausibleRange: [1.0, 10.0],
+    reference: { low: 4.1, high: 5.9, text: 'Male: 4.5-5.9; Female: 4.1-5.1 10^6/uL' }
+  },
+  {
+    name: 'Platelets',
+    synonyms: ['platelets', 'platelet count', 'plt', 'thrombocytes'],
+    loinc: '777-3',
+    category: 'Hematology',
+    unit: '10^3/uL',
+    plausibleRange: [5, 2000],
+    reference: { low: 150, high: 450, text: '150-450 10^3/uL' },
+    critical: { low: 50, high: 1000 }
+  },
+  {
+    name: 'MCV',
+    synonyms: ['mcv', 'mean corpuscular volume', 'mean cell volume'],
+    loinc: '787-2',
+    category: 'Hematology',
+    unit: 'fL',
+    plausibleRange: [40, 150],
+    reference: { low: 80, high: 100, text: '80-100 fL' }
+  },
+  {
+    name: 'MCH',
+    synonyms: ['mch', 'mean corpuscular hemoglobin', 'mean cell haemoglobin', 'mean cell hemoglobin'],
+    loinc: '785-6',
+    category: 'Hematology',
+    unit: 'pg',
+    plausibleRange: [10, 60],
+    reference: { low: 27, high: 33, text: '27-33 pg' }
+  },
+  {
+    name: 'MCHC',
+    synonyms: ['mchc', 'mean corpuscular hemoglobin concentration', 'mean cell haemoglobin concentration'],
+    loinc: '786-4',
+    category: 'Hematology',
+    unit: 'g/dL',
+    plausibleRange: [20, 45],
+    reference: { low: 32, high: 36, text: '32-36 g/dL' }
+  },
+  {
+    name: 'RDW',
+    synonyms: ['rdw', 'rdw-cv', 'red cell distribution width'],
+    loinc: '788-0',
+    category: 'Hematology',
+    unit: '%',
+    plausibleRange: [5, 40],
+    reference: { low: 11.5, high: 14.5, text: '11.5-14.5%' }
+  },
+
+  // ===== Thyroid =====
+  {
+    name: 'TSH',
+    synonyms: ['tsh', 'thyroid stimulating hormone', 'thyrotropin', 'tsh, 3rd generation'],
+    loinc: '3016-3',
+    category: 'Hormonal',
+    unit: 'mIU/L',
+    plausibleRange: [0.001, 200],
+    reference: { low: 0.4, high: 4.0, text: '0.4-4.0 mIU/L' }
+  },
+  {
+    name: 'Free T4',
+    synonyms: ['free t4', 't4, free', 't4 free', 'ft4', 'free thyroxine', 'thyroxine, free'],
+    loinc: '3024-7',
+    category: 'Hormonal',
+    unit: 'ng/dL',
+    plausibleRange: [0.05, 10],
+    reference: { low: 0.8, high: 1.8, text: '0.8-1.8 ng/dL' }
+  },
+  {
+    name: 'Free T3',
+    synonyms: ['free t3', 't3, free', 't3 free', 'ft3', 'free triiodothyronine', 'triiodothyronine, free'],
+    loinc: '3051-0',
+    category: 'Hormonal',
+    unit: 'pg/mL',
+    plausibleRange: [0.5, 30],
+    reference: { low: 2.3, high: 4.2, text: '2.3-4.2 pg/mL' }
+  },
+  {
+    name: 'Testosterone',
+    synonyms: ['total testosterone', 'testosterone, total', 'testosterone'],
+    loinc: '2986-8',
+    category: 'Hormonal',
+    unit: 'ng/dL',
+    plausibleRange: [1, 3000],
+    reference: { low: 15, high: 916, text: 'Male: 264-916; Female: 15-70 ng/dL' }
+  },
+
+  // ===== Vitamins and iron =====
+  {
+    name: 'Vitamin D',
+    synonyms: ['vitamin d, 25-hydroxy', '25-hydroxyvitamin d', '25-hydroxy vitamin d', '25-oh vitamin d', '25(oh)d', 'vitamin d 25-oh', 'vitamin d3', 'vitamin d'],
+    loinc: '1989-3',
+    category: 'Nutritional',
+    unit: 'ng/mL',
+    plausibleRange: [1, 300],
+    reference: { low: 30, high: 100, text: '30-100 ng/mL' }
+  },
+  {
+    name: 'Vitamin B12',
+    synonyms: ['vitamin b12', 'vitamin b-12', 'b12', 'cobalamin', 'cyanocobalamin'],
+    loinc: '2132-9',
+    category: 'Nutritional',
+    unit: 'pg/mL',
+    plausibleRange: [20, 5000],
+    reference: { low: 200, high: 900, text: '200-900 pg/mL' }
+  },
+  {
+    name: 'Folate',
+    synonyms: ['folate', 'folic acid', 'folate, serum', 'serum folate'],
+    loinc: '2284-8',
+    category: 'Nutritional',
+    unit: 'ng/mL',
+    plausibleRange: [0.5, 100],
+    reference: { low: 3.0, high: null, text: '>3.0 ng/mL' }
+  },
+  {
+    name: 'Iron',
+    synonyms: ['iron', 'iron, total', 'serum iron', 'iron, serum'],
+    loinc: '2498-4',
+    category: 'Nutritional',
+    unit: 'ug/dL',
+    plausibleRange: [5, 1000],
+    reference: { low: 60, high: 170, text: '60-170 ug/dL' }
+  },
+
+  // ===== Inflammation =====
+  {
+    name: 'hs-CRP',
+    synonyms: ['hs-crp', 'hscrp', 'high sensitivity crp', 'high-sensitivity c-reactive protein', 'c-reactive protein, high sensitivity', 'crp, high sensitivity', 'cardio crp'],
+    loinc: '30522-7',
+    category: 'Inflammatory',
+    unit: 'mg/L',
+    plausibleRange: [0.01, 300],
+    reference: { low: null, high: 1.0, text: '<1.0 mg/L' }
+  },
+  {
+    name: 'C-Reactive Protein',
+    synonyms: ['c-reactive protein', 'c reactive protein', 'crp'],
+    loinc: '1988-5',
+    category: 'Inflammatory',
+    unit: 'mg/L',
+    plausibleRange: [0.01, 500],
+    reference: { low: null, high: 3.0, text: '<3.0 mg/L' }
+  }
+];
+
+// VITAL SIGNS - Same shape as the analyte catalog, kept apart so lab text is never
+// scanned for them (short labels like "HR" or "Wt" are too ambiguous in a lab report).
+// Blood pressure is stored as "systolic/diastolic"; its limits apply to the systolic value.
+export const VITAL_SIGNS = [
+  {
+    name: 'Blood Pressure',
+    synonyms: ['blood pressure', 'bp', 'b/p', 'bp (systolic/diastolic)'],
+    loinc: '85354-9',
+    category: 'Vital Signs',
+    unit: 'mmHg',
+    plausibleRange: [50, 300],
+    reference: { low: null, high: 120, text: '<120/80 mmHg' },
+    critical: { low: 70, high: 180 }
+  },
+  {
+    name: 'Heart Rate',
+    synonyms: ['heart rate', 'pulse', 'pulse rate', 'hr', 'heart rate (bpm)'],
+    loinc: '8867-4',
+    category: 'Vital Signs',
+    unit: 'bpm',
+    plausibleRange: [20, 250],
+    reference: { low: 60, high: 100, text: '60-100 bpm' },
+    critical: { low: 40, high: 130 }
+  },
+  {
+    name: 'Weight',
+    synonyms: ['weight', 'body weight', 'wt'],
+    loinc: '29463-7',
+    category: 'Vital Signs',
+    unit: 'kg',
+    plausibleRange: [1, 400],
+    reference: { low: null, high: null, text: '' }
+  },
+  {
+    name: 'BMI',
+    synonyms: ['bmi', 'body mass index'],
+    loinc: '39156-5',
+    category: 'Vital Signs',
+    unit: 'kg/m2',
+    plausibleRange: [10, 80],
+    reference: { low: 18.5, high: 24.9, text: '18.5-24.9 kg/m2' }
+  },
+  {
+    name: 'SpO2',
+    synonyms: ['spo2', 'sp02', 'o2 sat', 'o2 saturation', 'oxygen saturation', 'pulse ox', 'pulse oximetry'],
+    loinc: '59408-5',
+    category: 'Vital Signs',
+    unit: '%',
+    plausibleRange: [50, 100],
+    reference: { low: 95, high: null, text: '>=95 %' },
+    critical: { low: 88, high: null }
+  }
+];
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/\s*:\s*$/, '')
+    .trim();
+}
+
+const BY_SYNONYM = new Map();
+ANALYTES.forEach(analyte => {
+  BY_SYNONYM.set(normalizeName(analyte.name), analyte);
+  analyte.synonyms.forEach(synonym => {
+    if (!BY_SYNONYM.has(normalizeName(synonym))) BY_SYNONYM.set(normalizeName(synonym), analyte);
+  });
+});
+
+// Longest synonyms first so "LDL Cholesterol" wins over "Cholesterol" at the same position
+const SYNONYM_SOURCE = Array.from(BY_SYNONYM.keys())
+  .sort((a, b) => b.length - a.length)
+  .map(synonym => synonym
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/ /g, '\\s+'))
+  .join('|');
+
+// Look up an analyte by name, synonym or LOINC code
+export function findAnalyte(name) {
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+
+  if (BY_SYNONYM.has(normalized)) return BY_SYNONYM.get(normalized);
+
+  const byLoinc = ANALYTES.find(analyte => analyte.loinc === normalized);
+  if (byLoinc) return byLoinc;
+
+  // Labels such as "ALT (Liver Enzyme)" or "Glucose, Serum (fasting)"
+  const matches = findAnalytesInText(normalized);
+  if (matches.length > 0 && matches[0].index <= 3) return matches[0].analyte;
+
+  return null;
+}
+
+// Look up a vital sign by exact name or synonym
+export function findVitalSign(name) {
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+  return VITAL_SIGNS.find(vital => normalizeName(vital.name) === normalized || vital.synonyms.includes(normalized)) || null;
+}
+
+// Find every analyte mention in free text: [{ analyte, matched, index, end }]
+export function findAnalytesInText(text) {
+  const pattern = new RegExp(`(?<![A-Za-z0-9])(?:${SYNONYM_SOURCE})(?![A-Za-z0-9])`, 'gi');
+  const results = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const analyte = BY_SYNONYM.get(normalizeName(match[0]));
+    if (analyte) {
+      results.push({
+        analyte: analyte,
+        matched: match[0],
+        index: match.index,
+        end: match.index + match[0].length
+      });
+    }
+  }
+
+  return results;
+}
+
+export function getAnalyteCategory(name) {
+  const analyte = findAnalyte(name);
+  return analyte ? analyte.category : null;
+}
+
+export function getDefaultReferenceRange(name) {
+  const analyte = findAnalyte(name);
+  return analyte ? analyte.reference : null;
+}
@@ -0,0 +1,17 @@
+// SESSION AUTHENTICATION - Every API route except the ones below takes an access token
+// (functions/_lib/tokens.js) as "Authorization: Bearer <token>" and nowhere else: a token
+// in a URL ends up in access logs and browser history. functions/api/_middleware.js checks
+// it once per request and hands the session to the route as context.data.session.
+
+// Session setup hands out the tokens, admin routes carry ADMIN_TOKEN instead
+const PUBLIC_ROUTES = ['/api/session', '/api/admin/'];
+
+export function isPublicRoute(pathname) {
+  return PUBLIC_ROUTES.some(route => route.endsWith('/') ? pathname.startsWith(route) : pathname === route);
+}
+
+export function getBearerToken(request) {
+  const header = request.headers.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
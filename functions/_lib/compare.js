@@ -0,0 +1,19 @@
+// CONSTANT-TIME COMPARISON - For secrets (admin token, security answer hashes, token MACs)
+// Both strings are digested first, so the time taken depends neither on where they
+// differ nor on their lengths.
+
+export async function constantTimeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const [first, second] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(String(a))),
+    crypto.subtle.digest('SHA-256', encoder.encode(String(b)))
+  ]);
+  const x = new Uint8Array(first);
+  const y = new Uint8Array(second);
+
+  let difference = 0;
+  for (let i = 0; i < x.length; i++) {
+    difference |= x[i] ^ y[i];
+  }
+  return difference === 0;
+}
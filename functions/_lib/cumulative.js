@@ -0,0 +1,146 @@
+// CUMULATIVE REPORTS - Tables with one result column per collection date
+// Patient portals print histories like
+//   Test          14/03/2025   02/01/2025   10/09/2024   Units   Reference
+//   Glucose       104 H        97           91           mg/dL   70-99
+// A header row with two or more date cells starts a cumulative table; each following
+// row is read column by column into one observation per date.
+
+import { parseReportDate } from './dates.js';
+import { parseRowTail } from './row-parser.js';
+
+const UNIT_HEADER = /^(?:units?|uom)$/i;
+const RANGE_HEADER = /^(?:ref(?:erence)?\.?\s*(?:range|interval|values?)?|normal\s*range|range|biological\s+ref(?:erence)?\.?\s*(?:interval|range)?)$/i;
+const VALUE_CELL = /^([<>]?\d+(?:[.,]\d+)?)\s*([A-Za-z*!]{1,4})?$/;
+
+// rows: layout rows ([{ page, y, cells: [{ text, x, endX }] }]).
+// Returns { tables: [{ dates, headerRow, rowIndexes }], observations: [...] } where each
+// observation is { name, date, value, flag, unit, referenceRange, rowIndex }.
+export function extractCumulativeTables(rows, options = {}) {
+  const tables = [];
+  const observations = [];
+
+  let index = 0;
+  while (index < rows.length) {
+    const header = readDateHeader(rows[index], options);
+    if (!header) {
+      index++;
+      continue;
+    }
+
+    const table = { dates: header.dateColumns.map(column => column.date), headerRow: index, rowIndexes: [index] };
+    index++;
+
+    // Body rows run until the next date header or a page break
+    while (index < rows.length && !readDateHeader(rows[index], options) && rows[index].page === rows[table.headerRow].page) {
+      const rowObservations = readBodyRow(rows[index], header);
+      if (rowObservations.length > 0) {
+        rowObservations.forEach(observation => observations.push({ ...observation, rowIndex: index }));
+        table.rowIndexes.push(index);
+      }
+      index++;
+    }
+
+    tables.push(table);
+  }
+
+  return { tables, observations };
+}
+
+// A header with at least two cells that are just a date (optionally with a time)
+function readDateHeader(row, options) {
+  if (!row || !row.cells || row.cells.length < 3) return null;
+
+  const dateColumns = [];
+  let unitColumn = null;
+  let rangeColumn = null;
+
+  row.cells.forEach((cell, cellIndex) => {
+    const text = cell.text.trim();
+    const date = cellIndex > 0 && isOnlyDate(text) ? parseReportDate(text, options) : null;
+
+    if (date) {
+      dateColumns.push({ date, center: (cell.x + cell.endX) / 2, x: cell.x, endX: cell.endX });
+    } else if (UNIT_HEADER.test(text)) {
+      unitColumn = cell;
+    } else if (RANGE_HEADER.test(text)) {
+      rangeColumn = cell;
+    }
+  });
+
+  if (dateColumns.length < 2) return null;
+  return { dateColumns, unitColumn, rangeColumn };
+}
+
+// "14/03/2025", "14-Mar-2025 08:12", "2025-03-14" - but not "Collected 14/03/2025"
+function isOnlyDate(text) {
+  return /^(?:\d{1,4}[-/.]\d{1,2}[-/.]\d{2,4}|\d{1,2}[\s\-/.]*[A-Za-z]{3,9}\.?[\s\-/.,]*\d{2,4}|[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{2,4})(?:\s+\d{1,2}:\d{2}(?::\d{2})?)?$/.test(text);
+}
+
+function readBodyRow(row, header) {
+  const [nameCell, ...rest] = row.cells;
+  if (!nameCell || !/[a-z]{2}/i.test(nameCell.text)) return [];
+
+  const values = new Map();
+  const other = [];
+  let unit = null;
+  let referenceRange = null;
+
+  rest.forEach(cell => {
+    const center = (cell.x + cell.endX) / 2;
+
+    if (header.unitColumn && overlaps(cell, header.unitColumn)) {
+      unit = cell.text;
+      return;
+    }
+    if (header.rangeColumn && overlaps(cell, header.rangeColumn)) {
+      referenceRange = cell.text;
+      return;
+    }
+
+    const column = nearestColumn(header.dateColumns, center);
+    const valueMatch = cell.text.match(VALUE_CELL);
+    if (column && valueMatch && !values.has(column.date)) {
+      values.set(column.date, { value: valueMatch[1].replace(',', '.'), flag: valueMatch[2] || null });
+    } else {
+      other.push(cell.text);
+    }
+  });
+
+  // Without Units/Reference headers, whatever follows the values is "[unit] [range]"
+  if (other.length > 0 && (!unit || !referenceRange)) {
+    const tail = parseRowTail(other.join(' '));
+    unit = unit || tail.unit;
+    referenceRange = referenceRange || tail.referenceRange;
+  }
+
+  return Array.from(values.entries()).map(([date, reading]) => ({
+    name: nameCell.text.replace(/[\s:.]+$/, '').trim(),
+    date: date,
+    value: reading.value,
+    flag: reading.flag,
+    unit: unit,
+    referenceRange: referenceRange
+  }));
+}
+
+// Closest date column, as long as the cell sits within that column's share of the row
+function nearestColumn(columns, center) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  columns.forEach((column, index) => {
+    const distance = Math.abs(column.center - center);
+    const neighbour = columns[index + 1] || columns[index - 1];
+    const reach = neighbour ? Math.abs(neighbour.center - column.center) / 2 : (column.endX - column.x);
+    if (distance <= Math.max(reach, column.endX - column.x) && distance < bestDistance) {
+      best = column;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+}
+
+function overlaps(cell, headerCell) {
+  return cell.x < headerCell.endX + 2 && cell.endX > headerCell.x - 2;
+}
@@ -0,0 +1,283 @@
+// REPORT DATES - Find collection / reported / printed dates in lab report text
+// Handles ISO dates, numeric DD/MM/YYYY and MM/DD/YYYY (disambiguated per document),
+// "14-Mar-2025 08:12", "3 March 2025", "March 3rd, 2025". Returns null rather than
+// guessing when no date is printed, so the client can ask the user.
+
+import { UNIT_PATTERN } from './units.js';
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+  may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9,
+  september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const YEAR = '(\\d{4}|\\d{2})';
+
+// Each format returns { year, month, day, ambiguous } from its match
+const DATE_FORMATS = [
+  {
+    name: 'iso',
+    pattern: '(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})',
+    groups: 3,
+    read: m => ({ year: m[0], month: m[1], day: m[2] })
+  },
+  {
+    name: 'day-month-name',
+    pattern: `${DAY}[\\s\\-/.]*${MONTH_NAME}[\\s\\-/.,]*${YEAR}`,
+    groups: 3,
+    read: m => ({ year: m[2], month: MONTHS[m[1].toLowerCase()], day: m[0] })
+  },
+  {
+    name: 'month-name-day',
+    pattern: `${MONTH_NAME}[\\s\\-/.]*${DAY},?[\\s\\-/.]*${YEAR}`,
+    groups: 3,
+    read: m => ({ year: m[2], month: MONTHS[m[0].toLowerCase()], day: m[1] })
+  },
+  {
+    // Both separators the same: "13.5-17.5" is a reference range, not 13 May 2017
+    name: 'numeric',
+    pattern: '(\\d{1,2})(?<numericSeparator>[-/.])(\\d{1,2})\\k<numericSeparator>(\\d{4}|\\d{2})',
+    groups: 4,
+    read: (m, dayFirst) => {
+      const first = parseInt(m[0], 10);
+      const second = parseInt(m[2], 10);
+      if (first > 12) return { year: m[3], month: second, day: first };
+      if (second > 12) return { year: m[3], month: first, day: second };
+      if (first === second) return { year: m[3], month: first, day: second };
+      return dayFirst
+        ? { year: m[3], month: second, day: first, ambiguous: true }
+        : { year: m[3], month: first, day: second, ambiguous: true };
+    }
+  }
+];
+
+const DATE_PATTERN = new RegExp(
+  `(?<![\\d])(?:${DATE_FORMATS.map(format => `(${format.pattern})`).join('|')})(?![\\d])`,
+  'gi'
+);
+
+const NUMERIC_DATE = /^\d{1,2}([-/.])\d{1,2}\1(?:\d{4}|\d{2})$/;
+
+// A result value with its unit, or a reference range ("13.5-17.5", "70 - 99")
+const RESULT_VALUE = new RegExp(`\\d(?:[.,]\\d+)?\\s*(?:${UNIT_PATTERN.source}|[-–]\\s*\\d)`, 'i');
+
+// Labels that precede a date, most specific first
+const DATE_LABELS = [
+  { kind: 'ignore', pattern: /(?:d\.?o\.?b\.?|date\s+of\s+birth|birth\s*date|born)\s*[:\-]?\s*$/i },
+  { kind: 'collection', pattern: /(?:collect(?:ed|ion)(?:\s+(?:date|on|at))?|date\s+(?:of\s+)?collection|specimen\s+(?:collected|date)|sample\s+(?:collected|taken|date)|drawn(?:\s+on)?|draw\s+date|date\s+drawn)\s*(?:date|time|on|at)?\s*[:\-]?\s*$/i },
+  { kind: 'received', pattern: /(?:received(?:\s+(?:date|on|at))?|date\s+received|registered(?:\s+on)?)\s*[:\-]?\s*$/i },
+  { kind: 'reported', pattern: /(?:report(?:ed)?(?:\s+(?:date|on|at))?|date\s+reported|result(?:ed)?\s+date|resulted(?:\s+on)?|verified(?:\s+on)?|authori[sz]ed(?:\s+on)?|released(?:\s+on)?|final\s+report(?:\s+date)?)\s*[:\-]?\s*$/i },
+  { kind: 'printed', pattern: /(?:print(?:ed)?(?:\s+(?:date|on|at))?|date\s+printed|generated(?:\s+on)?|run\s+date)\s*[:\-]?\s*$/i },
+  { kind: 'test', pattern: /(?:test\s+date|date\s+of\s+(?:test|service)|service\s+date|visit\s+date|date)\s*[:\-]?\s*$/i }
+];
+
+const BASE_CONFIDENCE = {
+  collection: 0.95,
+  test: 0.85,
+  received: 0.75,
+  reported: 0.7,
+  printed: 0.5,
+  unlabeled: 0.35
+};
+
+// Which labelled date stands in for "the test date", in order of preference
+const TEST_DATE_PRIORITY = ['collection', 'test', 'received', 'reported', 'printed', 'unlabeled'];
+
+// Find all dates in the text. Ambiguous numeric dates (03/04/2025) follow the order used
+// by unambiguous dates in the same document, then options.dayFirst (a locale hint).
+export function detectReportDates(text, options = {}) {
+  const source = String(text || '');
+  const inferred = inferDayFirst(source);
+  const hinted = typeof options.dayFirst === 'boolean' ? options.dayFirst : null;
+  const dayFirst = inferred !== null ? inferred : Boolean(hinted);
+  const ambiguityPenalty = inferred !== null ? 0.05 : hinted !== null ? 0.1 : 0.2;
+  const today = options.today || new Date();
+  const found = [];
+
+  for (const match of findDates(source)) {
+    const parsed = readMatch(match, dayFirst);
+    if (!parsed || !isPlausibleDate(parsed.date, today)) continue;
+
+    const kind = labelFor(source, match.index);
+    if (kind === 'ignore') continue;
+    // Without a label, a date on a line of results is more likely a misread value
+    if (kind === 'unlabeled' && isResultRow(source, match)) continue;
+
+    let confidence = BASE_CONFIDENCE[kind];
+    if (parsed.ambiguous) confidence -= ambiguityPenalty;
+
+    found.push({
+      kind: kind,
+      date: parsed.date,
+      raw: match[0],
+      format: parsed.format,
+      ambiguous: Boolean(parsed.ambiguous),
+      confidence: Math.round(confidence * 100) / 100
+    });
+  }
+
+  const byKind = {};
+  found.forEach(entry => {
+    if (!byKind[entry.kind]) byKind[entry.kind] = entry;
+  });
+
+  const bestKind = TEST_DATE_PRIORITY.find(kind => byKind[kind]);
+  const best = bestKind ? byKind[bestKind] : null;
+
+  return {
+    testDate: best ? best.date : null,
+    testDateSource: best ? best.kind : null,
+    confidence: best ? best.confidence : 0,
+    collectionDate: byKind.collection || null,
+    reportedDate: byKind.reported || null,
+    printedDate: byKind.printed || null,
+    receivedDate: byKind.received || null,
+    dayFirst: dayFirst,
+    candidates: found
+  };
+}
+
+// Split a multi-report document into sections, one per labelled collection (or test,
+// received, reported) date. lines is the report text split into lines; returns
+// [{ start, end, date, dateSource }] (end exclusive). A document with fewer than two
+// distinct dates of the same kind is a single section with date null.
+export function splitReportSections(lines, options = {}) {
+  const today = options.today || new Date();
+  const markers = [];
+
+  lines.forEach((line, index) => {
+    for (const match of findDates(String(line))) {
+      const parsed = readMatch(match, Boolean(options.dayFirst));
+      if (!parsed || !isPlausibleDate(parsed.date, today)) continue;
+
+      const kind = labelFor(line, match.index);
+      if (kind !== 'ignore' && kind !== 'unlabeled') markers.push({ line: index, kind: kind, date: parsed.date });
+    }
+  });
+
+  const single = [{ start: 0, end: lines.length, date: null, dateSource: null }];
+
+  const boundaryKind = TEST_DATE_PRIORITY.find(kind => {
+    const dates = new Set(markers.filter(marker => marker.kind === kind).map(marker => marker.date));
+    return dates.size >= 2;
+  });
+  if (!boundaryKind) return single;
+
+  // One boundary per line; repeated dates on consecutive sections are still separate reports
+  const boundaries = markers
+    .filter(marker => marker.kind === boundaryKind)
+    .filter((marker, index, all) => index === 0 || marker.line !== all[index - 1].line);
+
+  return boundaries.map((marker, index) => ({
+    // Lines above the first date (lab letterhead, patient block) belong to the first report
+    start: index === 0 ? 0 : sectionStart(lines, boundaries[index - 1].line, marker.line),
+    end: index + 1 < boundaries.length ? sectionStart(lines, marker.line, boundaries[index + 1].line) : lines.length,
+    date: marker.date,
+    dateSource: boundaryKind
+  }));
+}
+
+// A report's header block usually starts a few lines above its date label: back up
+// over lines that hold no results (no digits) until the previous report's last result
+function sectionStart(lines, previousMarker, marker) {
+  let start = marker;
+  while (start - 1 > previousMarker && !/\d/.test(lines[start - 1])) start--;
+  return start;
+}
+
+// Parse a single date string to YYYY-MM-DD, or null
+export function parseReportDate(raw, options = {}) {
+  const [match] = findDates(String(raw || ''));
+  if (!match) return null;
+
+  const parsed = readMatch(match, Boolean(options.dayFirst));
+  return parsed && isPlausibleDate(parsed.date, options.today || new Date()) ? parsed.date : null;
+}
+
+// DATE_PATTERN matches, without numeric ones that are part of a range or a decimal
+// ("4.5-11.03.25", "10-12.5.2"): a range bound or a decimal digit next to them
+function findDates(text) {
+  return Array.from(text.matchAll(DATE_PATTERN)).filter(match => {
+    if (!NUMERIC_DATE.test(match[0])) return true;
+    const before = text.slice(Math.max(0, match.index - 12), match.index);
+    const after = text.slice(match.index + match[0].length, match.index + match[0].length + 12);
+    return !/\d\s*[-–]\s*$|\d[.,]$/.test(before) && !/^(?:[.,]\d|\s*[-–]\s*\d)/.test(after);
+  });
+}
+
+// The rest of the date's line holds a result value or a reference range
+function isResultRow(text, match) {
+  const lineStart = text.lastIndexOf('\n', match.index - 1) + 1;
+  const lineEnd = text.indexOf('\n', match.index);
+  const line = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd);
+  const offset = match.index - lineStart;
+  return RESULT_VALUE.test(`${line.slice(0, offset)} ${line.slice(offset + match[0].length)}`);
+}
+
+function readMatch(match, dayFirst) {
+  let offset = 1;
+
+  for (const format of DATE_FORMATS) {
+    if (match[offset] !== undefined) {
+      const groups = match.slice(offset + 1, offset + 1 + format.groups);
+      const parts = format.read(groups, dayFirst);
+      const date = toIsoDate(parts.year, parts.month, parts.day);
+      return date ? { date: date, format: format.name, ambiguous: parts.ambiguous } : null;
+    }
+    offset += format.groups + 1;
+  }
+
+  return null;
+}
+
+function toIsoDate(yearText, monthValue, dayValue) {
+  let year = parseInt(yearText, 10);
+  const month = parseInt(monthValue, 10);
+  const day = parseInt(dayValue, 10);
+
+  if (String(yearText).length === 2) year += year < 70 ? 2000 : 1900;
+  if (!month || month < 1 || month > 12 || !day || day < 1) return null;
+
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (day > daysInMonth) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Lab results from before 1990 or from the future are misreads (or birth dates)
+function isPlausibleDate(isoDate, today) {
+  const year = parseInt(isoDate.slice(0, 4), 10);
+  const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  return year >= 1990 && isoDate <= tomorrow;
+}
+
+// Look at the text just before the date on the same line for a label
+function labelFor(text, index) {
+  const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+  const before = text.slice(Math.max(lineStart, index - 60), index).replace(/\t/g, ' ');
+
+  for (const label of DATE_LABELS) {
+    if (label.pattern.test(before)) return label.kind;
+  }
+
+  return 'unlabeled';
+}
+
+// Any numeric date with a first part over 12 means the lab writes DD/MM.
+// Returns null when no numeric date in the document settles it.
+function inferDayFirst(text) {
+  let dayFirst = 0;
+  let monthFirst = 0;
+
+  for (const match of findDates(text)) {
+    const parts = match[0].match(NUMERIC_DATE) && match[0].split(/[-/.]/);
+    if (!parts) continue;
+    if (parseInt(parts[0], 10) > 12) dayFirst++;
+    if (parseInt(parts[1], 10) > 12) monthFirst++;
+  }
+
+  if (dayFirst === monthFirst) return null;
+  return dayFirst > monthFirst;
+}
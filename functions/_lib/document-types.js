@@ -0,0 +1,93 @@
+// DOCUMENT TYPES - What kind of health document was uploaded
+// Each type scores the cues it typically prints (titles weigh most); the highest score
+// wins and picks the extractors run by extract.js. Lab reports also score the catalog
+// analytes they mention, so an untitled table of results is still a lab report.
+
+import { findAnalytesInText } from './analytes.js';
+
+export const DOCUMENT_TYPES = {
+  lab_report: 'Lab Results',
+  vitals: 'Vital Signs',
+  discharge_summary: 'Discharge Summary',
+  prescription: 'Prescription',
+  imaging: 'Imaging Report'
+};
+
+// [pattern, weight] per type
+const CUES = {
+  lab_report: [
+    [/\b(?:laboratory|lab)\s+(?:report|results?)\b/i, 3],
+    [/\breference\s+(?:range|interval)\b/i, 2],
+    [/\b(?:specimen|sample)\s+(?:type|collected|received)\b/i, 1],
+    [/\bcollect(?:ed|ion)\s+(?:date|on)\b/i, 1],
+    [/\b(?:serum|plasma|whole\s+blood|urine)\b/i, 1]
+  ],
+  vitals: [
+    [/\bvital\s+signs?\b|\bvitals\b/i, 3],
+    [/\bblood\s+pressure\b|\bb\/?p\s*[:=]?\s*\d{2,3}\/\d{2,3}/i, 2],
+    [/\b(?:heart\s+rate|pulse)\b/i, 1],
+    [/\bsp[o0]2\b|\boxygen\s+saturation\b/i, 1],
+    [/\bbmi\b|\bbody\s+mass\s+index\b/i, 1],
+    [/\b(?:respiratory\s+rate|temperature)\b/i, 1]
+  ],
+  discharge_summary: [
+    [/\bdischarge\s+summary\b/i, 5],
+    [/\b(?:admission|admit|discharge)\s+date\b/i, 2],
+    [/\bhospital\s+course\b/i, 3],
+    [/\bdischarge\s+(?:diagnos[ie]s|medications|instructions)\b/i, 2],
+    [/\bchief\s+complaint\b|\bfollow[\s-]?up\b/i, 1]
+  ],
+  prescription: [
+    [/\bprescription\b|(?:^|\n)\s*rx\b/i, 3],
+    [/\bsig\s*:/i, 2],
+    [/\b(?:refills?|dispense|disp\.?)\s*[:#]/i, 2],
+    [/\bprescrib(?:er|ed\s+by)\b|\bdea\s*#?/i, 2],
+    [/\b\d+(?:\.\d+)?\s*(?:mg|mcg|ml)\s+(?:tablet|tab|capsule|cap)s?\b/i, 1],
+    [/\b(?:once|twice|three\s+times)\s+(?:a\s+)?daily\b|\b(?:bid|tid|qid|qd|prn)\b/i, 1]
+  ],
+  imaging: [
+    [/\b(?:radiology|imaging)\s+report\b/i, 4],
+    [/\bimpression\s*:/i, 2],
+    [/\bfindings\s*:/i, 1],
+    [/\btechnique\s*:|\bcontrast\b/i, 1],
+    [/\b(?:x-?ray|radiograph|ct\s+scan|computed\s+tomography|mri|magnetic\s+resonance|ultrasound|sonograph|mammogra(?:m|phy)|echocardiogra(?:m|phy))\b/i, 2],
+    [/\bradiologist\b/i, 2]
+  ]
+};
+
+// { type, label, confidence, scores } - lab_report when nothing stands out
+export function classifyDocument(text) {
+  const source = String(text || '');
+  const scores = {};
+
+  Object.entries(CUES).forEach(([type, cues]) => {
+    scores[type] = cues.reduce((total, [pattern, weight]) => total + (pattern.test(source) ? weight : 0), 0);
+  });
+
+  // Every distinct catalog analyte is evidence of lab results (capped so a long panel does not drown a title)
+  const analytes = new Set(findAnalytesInText(source).map(mention => mention.analyte.name));
+  scores.lab_report += Math.min(analytes.size, 6);
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [bestType, bestScore] = ranked[0];
+  const runnerUp = ranked[1][1];
+
+  if (bestScore === 0) {
+    return { type: 'lab_report', label: DOCUMENT_TYPES.lab_report, confidence: 0.3, scores };
+  }
+
+  const confidence = Math.round(Math.min(0.99, 0.5 + (bestScore - runnerUp) / (bestScore * 2)) * 100) / 100;
+  return { type: bestType, label: DOCUMENT_TYPES[bestType], confidence, scores };
+}
+
+// Modality and the radiologist's impression of an imaging report
+export function summarizeImagingReport(text) {
+  const source = String(text || '');
+  const modality = source.match(/\b(x-?ray|radiograph|ct|computed\s+tomography|mri|magnetic\s+resonance|ultrasound|sonograph\w*|mammogra\w+|echocardiogra\w+)\b/i);
+  const impression = source.match(/\bimpression\s*:\s*([\s\S]*?)(?:\n\s*\n|\n[A-Z][A-Za-z ]{2,30}:|$)/i);
+
+  return {
+    modality: modality ? modality[1] : null,
+    impression: impression ? impression[1].replace(/\s+/g, ' ').trim() : null
+  };
+}
@@ -0,0 +1,63 @@
+// IDS AND TOKENS - Every identifier, token and salt the platform mints
+// All of them come from crypto.getRandomValues. Session tokens (the key a user's health
+// data hangs off) and refresh tokens carry 256 bits; record IDs carry 128 bits, so none
+// can be guessed or enumerated. IDs are "<prefix>_<base62>" with the prefix naming the type.
+
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// 62^43 > 2^256, 62^22 > 2^128
+const TOKEN_LENGTH = 43;
+const ID_LENGTH = 22;
+
+export const ID_TYPES = {
+  session: { prefix: 'anon', length: TOKEN_LENGTH },
+  document: { prefix: 'doc', length: ID_LENGTH },
+  parameter: { prefix: 'param', length: ID_LENGTH },
+  medication: { prefix: 'med', length: ID_LENGTH },
+  reextraction: { prefix: 'reext', length: ID_LENGTH },
+  edit: { prefix: 'edit', length: ID_LENGTH },
+  log: { prefix: 'log', length: ID_LENGTH },
+  deviceAccess: { prefix: 'access', length: ID_LENGTH },
+  failedAttempt: { prefix: 'fail', length: ID_LENGTH },
+  refreshToken: { prefix: 'rt', length: TOKEN_LENGTH },
+  tokenFamily: { prefix: 'fam', length: ID_LENGTH }
+};
+
+export function generateId(type) {
+  const spec = ID_TYPES[type];
+  if (!spec) {
+    throw new Error(`Unknown ID type: ${type}`);
+  }
+  return `${spec.prefix}_${randomString(spec.length)}`;
+}
+
+export function generateSessionToken() {
+  return generateId('session');
+}
+
+// Per-user salt for the security answer hashes and the document key derivation (128 bits)
+export function generateSalt() {
+  return randomString(ID_LENGTH);
+}
+
+// The ID type a prefixed ID belongs to, or null
+export function getIdType(id) {
+  const prefix = String(id || '').split('_')[0];
+  const entry = Object.entries(ID_TYPES).find(([, spec]) => spec.prefix === prefix);
+  return entry ? entry[0] : null;
+}
+
+// Uniform base62 string: bytes of 248 and above are rejected so every character is
+// equally likely (248 = 4 * 62). getRandomValues fills at most 65536 bytes per call.
+export function randomString(length) {
+  let result = '';
+  while (result.length < length) {
+    const bytes = crypto.getRandomValues(new Uint8Array(Math.min((length - result.length) * 2, 65536)));
+    for (let i = 0; i < bytes.length && result.length < length; i++) {
+      if (bytes[i] < 248) {
+        result += ALPHABET[bytes[i] % 62];
+      }
+    }
+  }
+  return result;
+}
@@ -0,0 +1,178 @@
+// LOGIN THROTTLING - Brute-force protection for session verification
+// Attempts are counted per email hash and per device (the client fingerprint, or a hash of
+// the client IP when there is none) in login_throttles before any answer is checked, so a
+// burst of parallel requests cannot slip through between a check and a count; every failed
+// attempt is also kept in failed_attempts. The first FREE_FAILURES attempts cost nothing,
+// after that each one makes the caller wait BASE_DELAY_SECONDS doubled per further attempt,
+// and LOCKOUT_FAILURES attempts lock the email or device for LOCKOUT_SECONDS. A successful
+// verification clears both counters; a counter also starts over RESET_AFTER_SECONDS after
+// its last attempt. Counters and audit rows older than that are deleted as new ones are
+// written, so neither table grows with every email and device ever tried.
+
+import { generateId } from './ids.js';
+
+export const THROTTLE_POLICY = {
+  FREE_FAILURES: 3,
+  BASE_DELAY_SECONDS: 30,
+  LOCKOUT_FAILURES: 10,
+  LOCKOUT_SECONDS: 60 * 60,
+  RESET_AFTER_SECONDS: 24 * 60 * 60
+};
+
+const MAX_SUBJECT_LENGTH = 256;
+
+// Seconds the caller has to wait after failureCount consecutive failures
+export function getBackoffSeconds(failureCount, policy = THROTTLE_POLICY) {
+  if (failureCount <= policy.FREE_FAILURES) return 0;
+  if (failureCount >= policy.LOCKOUT_FAILURES) return policy.LOCKOUT_SECONDS;
+  return Math.min(policy.BASE_DELAY_SECONDS * 2 ** (failureCount - policy.FREE_FAILURES - 1), policy.LOCKOUT_SECONDS);
+}
+
+// The counters one verify request is charged against. Without a fingerprint the device
+// falls back to the client IP - a shared 'unknown' device would let one caller lock out
+// everybody without a fingerprint.
+export async function getThrottleSubjects(userEmailHash, deviceFingerprint, request) {
+  const subjects = [{ scope: 'email', subject: String(userEmailHash).slice(0, MAX_SUBJECT_LENGTH) }];
+
+  if (deviceFingerprint && deviceFingerprint !== 'unknown') {
+    subjects.push({ scope: 'device', subject: `fp:${String(deviceFingerprint).slice(0, MAX_SUBJECT_LENGTH)}` });
+  } else {
+    const ip = request && request.headers.get('CF-Connecting-IP');
+    if (ip) subjects.push({ scope: 'device', subject: `ip:${await sha256Hex(ip)}` });
+  }
+
+  return subjects;
+}
+
+// Count one attempt against every subject, before the answers are checked. Each count is
+// a single upsert that refuses to touch a row still waiting out its delay, so of two
+// parallel requests only one can get through. Returns { allowed: true, throttle } with the
+// strictest throttle that applies should this attempt fail, or { allowed: false, throttle }
+// with the one that turned it away - subjects before it have counted the attempt.
+export async function registerAttempt(env, subjects, now = new Date(), policy = THROTTLE_POLICY) {
+  const timestamp = now.toISOString();
+  const resetBefore = new Date(now.getTime() - policy.RESET_AFTER_SECONDS * 1000).toISOString();
+  const schedule = getLockSchedule(now, policy);
+  const throttles = [];
+
+  await env.DB.prepare(`
+    DELETE FROM login_throttles WHERE last_failure_at < ? AND (locked_until IS NULL OR locked_until <= ?)
+  `).bind(resetBefore, timestamp).run();
+
+  for (const { scope, subject } of subjects) {
+    const row = await env.DB.prepare(`
+      INSERT INTO login_throttles (scope, subject, failure_count, first_failure_at, last_failure_at, locked_until)
+      VALUES (?1, ?2, 1, ?3, ?3, ${lockedUntilSql('1', schedule)})
+      ON CONFLICT (scope, subject) DO UPDATE SET
+        failure_count = CASE WHEN login_throttles.last_failure_at < ?4 THEN 1 ELSE login_throttles.failure_count + 1 END,
+        first_failure_at = CASE WHEN login_throttles.last_failure_at < ?4 THEN excluded.first_failure_at ELSE login_throttles.first_failure_at END,
+        last_failure_at = excluded.last_failure_at,
+        locked_until = CASE WHEN login_throttles.last_failure_at < ?4 THEN ${lockedUntilSql('1', schedule)}
+          ELSE ${lockedUntilSql('login_throttles.failure_count + 1', schedule)} END
+      WHERE login_throttles.locked_until IS NULL OR login_throttles.locked_until <= ?3 OR login_throttles.last_failure_at < ?4
+      RETURNING failure_count, locked_until
+    `).bind(scope, subject, timestamp, resetBefore, ...schedule.map(entry => entry.lockedUntil)).first();
+
+    if (!row) {
+      const blocking = await env.DB.prepare(`
+        SELECT failure_count, locked_until FROM login_throttles WHERE scope = ? AND subject = ?
+      `).bind(scope, subject).first();
+      // Gone already if a parallel verification has just succeeded and cleared it
+      return {
+        allowed: false,
+        throttle: blocking
+          ? describeThrottle(scope, blocking.failure_count, blocking.locked_until, now, policy)
+          : describeThrottle(scope, 0, null, now, policy)
+      };
+    }
+
+    throttles.push(describeThrottle(scope, row.failure_count, row.locked_until, now, policy));
+  }
+
+  return { allowed: true, throttle: pickStrictest(throttles) };
+}
+
+// Audit a failed or refused attempt; the attempt has already been counted by
+// registerAttempt. reason is 'wrong_answers', 'unknown_user' or 'throttled'.
+export async function recordFailure(env, subjects, details, throttle, now = new Date(), policy = THROTTLE_POLICY) {
+  const device = subjects.find(item => item.scope === 'device');
+  const keepAfter = new Date(now.getTime() - policy.RESET_AFTER_SECONDS * 1000).toISOString();
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM failed_attempts WHERE created_at < ?').bind(keepAfter),
+    env.DB.prepare(`
+      INSERT INTO failed_attempts (attempt_id, user_email_hash, device, reason, failure_count, retry_after, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      generateId('failedAttempt'),
+      details.userEmailHash,
+      device ? device.subject : null,
+      details.reason,
+      throttle ? throttle.failureCount : null,
+      throttle ? throttle.retryAt : null,
+      now.toISOString()
+    )
+  ]);
+}
+
+export async function clearFailures(env, subjects) {
+  await env.DB.batch(subjects.map(({ scope, subject }) => env.DB.prepare(`
+    DELETE FROM login_throttles WHERE scope = ? AND subject = ?
+  `).bind(scope, subject)));
+}
+
+// Error for the session handler: status 429 with a code the client can act on
+export function createThrottleError(throttle) {
+  const retryAt = new Date(throttle.retryAt);
+  const error = new Error(throttle.locked
+    ? `Too many failed attempts. Verification is locked until ${retryAt.toISOString()}.`
+    : `Too many failed attempts. Please wait ${throttle.retryAfterSeconds} seconds before trying again.`);
+  error.status = 429;
+  error.code = throttle.locked ? 'VERIFY_LOCKED' : 'VERIFY_THROTTLED';
+  error.retryAt = throttle.retryAt;
+  error.retryAfterSeconds = throttle.retryAfterSeconds;
+  return error;
+}
+
+function describeThrottle(scope, failureCount, lockedUntil, now, policy = THROTTLE_POLICY) {
+  const retryAfterSeconds = lockedUntil ? Math.max(0, Math.ceil((new Date(lockedUntil).getTime() - now.getTime()) / 1000)) : 0;
+  return {
+    scope: scope,
+    failureCount: failureCount,
+    locked: failureCount >= policy.LOCKOUT_FAILURES,
+    retryAt: lockedUntil,
+    retryAfterSeconds: retryAfterSeconds,
+    attemptsBeforeLockout: Math.max(0, policy.LOCKOUT_FAILURES - failureCount)
+  };
+}
+
+function pickStrictest(throttles) {
+  return throttles.reduce((strictest, throttle) => {
+    if (!strictest) return throttle;
+    if (throttle.retryAfterSeconds !== strictest.retryAfterSeconds) {
+      return throttle.retryAfterSeconds > strictest.retryAfterSeconds ? throttle : strictest;
+    }
+    return throttle.attemptsBeforeLockout < strictest.attemptsBeforeLockout ? throttle : strictest;
+  }, null);
+}
+
+// locked_until for each attempt count that carries a delay, bound as ?5, ?6, ... - the
+// count is only known inside the upsert
+function getLockSchedule(now, policy) {
+  const schedule = [];
+  for (let count = policy.FREE_FAILURES + 1; count <= policy.LOCKOUT_FAILURES; count++) {
+    schedule.push({ count: count, lockedUntil: new Date(now.getTime() + getBackoffSeconds(count, policy) * 1000).toISOString() });
+  }
+  return schedule;
+}
+
+function lockedUntilSql(countSql, schedule) {
+  if (schedule.length === 0) return 'NULL';
+  const last = schedule.length - 1;
+  const cases = schedule.map((entry, index) => `WHEN ${countSql} ${index === last ? '>=' : '='} ${entry.count} THEN ?${index + 5}`);
+  return `CASE ${cases.join(' ')} ELSE NULL END`;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,115 @@
+// MANUAL ENTRY - Validate a health parameter typed or corrected by the user
+// Catalog tests (analytes and vital signs) get the same checks as extracted values: a
+// numeric result, a unit that converts to the catalog unit and a plausible value. The
+// status is then derived exactly as extraction does, so a corrected row trends and
+// flags like any other. Tests outside the catalog only need a name and a number.
+
+import { findAnalyte, findVitalSign } from './analytes.js';
+import { normalizeMeasurement } from './units.js';
+import { parseReferenceRange, deriveStatus } from './reference-range.js';
+import { bloodPressureStatus } from './vitals.js';
+
+const NUMERIC_VALUE = /^[<>≤≥]?\s*\d+(?:[.,]\d+)?$/;
+const BLOOD_PRESSURE_VALUE = /^(\d{2,3})\s*\/\s*(\d{2,3})$/;
+
+// { parameter, value, unit, referenceRange, status, category, catalog } - throws on invalid input
+export function validateManualParameter(input) {
+  const name = String(input.parameter || '').trim();
+  const value = String(input.value ?? '').trim();
+  const unit = String(input.unit || '').trim();
+  const referenceRange = String(input.referenceRange || '').trim();
+
+  if (!name) {
+    throw new Error('Parameter name required');
+  }
+  if (name.length > 100) {
+    throw new Error('Parameter name is too long');
+  }
+  if (!value) {
+    throw new Error(`Value required for ${name}`);
+  }
+
+  const entry = findAnalyte(name) || findVitalSign(name);
+
+  if (entry && entry.name === 'Blood Pressure') {
+    return validateBloodPressure(entry, value, unit, referenceRange);
+  }
+
+  if (!NUMERIC_VALUE.test(value)) {
+    throw new Error(`Value for ${entry ? entry.name : name} must be a number`);
+  }
+
+  const printedRange = referenceRange ? parseReferenceRange(referenceRange) : null;
+  if (referenceRange && !printedRange) {
+    throw new Error(`Reference range "${referenceRange}" is not understood (use e.g. "70-99", "<200" or ">40")`);
+  }
+
+  if (!entry) {
+    return {
+      parameter: name,
+      value: value,
+      unit: unit,
+      referenceRange: referenceRange,
+      status: deriveStatus(value, printedRange),
+      category: null,
+      catalog: false
+    };
+  }
+
+  const measurement = normalizeMeasurement(entry.name, value, unit);
+  if (measurement.canonicalUnit !== entry.unit) {
+    throw new Error(`${unit} is not a unit for ${entry.name} (use ${entry.unit} or a convertible unit)`);
+  }
+
+  const [minValue, maxValue] = entry.plausibleRange;
+  if (measurement.canonicalValue === null || measurement.canonicalValue < minValue || measurement.canonicalValue > maxValue) {
+    throw new Error(`${value} ${measurement.unit} is outside the plausible range for ${entry.name} (${minValue}-${maxValue} ${entry.unit})`);
+  }
+
+  // Same rules as extraction: an entered range is in the entered unit, the catalog range
+  // and critical limits are in the canonical unit
+  const catalogRange = printedRange ? null : parseReferenceRange(entry.reference.text);
+  let status = printedRange
+    ? deriveStatus(value, printedRange)
+    : deriveStatus(measurement.canonicalValue, catalogRange);
+  if (deriveStatus(measurement.canonicalValue, null, null, entry.critical) === 'Critical') {
+    status = 'Critical';
+  }
+
+  return {
+    parameter: entry.name,
+    value: value,
+    unit: measurement.unit,
+    referenceRange: printedRange ? referenceRange : entry.reference.text,
+    status: status,
+    category: entry.category,
+    catalog: true
+  };
+}
+
+// Blood pressure is entered as "systolic/diastolic" in mmHg
+function validateBloodPressure(entry, value, unit, referenceRange) {
+  const match = value.match(BLOOD_PRESSURE_VALUE);
+  if (!match) {
+    throw new Error('Blood pressure must be entered as systolic/diastolic, e.g. 120/80');
+  }
+  if (unit && unit.replace(/\s+/g, '').toLowerCase() !== 'mmhg') {
+    throw new Error(`${unit} is not a unit for Blood Pressure (use mmHg)`);
+  }
+
+  const systolic = parseInt(match[1], 10);
+  const diastolic = parseInt(match[2], 10);
+  if (systolic <= diastolic || systolic < entry.plausibleRange[0] || systolic > entry.plausibleRange[1] || diastolic < 20 || diastolic > 200) {
+    throw new Error(`${value} mmHg is not a plausible blood pressure`);
+  }
+
+  return {
+    parameter: entry.name,
+    value: `${systolic}/${diastolic}`,
+    unit: 'mmHg',
+    referenceRange: referenceRange || entry.reference.text,
+    status: bloodPressureStatus(systolic, diastolic),
+    category: entry.category,
+    catalog: true
+  };
+}
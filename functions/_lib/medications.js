@@ -0,0 +1,191 @@
+// MEDICATIONS - Drug name, strength, route, frequency and start date from
+// prescriptions and discharge medication lists
+// Known drugs are matched anywhere in the text; other names only inside a medication
+// list ("Discharge Medications:", "Rx:") and only when a strength follows them.
+// The drug class tells risk assessment and analysis which results the drug moves
+// (a statin lowers LDL, metformin lowers glucose and B12, diuretics shift potassium).
+
+import { parseReportDate } from './dates.js';
+import { debugLog } from './phi.js';
+
+export const MEDICATION_CLASSES = {
+  statin: { label: 'Statin', affects: ['Total Cholesterol', 'LDL Cholesterol', 'ALT', 'AST'] },
+  cholesterol_absorption_inhibitor: { label: 'Cholesterol absorption inhibitor', affects: ['LDL Cholesterol'] },
+  biguanide: { label: 'Biguanide (metformin)', affects: ['Glucose', 'HbA1c', 'Vitamin B12'] },
+  sulfonylurea: { label: 'Sulfonylurea', affects: ['Glucose', 'HbA1c'] },
+  sglt2_inhibitor: { label: 'SGLT2 inhibitor', affects: ['Glucose', 'HbA1c', 'eGFR'] },
+  glp1_agonist: { label: 'GLP-1 receptor agonist', affects: ['Glucose', 'HbA1c', 'Weight'] },
+  insulin: { label: 'Insulin', affects: ['Glucose', 'HbA1c', 'Potassium'] },
+  ace_inhibitor: { label: 'ACE inhibitor', affects: ['Blood Pressure', 'Potassium', 'Creatinine'] },
+  arb: { label: 'Angiotensin receptor blocker', affects: ['Blood Pressure', 'Potassium', 'Creatinine'] },
+  beta_blocker: { label: 'Beta blocker', affects: ['Blood Pressure', 'Heart Rate'] },
+  calcium_channel_blocker: { label: 'Calcium channel blocker', affects: ['Blood Pressure'] },
+  thiazide_diuretic: { label: 'Thiazide diuretic', affects: ['Blood Pressure', 'Potassium', 'Sodium', 'Uric Acid', 'Glucose'] },
+  loop_diuretic: { label: 'Loop diuretic', affects: ['Blood Pressure', 'Potassium', 'Sodium', 'Creatinine'] },
+  potassium_sparing_diuretic: { label: 'Potassium-sparing diuretic', affects: ['Blood Pressure', 'Potassium'] },
+  thyroid_hormone: { label: 'Thyroid hormone', affects: ['TSH', 'Free T4', 'Free T3'] },
+  anticoagulant: { label: 'Anticoagulant', affects: ['Hemoglobin'] },
+  antiplatelet: { label: 'Antiplatelet', affects: ['Hemoglobin', 'Platelets'] },
+  proton_pump_inhibitor: { label: 'Proton pump inhibitor', affects: ['Magnesium', 'Vitamin B12', 'Iron'] },
+  corticosteroid: { label: 'Corticosteroid', affects: ['Glucose', 'WBC', 'Blood Pressure'] },
+  vitamin_d: { label: 'Vitamin D supplement', affects: ['Vitamin D', 'Calcium'] },
+  iron_supplement: { label: 'Iron supplement', affects: ['Iron', 'Ferritin', 'Hemoglobin'] }
+};
+
+// Generic name -> class
+const KNOWN_MEDICATIONS = {
+  atorvastatin: 'statin', rosuvastatin: 'statin', simvastatin: 'statin', pravastatin: 'statin', lovastatin: 'statin', pitavastatin: 'statin',
+  ezetimibe: 'cholesterol_absorption_inhibitor',
+  metformin: 'biguanide',
+  glipizide: 'sulfonylurea', glimepiride: 'sulfonylurea', glyburide: 'sulfonylurea', gliclazide: 'sulfonylurea',
+  empagliflozin: 'sglt2_inhibitor', dapagliflozin: 'sglt2_inhibitor', canagliflozin: 'sglt2_inhibitor',
+  semaglutide: 'glp1_agonist', liraglutide: 'glp1_agonist', dulaglutide: 'glp1_agonist', tirzepatide: 'glp1_agonist',
+  'insulin glargine': 'insulin', 'insulin lispro': 'insulin', 'insulin aspart': 'insulin', 'insulin detemir': 'insulin', insulin: 'insulin',
+  lisinopril: 'ace_inhibitor', enalapril: 'ace_inhibitor', ramipril: 'ace_inhibitor', perindopril: 'ace_inhibitor', benazepril: 'ace_inhibitor',
+  losartan: 'arb', valsartan: 'arb', irbesartan: 'arb', candesartan: 'arb', telmisartan: 'arb', olmesartan: 'arb',
+  metoprolol: 'beta_blocker', atenolol: 'beta_blocker', carvedilol: 'beta_blocker', bisoprolol: 'beta_blocker', propranolol: 'beta_blocker', nebivolol: 'beta_blocker',
+  amlodipine: 'calcium_channel_blocker', nifedipine: 'calcium_channel_blocker', diltiazem: 'calcium_channel_blocker', verapamil: 'calcium_channel_blocker',
+  hydrochlorothiazide: 'thiazide_diuretic', chlorthalidone: 'thiazide_diuretic', indapamide: 'thiazide_diuretic',
+  furosemide: 'loop_diuretic', torsemide: 'loop_diuretic', bumetanide: 'loop_diuretic',
+  spironolactone: 'potassium_sparing_diuretic', eplerenone: 'potassium_sparing_diuretic',
+  levothyroxine: 'thyroid_hormone', liothyronine: 'thyroid_hormone',
+  warfarin: 'anticoagulant', apixaban: 'anticoagulant', rivaroxaban: 'anticoagulant', dabigatran: 'anticoagulant', edoxaban: 'anticoagulant',
+  aspirin: 'antiplatelet', clopidogrel: 'antiplatelet', ticagrelor: 'antiplatelet',
+  omeprazole: 'proton_pump_inhibitor', pantoprazole: 'proton_pump_inhibitor', esomeprazole: 'proton_pump_inhibitor', lansoprazole: 'proton_pump_inhibitor',
+  prednisone: 'corticosteroid', prednisolone: 'corticosteroid', methylprednisolone: 'corticosteroid', dexamethasone: 'corticosteroid',
+  cholecalciferol: 'vitamin_d', ergocalciferol: 'vitamin_d', 'vitamin d3': 'vitamin_d',
+  'ferrous sulfate': 'iron_supplement', 'ferrous fumarate': 'iron_supplement'
+};
+
+// Brand name -> generic name
+const BRAND_NAMES = {
+  lipitor: 'atorvastatin', crestor: 'rosuvastatin', zocor: 'simvastatin', zetia: 'ezetimibe',
+  glucophage: 'metformin', jardiance: 'empagliflozin', farxiga: 'dapagliflozin',
+  ozempic: 'semaglutide', wegovy: 'semaglutide', victoza: 'liraglutide', trulicity: 'dulaglutide', mounjaro: 'tirzepatide',
+  lantus: 'insulin glargine', humalog: 'insulin lispro', novolog: 'insulin aspart',
+  zestril: 'lisinopril', prinivil: 'lisinopril', cozaar: 'losartan', diovan: 'valsartan',
+  lopressor: 'metoprolol', toprol: 'metoprolol', norvasc: 'amlodipine', lasix: 'furosemide',
+  synthroid: 'levothyroxine', eltroxin: 'levothyroxine', coumadin: 'warfarin', eliquis: 'apixaban', xarelto: 'rivaroxaban',
+  plavix: 'clopidogrel', prilosec: 'omeprazole', nexium: 'esomeprazole', protonix: 'pantoprazole'
+};
+
+const DRUG_NAMES = Object.keys(KNOWN_MEDICATIONS).concat(Object.keys(BRAND_NAMES))
+  .sort((a, b) => b.length - a.length)
+  .map(name => name.replace(/ /g, '\\s+'))
+  .join('|');
+const DRUG_PATTERN = new RegExp(`\\b(${DRUG_NAMES})\\b`, 'i');
+
+const STRENGTH_PATTERN = /(\d+(?:[.,]\d+)?\s*(?:mg|mcg|µg|ug|g|units?|iu|ml|%)(?:\s*\/\s*\d*(?:[.,]\d+)?\s*(?:ml|tab|dose|actuation))?)(?![a-z])/i;
+
+// Printed spelling -> stored value
+const ROUTES = [
+  [/\b(?:oral(?:ly)?|by mouth|p\.?o\.?)(?![a-z])/i, 'oral'],
+  [/\b(?:intravenous(?:ly)?|i\.?v\.?)(?![a-z])/i, 'intravenous'],
+  [/\b(?:intramuscular(?:ly)?|i\.?m\.?)(?![a-z])/i, 'intramuscular'],
+  [/\b(?:subcutaneous(?:ly)?|subcut|s\.?c\.?|subq|s\.?q\.?)(?![a-z])/i, 'subcutaneous'],
+  [/\b(?:sublingual(?:ly)?|s\.?l\.?)(?![a-z])/i, 'sublingual'],
+  [/\b(?:inhaled|inhalation|inhaler|nebuli[sz]ed)\b/i, 'inhaled'],
+  [/\b(?:topical(?:ly)?|apply to skin)\b/i, 'topical'],
+  [/\b(?:transdermal|patch)\b/i, 'transdermal']
+];
+
+const FREQUENCIES = [
+  [/\b(?:four times (?:a )?daily|q\.?i\.?d\.?)(?![a-z])/i, 'four times daily'],
+  [/\b(?:three times (?:a )?daily|t\.?i\.?d\.?)(?![a-z])/i, 'three times daily'],
+  [/\b(?:twice (?:a )?daily|two times (?:a )?daily|b\.?i\.?d\.?)(?![a-z])/i, 'twice daily'],
+  [/\bevery\s+(\d{1,2})\s*(?:hours|hrs?|h)\b|\bq(\d{1,2})h\b/i, 'every $ hours'],
+  [/\b(?:at bedtime|nightly|q\.?h\.?s\.?)(?![a-z])/i, 'at bedtime'],
+  [/\b(?:every morning|q\.?a\.?m\.?)(?![a-z])/i, 'every morning'],
+  [/\b(?:once weekly|weekly|every week)\b/i, 'once weekly'],
+  [/\b(?:once (?:a )?daily|daily|every day|q\.?d\.?|o\.?d\.?)(?![a-z])/i, 'once daily'],
+  [/\b(?:as needed|p\.?r\.?n\.?)(?![a-z])/i, 'as needed']
+];
+
+const LIST_HEADER = /^\s*(?:(?:discharge|home|current|new|active)\s+)?(?:medications?|meds|medication list|prescriptions?)\s*:?\s*$|^\s*(?:discharge\s+)?medications?\s*:|^\s*rx\s*[:.]/i;
+const SECTION_END = /^\s*(?:[A-Z][A-Za-z ]{2,40}:\s*$|(?:diagnos[ie]s|allergies|follow[\s-]?up|instructions|labs?|vital signs|impression|plan)\b)/i;
+const STOPPED = /\b(?:discontinue[d]?|stop(?:ped)?|held|hold)\b/i;
+const START_DATE = /\b(?:start(?:ed|ing)?|since|begun|initiated|commenced)\s*(?:on|date)?\s*[:\-]?\s*(\d{1,4}[-/.]\d{1,2}[-/.]\d{2,4}|\d{1,2}[\s\-]*[A-Za-z]{3,9}\.?[\s\-,]*\d{2,4}|[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{2,4})/i;
+
+// Medications in the text: [{ name, drugClass, strength, route, frequency, startDate,
+// status, line, confidence }]. options.startDate is used when no start is printed
+// (the date a prescription was written); options.dayFirst as for parseReportDate.
+export function extractMedications(text, options = {}) {
+  const lines = String(text || '').split(/\n+/).map(line => line.replace(/\t+/g, '  ').trim());
+  const medications = [];
+  const seen = new Set();
+  let inList = false;
+
+  lines.forEach((line, index) => {
+    if (LIST_HEADER.test(line)) {
+      inList = true;
+      // "Rx: Metformin 500 mg" and "Medications: aspirin 81 mg" carry a drug on the header line
+      line = line.replace(/^\s*(?:[A-Za-z ]*medications?|meds|rx)\s*[:.]\s*/i, '');
+      if (!line) return;
+    } else if (inList && SECTION_END.test(line) && !DRUG_PATTERN.test(line)) {
+      inList = false;
+    }
+
+    const known = line.match(DRUG_PATTERN);
+    const listed = !known && inList ? line.match(/^(?:[-•*]|\d+[.)])?\s*([A-Za-z][A-Za-z\- ]{2,40}?)\s+(?=\d)/) : null;
+    if (!known && !(listed && STRENGTH_PATTERN.test(line))) return;
+
+    const printedName = known ? known[1] : listed[1];
+    const name = canonicalMedicationName(printedName);
+    if (seen.has(name)) return;
+
+    // "Sig:" and continuation lines right below the drug carry route and frequency
+    const detail = [line].concat(lines.slice(index + 1, index + 3).filter(next => /^\s*(?:sig|directions|take|inject|apply|inhale)\b/i.test(next))).join(' ');
+    const strength = matchStrength(line);
+    const route = matchFirst(detail, ROUTES);
+    const frequency = matchFirst(detail, FREQUENCIES);
+
+    // A drug name with no dosing at all is a mention ("no aspirin") or a lab test ("Insulin 8.2 uIU/mL")
+    if (!strength && !route && !frequency) return;
+    seen.add(name);
+
+    const drugClass = KNOWN_MEDICATIONS[name] || null;
+    const startMatch = detail.match(START_DATE);
+
+    const medication = {
+      name: name,
+      drugClass: drugClass,
+      strength: strength,
+      route: route,
+      frequency: frequency,
+      startDate: (startMatch ? parseReportDate(startMatch[1], { dayFirst: options.dayFirst }) : null) || options.startDate || null,
+      status: STOPPED.test(line) ? 'discontinued' : 'active',
+      line: line.slice(0, 200),
+      confidence: known ? 0.9 : 0.6
+    };
+
+    medications.push(medication);
+    debugLog(`💊 MEDICATION: ${medication.name} ${medication.strength || ''} ${medication.frequency || ''}`);
+  });
+
+  return medications;
+}
+
+// Lower-case generic name for a printed (possibly brand) name
+export function canonicalMedicationName(name) {
+  const normalized = String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return BRAND_NAMES[normalized] || normalized;
+}
+
+// Class details for a stored medication, or null for drugs outside the list
+export function getMedicationClass(name) {
+  const drugClass = KNOWN_MEDICATIONS[canonicalMedicationName(name)];
+  return drugClass ? { key: drugClass, ...MEDICATION_CLASSES[drugClass] } : null;
+}
+
+function matchStrength(line) {
+  const match = line.match(STRENGTH_PATTERN);
+  return match ? match[1].replace(/\s+/g, ' ').replace(',', '.').trim() : null;
+}
+
+function matchFirst(text, table) {
+  for (const [pattern, value] of table) {
+    const match = text.match(pattern);
+    if (match) return value.replace('$', match[1] || match[2] || '');
+  }
+  return null;
+}
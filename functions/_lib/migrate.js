@@ -0,0 +1,158 @@
+// SCHEMA MIGRATIONS - Build or upgrade the D1 schema from the numbered files in migrations/
+// Applied versions are recorded in schema_migrations with a checksum of their steps.
+// Steps are SQL strings or { addColumn, column, definition }, which only runs when the
+// column is missing. Tables are created with IF NOT EXISTS, so a database the old
+// setup-db endpoint patched by hand upgrades cleanly as well.
+// Each migration goes in one D1 batch together with its schema_migrations row: it is
+// applied completely or not at all, and a failure stops the run.
+
+import { MIGRATIONS } from './migrations/index.js';
+
+const TRACKING_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  checksum TEXT NOT NULL,
+  applied_at TEXT NOT NULL
+)`;
+
+// { current, latest, applied: [...], pending: [...] } - "modified" marks an applied
+// migration whose file has changed since (add a new migration instead)
+export async function getMigrationStatus(env, migrations = MIGRATIONS) {
+  validateMigrations(migrations);
+
+  const recorded = await getAppliedMigrations(env);
+  const byVersion = new Map(recorded.map(row => [row.version, row]));
+
+  const applied = [];
+  const pending = [];
+
+  for (const migration of migrations) {
+    const row = byVersion.get(migration.version);
+    if (row) {
+      applied.push({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: row.applied_at,
+        modified: row.checksum !== await checksum(migration)
+      });
+    } else {
+      pending.push({ version: migration.version, name: migration.name });
+    }
+  }
+
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied: applied,
+    pending: pending
+  };
+}
+
+// Apply every pending migration in order. With dryRun nothing is written and the report
+// lists the SQL each pending migration would run (and the columns it would skip).
+export async function runMigrations(env, options = {}) {
+  const migrations = options.migrations || MIGRATIONS;
+  const dryRun = Boolean(options.dryRun);
+  const status = await getMigrationStatus(env, migrations);
+  const pending = migrations.filter(migration => status.pending.some(item => item.version === migration.version));
+
+  const report = {
+    dryRun: dryRun,
+    from: status.current,
+    to: status.current,
+    migrations: [],
+    failed: null
+  };
+
+  if (!dryRun && pending.length > 0) {
+    await env.DB.prepare(TRACKING_TABLE).run();
+  }
+
+  for (const migration of pending) {
+    const plan = await planMigration(env, migration);
+    const entry = { version: migration.version, name: migration.name, statements: plan.statements, skipped: plan.skipped };
+
+    if (dryRun) {
+      report.migrations.push(entry);
+      continue;
+    }
+
+    try {
+      const started = Date.now();
+      await env.DB.batch([
+        ...plan.statements.map(sql => env.DB.prepare(sql)),
+        env.DB.prepare(`
+          INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)
+        `).bind(migration.version, migration.name, await checksum(migration), new Date().toISOString())
+      ]);
+
+      console.log(`✅ Migration ${migration.version} (${migration.name}) applied`);
+      report.migrations.push({ ...entry, durationMs: Date.now() - started });
+      report.to = migration.version;
+    } catch (error) {
+      console.error(`❌ Migration ${migration.version} (${migration.name}) failed:`, error.message);
+      report.failed = { version: migration.version, name: migration.name, error: error.message };
+      break;
+    }
+  }
+
+  return report;
+}
+
+// SQL for one migration against the current database; addColumn steps for columns that
+// already exist are skipped
+async function planMigration(env, migration) {
+  const statements = [];
+  const skipped = [];
+  const columns = {};
+
+  for (const step of migration.steps) {
+    if (typeof step === 'string') {
+      statements.push(step);
+      continue;
+    }
+
+    if (!columns[step.addColumn]) {
+      const info = await env.DB.prepare(`PRAGMA table_info(${step.addColumn})`).all();
+      columns[step.addColumn] = (info.results || []).map(column => column.name);
+    }
+
+    if (columns[step.addColumn].includes(step.column)) {
+      skipped.push(`${step.addColumn}.${step.column}`);
+    } else {
+      statements.push(`ALTER TABLE ${step.addColumn} ADD COLUMN ${step.column} ${step.definition}`);
+      columns[step.addColumn].push(step.column);
+    }
+  }
+
+  return { statements, skipped };
+}
+
+async function getAppliedMigrations(env) {
+  // Read-only check first, so a dry run against a fresh database writes nothing
+  const table = await env.DB.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'
+  `).first();
+  if (!table) return [];
+
+  const rows = await env.DB.prepare(`
+    SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version
+  `).all();
+  return rows.results || [];
+}
+
+function validateMigrations(migrations) {
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migration ${migration.name} has version ${migration.version}, expected ${index + 1}`);
+    }
+    if (!Array.isArray(migration.steps) || migration.steps.length === 0) {
+      throw new Error(`Migration ${migration.version} has no steps`);
+    }
+  });
+}
+
+async function checksum(migration) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(migration.steps)));
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
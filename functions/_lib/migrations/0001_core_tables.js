@@ -0,0 +1,61 @@
+// 0001 - The tables the platform was first deployed with: anonymous sessions, device
+// access, documents, their health parameters and the processing log.
+
+export default {
+  version: 1,
+  name: 'core_tables',
+  steps: [
+    `CREATE TABLE IF NOT EXISTS anonymous_sessions (
+      session_token TEXT PRIMARY KEY,
+      user_email_hash TEXT NOT NULL UNIQUE,
+      user_salt TEXT NOT NULL,
+      answer_hash_1 TEXT NOT NULL,
+      answer_hash_2 TEXT NOT NULL,
+      answer_hash_3 TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      last_activity TEXT,
+      device_fingerprint TEXT,
+      document_count INTEGER DEFAULT 0
+    )`,
+    `CREATE TABLE IF NOT EXISTS device_access (
+      access_id TEXT PRIMARY KEY,
+      user_email_hash TEXT NOT NULL,
+      device_fingerprint TEXT,
+      first_access TEXT NOT NULL,
+      last_access TEXT NOT NULL,
+      access_count INTEGER DEFAULT 1,
+      recovery_method TEXT
+    )`,
+    `CREATE TABLE IF NOT EXISTS documents (
+      document_id TEXT PRIMARY KEY,
+      session_token TEXT NOT NULL,
+      file_name TEXT,
+      document_type TEXT,
+      analysis_results TEXT,
+      parameter_count INTEGER DEFAULT 0,
+      created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS health_parameters (
+      parameter_id TEXT PRIMARY KEY,
+      session_token TEXT NOT NULL,
+      document_id TEXT,
+      parameter_name TEXT NOT NULL,
+      parameter_value TEXT,
+      parameter_unit TEXT,
+      reference_range TEXT,
+      created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS processing_logs (
+      log_id TEXT PRIMARY KEY,
+      session_token TEXT,
+      analysis_type TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_device_access_email ON device_access (user_email_hash)',
+    'CREATE INDEX IF NOT EXISTS idx_documents_session ON documents (session_token)',
+    'CREATE INDEX IF NOT EXISTS idx_health_parameters_session ON health_parameters (session_token)',
+    'CREATE INDEX IF NOT EXISTS idx_health_parameters_document ON health_parameters (document_id)',
+    'CREATE INDEX IF NOT EXISTS idx_processing_logs_session ON processing_logs (session_token)'
+  ]
+};
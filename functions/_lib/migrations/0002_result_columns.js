@@ -0,0 +1,17 @@
+// 0002 - Status, category, test date and numeric/canonical values on health parameters
+// (the columns the old setup-db endpoint patched in with ALTER TABLE). Databases that
+// already have them skip the column.
+
+export default {
+  version: 2,
+  name: 'result_columns',
+  steps: [
+    { addColumn: 'health_parameters', column: 'status', definition: "TEXT DEFAULT 'Normal'" },
+    { addColumn: 'health_parameters', column: 'category', definition: "TEXT DEFAULT 'General'" },
+    { addColumn: 'health_parameters', column: 'test_date', definition: 'TEXT' },
+    { addColumn: 'health_parameters', column: 'numeric_value', definition: 'REAL' },
+    { addColumn: 'health_parameters', column: 'canonical_value', definition: 'REAL' },
+    { addColumn: 'health_parameters', column: 'canonical_unit', definition: 'TEXT' },
+    'CREATE INDEX IF NOT EXISTS idx_health_parameters_test_date ON health_parameters (test_date)'
+  ]
+};
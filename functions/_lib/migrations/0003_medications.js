@@ -0,0 +1,22 @@
+// 0003 - Medications found in discharge summaries and prescriptions
+
+export default {
+  version: 3,
+  name: 'medications',
+  steps: [
+    `CREATE TABLE IF NOT EXISTS medications (
+      medication_id TEXT PRIMARY KEY,
+      session_token TEXT NOT NULL,
+      document_id TEXT,
+      medication_name TEXT NOT NULL,
+      drug_class TEXT,
+      strength TEXT,
+      route TEXT,
+      frequency TEXT,
+      start_date TEXT,
+      status TEXT DEFAULT 'active',
+      created_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_medications_session ON medications (session_token)'
+  ]
+};
@@ -0,0 +1,27 @@
+// 0004 - Encrypted originals in R2 and the record of each applied re-extraction
+
+export default {
+  version: 4,
+  name: 'original_documents',
+  steps: [
+    // R2 key of the encrypted original upload
+    { addColumn: 'documents', column: 'original_key', definition: 'TEXT' },
+    // SHA-256 of the plaintext, checked when the decrypted file comes back for re-extraction.
+    // Kept here rather than in the object's R2 metadata, where an unsalted digest next to
+    // the ciphertext would let anyone who can list the bucket confirm a known file is stored.
+    { addColumn: 'documents', column: 'original_sha256', definition: 'TEXT' },
+    // One row per applied re-extraction, with the before/after of every change
+    `CREATE TABLE IF NOT EXISTS document_reextractions (
+      reextraction_id TEXT PRIMARY KEY,
+      session_token TEXT NOT NULL,
+      document_id TEXT NOT NULL,
+      added_count INTEGER DEFAULT 0,
+      changed_count INTEGER DEFAULT 0,
+      removed_count INTEGER DEFAULT 0,
+      unchanged_count INTEGER DEFAULT 0,
+      changes TEXT,
+      created_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_document_reextractions_session ON document_reextractions (session_token)'
+  ]
+};
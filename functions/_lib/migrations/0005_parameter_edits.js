@@ -0,0 +1,22 @@
+// 0005 - One row per manual edit (update/add/delete) of a health parameter
+
+export default {
+  version: 5,
+  name: 'parameter_edits',
+  steps: [
+    `CREATE TABLE IF NOT EXISTS parameter_edits (
+      edit_id TEXT PRIMARY KEY,
+      session_token TEXT NOT NULL,
+      parameter_id TEXT NOT NULL,
+      document_id TEXT,
+      edit_type TEXT NOT NULL,
+      parameter_name TEXT,
+      before_values TEXT,
+      after_values TEXT,
+      reason TEXT,
+      created_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_parameter_edits_session ON parameter_edits (session_token)',
+    'CREATE INDEX IF NOT EXISTS idx_parameter_edits_parameter ON parameter_edits (parameter_id)'
+  ]
+};
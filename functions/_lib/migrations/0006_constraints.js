@@ -0,0 +1,188 @@
+// 0006 - Foreign keys, unique and CHECK constraints, and indexes for the session/date
+// access patterns. SQLite cannot add constraints to an existing table, so each table is
+// rebuilt (create _new, copy, drop, rename). Parents are rebuilt before their children:
+// dropping an old table must never cascade into rows already copied.
+//
+// anonymous_sessions comes first, for UNIQUE (user_email_hash): tables created by the old
+// setup-db endpoint lack it, and account creation relies on it to refuse a second account
+// for the same email. Where an email has several sessions only the newest is kept, the one
+// logging in already picked.
+//
+// Rows of a session that no longer exists cannot satisfy the new foreign keys and are not
+// copied. They were already unreachable - every query filters on the current session token.
+
+// Keep in sync with PARAMETER_STATUSES in functions/api/documents.js
+const PARAMETER_STATUSES = "'Normal', 'High', 'Low', 'Critical', 'Unknown'";
+
+const SESSION = 'session_token TEXT NOT NULL REFERENCES anonymous_sessions(session_token) ON DELETE CASCADE ON UPDATE CASCADE';
+const LIVE_SESSION = 'session_token IN (SELECT session_token FROM anonymous_sessions)';
+const LIVE_DOCUMENT = 'document_id IN (SELECT document_id FROM documents)';
+
+function rebuild(table, definition, copy) {
+  return [
+    `DROP TABLE IF EXISTS ${table}_new`,
+    `CREATE TABLE ${table}_new (${definition})`,
+    `INSERT INTO ${table}_new ${copy}`,
+    `DROP TABLE ${table}`,
+    `ALTER TABLE ${table}_new RENAME TO ${table}`
+  ];
+}
+
+export default {
+  version: 6,
+  name: 'constraints',
+  steps: [
+    // Checked when the batch commits, once every table has been rebuilt
+    'PRAGMA defer_foreign_keys = on',
+
+    ...rebuild('anonymous_sessions', `
+      session_token TEXT PRIMARY KEY,
+      user_email_hash TEXT NOT NULL UNIQUE,
+      user_salt TEXT NOT NULL,
+      answer_hash_1 TEXT NOT NULL,
+      answer_hash_2 TEXT NOT NULL,
+      answer_hash_3 TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      last_activity TEXT,
+      device_fingerprint TEXT,
+      document_count INTEGER DEFAULT 0
+    `, `(session_token, user_email_hash, user_salt, answer_hash_1, answer_hash_2, answer_hash_3,
+        created_at, expires_at, last_activity, device_fingerprint, document_count)
+      SELECT session_token, user_email_hash, user_salt, answer_hash_1, answer_hash_2, answer_hash_3,
+        created_at, expires_at, last_activity, device_fingerprint, document_count
+      FROM anonymous_sessions AS kept
+      WHERE NOT EXISTS (
+        SELECT 1 FROM anonymous_sessions AS newer
+        WHERE newer.user_email_hash = kept.user_email_hash
+          AND (newer.created_at > kept.created_at OR (newer.created_at = kept.created_at AND newer.session_token > kept.session_token))
+      )`),
+
+    // One row per device of a user; verification bumps access_count instead of adding rows
+    ...rebuild('device_access', `
+      access_id TEXT PRIMARY KEY,
+      user_email_hash TEXT NOT NULL,
+      device_fingerprint TEXT NOT NULL DEFAULT 'unknown',
+      first_access TEXT NOT NULL,
+      last_access TEXT NOT NULL,
+      access_count INTEGER NOT NULL DEFAULT 1 CHECK (access_count > 0),
+      recovery_method TEXT,
+      UNIQUE (user_email_hash, device_fingerprint)
+    `, `(access_id, user_email_hash, device_fingerprint, first_access, last_access, access_count, recovery_method)
+      SELECT MIN(access_id), user_email_hash, COALESCE(device_fingerprint, 'unknown'), MIN(first_access),
+        MAX(last_access), MAX(SUM(COALESCE(access_count, 1)), 1), MAX(recovery_method)
+      FROM device_access GROUP BY user_email_hash, COALESCE(device_fingerprint, 'unknown')`),
+
+    ...rebuild('documents', `
+      document_id TEXT PRIMARY KEY,
+      ${SESSION},
+      file_name TEXT,
+      document_type TEXT,
+      analysis_results TEXT,
+      parameter_count INTEGER NOT NULL DEFAULT 0 CHECK (parameter_count >= 0),
+      original_key TEXT UNIQUE,
+      original_sha256 TEXT,
+      created_at TEXT NOT NULL
+    `, `(document_id, session_token, file_name, document_type, analysis_results, parameter_count, original_key, original_sha256, created_at)
+      SELECT document_id, session_token, file_name, document_type, analysis_results,
+        MAX(COALESCE(parameter_count, 0), 0), original_key, original_sha256, created_at
+      FROM documents WHERE ${LIVE_SESSION}`),
+
+    ...rebuild('health_parameters', `
+      parameter_id TEXT PRIMARY KEY,
+      ${SESSION},
+      document_id TEXT REFERENCES documents(document_id) ON DELETE CASCADE,
+      parameter_name TEXT NOT NULL,
+      parameter_value TEXT,
+      parameter_unit TEXT,
+      reference_range TEXT,
+      status TEXT NOT NULL DEFAULT 'Unknown' CHECK (status IN (${PARAMETER_STATUSES})),
+      category TEXT DEFAULT 'General',
+      test_date TEXT,
+      numeric_value REAL,
+      canonical_value REAL,
+      canonical_unit TEXT,
+      created_at TEXT NOT NULL
+    `, `(parameter_id, session_token, document_id, parameter_name, parameter_value, parameter_unit,
+        reference_range, status, category, test_date, numeric_value, canonical_value, canonical_unit, created_at)
+      SELECT parameter_id, session_token, document_id, parameter_name, parameter_value, parameter_unit, reference_range,
+        CASE lower(status) WHEN 'normal' THEN 'Normal' WHEN 'high' THEN 'High' WHEN 'low' THEN 'Low'
+          WHEN 'critical' THEN 'Critical' ELSE 'Unknown' END,
+        category, test_date, numeric_value, canonical_value, canonical_unit, created_at
+      FROM health_parameters WHERE ${LIVE_SESSION} AND (document_id IS NULL OR ${LIVE_DOCUMENT})`),
+
+    ...rebuild('medications', `
+      medication_id TEXT PRIMARY KEY,
+      ${SESSION},
+      document_id TEXT REFERENCES documents(document_id) ON DELETE CASCADE,
+      medication_name TEXT NOT NULL,
+      drug_class TEXT,
+      strength TEXT,
+      route TEXT,
+      frequency TEXT,
+      start_date TEXT,
+      status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'discontinued')),
+      created_at TEXT NOT NULL
+    `, `(medication_id, session_token, document_id, medication_name, drug_class, strength, route, frequency, start_date, status, created_at)
+      SELECT medication_id, session_token, document_id, medication_name, drug_class, strength, route, frequency, start_date,
+        CASE WHEN status = 'discontinued' THEN 'discontinued' ELSE 'active' END, created_at
+      FROM medications WHERE ${LIVE_SESSION} AND (document_id IS NULL OR ${LIVE_DOCUMENT})`),
+
+    ...rebuild('document_reextractions', `
+      reextraction_id TEXT PRIMARY KEY,
+      ${SESSION},
+      document_id TEXT NOT NULL REFERENCES documents(document_id) ON DELETE CASCADE,
+      added_count INTEGER NOT NULL DEFAULT 0 CHECK (added_count >= 0),
+      changed_count INTEGER NOT NULL DEFAULT 0 CHECK (changed_count >= 0),
+      removed_count INTEGER NOT NULL DEFAULT 0 CHECK (removed_count >= 0),
+      unchanged_count INTEGER NOT NULL DEFAULT 0 CHECK (unchanged_count >= 0),
+      changes TEXT,
+      created_at TEXT NOT NULL
+    `, `(reextraction_id, session_token, document_id, added_count, changed_count, removed_count, unchanged_count, changes, created_at)
+      SELECT reextraction_id, session_token, document_id, added_count, changed_count, removed_count, unchanged_count, changes, created_at
+      FROM document_reextractions WHERE ${LIVE_SESSION} AND ${LIVE_DOCUMENT}`),
+
+    // parameter_id is deliberately not a foreign key: the history of a deleted value is kept
+    ...rebuild('parameter_edits', `
+      edit_id TEXT PRIMARY KEY,
+      ${SESSION},
+      parameter_id TEXT NOT NULL,
+      document_id TEXT REFERENCES documents(document_id) ON DELETE CASCADE,
+      edit_type TEXT NOT NULL CHECK (edit_type IN ('update', 'add', 'delete')),
+      parameter_name TEXT,
+      before_values TEXT,
+      after_values TEXT,
+      reason TEXT,
+      created_at TEXT NOT NULL
+    `, `(edit_id, session_token, parameter_id, document_id, edit_type, parameter_name, before_values, after_values, reason, created_at)
+      SELECT edit_id, session_token, parameter_id, document_id, edit_type, parameter_name, before_values, after_values, reason, created_at
+      FROM parameter_edits WHERE ${LIVE_SESSION} AND (document_id IS NULL OR ${LIVE_DOCUMENT})
+        AND edit_type IN ('update', 'add', 'delete')`),
+
+    ...rebuild('processing_logs', `
+      log_id TEXT PRIMARY KEY,
+      ${SESSION},
+      analysis_type TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    `, `(log_id, session_token, analysis_type, created_at)
+      SELECT log_id, session_token, analysis_type, created_at
+      FROM processing_logs WHERE ${LIVE_SESSION}`),
+
+    // The old single-column indexes went with the old tables. Child foreign key columns
+    // are indexed so cascades do not scan, and the composite indexes match the queries:
+    //   getHealthRecords / getHistoricalHealthData - session, ORDER BY test_date, created_at
+    //   trends per test - session, parameter name, date
+    'CREATE INDEX IF NOT EXISTS idx_documents_session_created ON documents (session_token, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_health_parameters_session_date ON health_parameters (session_token, test_date, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_health_parameters_session_name_date ON health_parameters (session_token, parameter_name, test_date)',
+    'CREATE INDEX IF NOT EXISTS idx_health_parameters_document ON health_parameters (document_id)',
+    'CREATE INDEX IF NOT EXISTS idx_medications_session_status ON medications (session_token, status, start_date)',
+    'CREATE INDEX IF NOT EXISTS idx_medications_document ON medications (document_id)',
+    'CREATE INDEX IF NOT EXISTS idx_document_reextractions_document ON document_reextractions (document_id, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_document_reextractions_session ON document_reextractions (session_token)',
+    'CREATE INDEX IF NOT EXISTS idx_parameter_edits_parameter ON parameter_edits (parameter_id, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_parameter_edits_document ON parameter_edits (document_id, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_parameter_edits_session ON parameter_edits (session_token)',
+    'CREATE INDEX IF NOT EXISTS idx_processing_logs_session ON processing_logs (session_token, created_at)'
+  ]
+};
@@ -0,0 +1,29 @@
+// 0007 - Brute-force protection for session verification: one failure counter per email
+// hash and per device (login_throttles) and an audit row per failed attempt.
+
+export default {
+  version: 7,
+  name: 'login_throttling',
+  steps: [
+    `CREATE TABLE IF NOT EXISTS login_throttles (
+      scope TEXT NOT NULL CHECK (scope IN ('email', 'device')),
+      subject TEXT NOT NULL,
+      failure_count INTEGER NOT NULL DEFAULT 0 CHECK (failure_count >= 0),
+      first_failure_at TEXT NOT NULL,
+      last_failure_at TEXT NOT NULL,
+      locked_until TEXT,
+      PRIMARY KEY (scope, subject)
+    )`,
+    `CREATE TABLE IF NOT EXISTS failed_attempts (
+      attempt_id TEXT PRIMARY KEY,
+      user_email_hash TEXT,
+      device TEXT,
+      reason TEXT NOT NULL CHECK (reason IN ('wrong_answers', 'unknown_user', 'throttled')),
+      failure_count INTEGER,
+      retry_after TEXT,
+      created_at TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_failed_attempts_email ON failed_attempts (user_email_hash, created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_failed_attempts_device ON failed_attempts (device, created_at)'
+  ]
+};
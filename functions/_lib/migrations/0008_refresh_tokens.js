@@ -0,0 +1,24 @@
+// 0008 - Rotating refresh tokens. Only a SHA-256 of each token is stored. Every login
+// starts a family; each refresh marks the presented token used and adds its successor to
+// the family, so a used token coming back means it was copied and the family is revoked.
+
+export default {
+  version: 8,
+  name: 'refresh_tokens',
+  steps: [
+    `CREATE TABLE IF NOT EXISTS refresh_tokens (
+      token_hash TEXT PRIMARY KEY,
+      family_id TEXT NOT NULL,
+      session_token TEXT NOT NULL REFERENCES anonymous_sessions(session_token) ON DELETE CASCADE ON UPDATE CASCADE,
+      device_fingerprint TEXT,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      replaced_by TEXT,
+      revoked_at TEXT,
+      revoked_reason TEXT CHECK (revoked_reason IN ('logout', 'revoke_all', 'reuse_detected'))
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family_id)',
+    'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens (session_token, expires_at)'
+  ]
+};
@@ -0,0 +1,22 @@
+// Every migration, in order. New migrations get the next number and are added here -
+// Pages Functions are bundled, so the list cannot be read from the directory at runtime.
+
+import coreTables from './0001_core_tables.js';
+import resultColumns from './0002_result_columns.js';
+import medications from './0003_medications.js';
+import originalDocuments from './0004_original_documents.js';
+import parameterEdits from './0005_parameter_edits.js';
+import constraints from './0006_constraints.js';
+import loginThrottling from './0007_login_throttling.js';
+import refreshTokens from './0008_refresh_tokens.js';
+
+export const MIGRATIONS = [
+  coreTables,
+  resultColumns,
+  medications,
+  originalDocuments,
+  parameterEdits,
+  constraints,
+  loginThrottling,
+  refreshTokens
+];
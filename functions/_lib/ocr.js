@@ -0,0 +1,226 @@
+// OCR - Pluggable text recognition for scanned PDFs and photographed reports
+// A provider is { name, recognize(image) } where image is { data: Uint8Array, mimeType,
+// width, height, pageNumber } and the result is { text, lines?, confidence? }.
+// lines ([{ text, x, y, width, height }], image coordinates, y downwards) let us rebuild
+// table rows and columns the same way as for a PDF text layer; text-only results are
+// split on newlines and tabs.
+//
+// Providers, chosen with env.OCR_PROVIDER:
+//   'http'       - POSTs the image to env.OCR_ENDPOINT (Bearer env.OCR_API_KEY)
+//   'workers-ai' - transcribes with a Workers AI vision model (env.OCR_MODEL)
+//   'local'      - stand-in that reads text embedded in the image file itself
+//                  (PNG tEXt/iTXt "OCR" chunk or JPEG comment), for tests and fixtures
+// Without OCR_PROVIDER, 'http' is used when OCR_ENDPOINT is set, else 'workers-ai'.
+
+import { buildLayout, layoutToText } from './pdf-text.js';
+
+const DEFAULT_VISION_MODEL = '@cf/llava-hf/llava-1.5-7b-hf';
+
+const PROVIDERS = {
+  'http': createHttpProvider,
+  'workers-ai': createWorkersAIProvider,
+  'local': createLocalProvider
+};
+
+export function registerOcrProvider(name, factory) {
+  PROVIDERS[name] = factory;
+}
+
+// Provider for this environment, or null when none is configured
+export function getOcrProvider(env = {}) {
+  const name = env.OCR_PROVIDER || (env.OCR_ENDPOINT ? 'http' : env.AI ? 'workers-ai' : null);
+  if (!name) return null;
+
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown OCR provider: ${name}`);
+  }
+  return factory(env);
+}
+
+// Sniff the uploaded file type from its first bytes (the browser's MIME type is not trusted)
+export function detectFileType(bytes) {
+  if (bytes.length >= 4 && bytes[0] === 0x25 && bytes[1] === 0x50 && bytes[2] === 0x44 && bytes[3] === 0x46) return 'application/pdf';
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+  if (bytes.length >= 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'image/png';
+  return null;
+}
+
+// Run every image through the provider and merge the results into one text + layout,
+// in the same shape as extractTextFromPDF
+export async function recognizeImages(images, provider) {
+  const pages = [];
+  const rows = [];
+
+  for (const image of images) {
+    const result = await provider.recognize(image);
+    const pageRows = resultToRows(result || {});
+
+    pages.push({
+      pageNumber: image.pageNumber,
+      text: layoutToText(pageRows),
+      confidence: typeof result?.confidence === 'number' ? result.confidence : null
+    });
+    pageRows.forEach(row => rows.push({ page: image.pageNumber, ...row }));
+  }
+
+  const scored = pages.filter(page => page.confidence !== null);
+
+  return {
+    text: pages.map(page => page.text).join('\n\n').trim(),
+    pages: pages,
+    layout: { rows: rows },
+    provider: provider.name,
+    confidence: scored.length > 0
+      ? Math.round((scored.reduce((total, page) => total + page.confidence, 0) / scored.length) * 100) / 100
+      : null
+  };
+}
+
+function resultToRows(result) {
+  const lines = Array.isArray(result.lines)
+    ? result.lines.filter(line => line && typeof line.text === 'string' && typeof line.x === 'number' && typeof line.y === 'number')
+    : [];
+
+  if (lines.length > 0) {
+    // Flip y so rows sort top to bottom like PDF user space
+    const items = lines.map(line => {
+      const height = line.height || 10;
+      return {
+        text: line.text,
+        x: line.x,
+        y: -line.y,
+        endX: line.x + (line.width || line.text.length * height * 0.5),
+        fontSize: height
+      };
+    });
+    return buildLayout(items);
+  }
+
+  // Plain text: one row per line, tab/wide-gap separated cells on a synthetic grid
+  return String(result.text || '')
+    .split(/\r?\n/)
+    .map((line, index) => ({
+      y: -index * 12,
+      cells: line
+        .split(/\t| {3,}/)
+        .map(cell => cell.trim())
+        .filter(Boolean)
+        .map((text, cellIndex) => ({ text: text, x: cellIndex * 100, endX: cellIndex * 100 + 90 }))
+    }))
+    .filter(row => row.cells.length > 0);
+}
+
+// ===== Providers =====
+
+function createHttpProvider(env) {
+  if (!env.OCR_ENDPOINT) {
+    throw new Error('OCR_ENDPOINT is not configured');
+  }
+
+  return {
+    name: 'http',
+    async recognize(image) {
+      const response = await fetch(env.OCR_ENDPOINT, {
+        method: 'POST',
+        headers: {
+          'Content-Type': image.mimeType,
+          ...(env.OCR_API_KEY ? { 'Authorization': `Bearer ${env.OCR_API_KEY}` } : {})
+        },
+        body: image.data
+      });
+
+      if (!response.ok) {
+        throw new Error(`OCR service returned ${response.status}`);
+      }
+
+      const result = await response.json();
+      return {
+        text: result.text || '',
+        lines: result.lines,
+        confidence: typeof result.confidence === 'number' ? result.confidence : null
+      };
+    }
+  };
+}
+
+function createWorkersAIProvider(env) {
+  if (!env.AI) {
+    throw new Error('Workers AI binding is not available for OCR');
+  }
+
+  const model = env.OCR_MODEL || DEFAULT_VISION_MODEL;
+
+  return {
+    name: 'workers-ai',
+    async recognize(image) {
+      const response = await env.AI.run(model, {
+        image: Array.from(image.data),
+        prompt: 'Transcribe all text in this lab report image exactly as printed, one line per printed row. Separate table columns with a tab character. Do not summarise, interpret or add anything.',
+        max_tokens: 2048
+      });
+
+      // A language model transcription has no per-glyph confidence; treat it as moderate
+      return {
+        text: response?.description || response?.response || '',
+        confidence: 0.6
+      };
+    }
+  };
+}
+
+function createLocalProvider() {
+  return {
+    name: 'local',
+    async recognize(image) {
+      const text = readEmbeddedText(image.data);
+      return { text: text || '', confidence: text ? 1 : 0 };
+    }
+  };
+}
+
+// Text stored in a PNG tEXt/iTXt chunk with keyword "OCR", or a JPEG COM segment
+function readEmbeddedText(bytes) {
+  const type = detectFileType(bytes);
+  const decoder = new TextDecoder();
+
+  if (type === 'image/png') {
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+      const length = new DataView(bytes.buffer, bytes.byteOffset + offset, 4).getUint32(0);
+      const chunkType = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+      if (chunkType === 'tEXt' || chunkType === 'iTXt') {
+        const separator = data.indexOf(0);
+        const keyword = decoder.decode(data.subarray(0, separator));
+        if (keyword === 'OCR') {
+          // iTXt: keyword\0 compression flag, method, language\0, translated keyword\0, text
+          let start = separator + 1;
+          if (chunkType === 'iTXt') {
+            start += 2;
+            start = data.indexOf(0, start) + 1;
+            start = data.indexOf(0, start) + 1;
+          }
+          return decoder.decode(data.subarray(start));
+        }
+      }
+      offset += 12 + length;
+    }
+  }
+
+  if (type === 'image/jpeg') {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+      if (marker === 0xfe) {
+        return decoder.decode(bytes.subarray(offset + 4, offset + 2 + length));
+      }
+      if (marker === 0xda) break;
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,64 @@
+// STORED ORIGINALS - Checks shared by /api/originals and document re-extraction
+// Originals are encrypted in the browser, so the server never reads them from R2; the
+// client sends the decrypted file back and we only accept it when its SHA-256 matches
+// the hash recorded on the document row (documents.original_sha256) at upload. The hash
+// is never stored next to the ciphertext in the bucket.
+
+// document: { document_id, original_key, original_sha256 }
+export async function verifyOriginal(env, document, file) {
+  if (!env.DOCUMENTS) {
+    throw new Error('Document storage is not configured');
+  }
+  if (!document.original_key) {
+    throw new Error('No original stored for this document');
+  }
+  if (!file || typeof file === 'string') {
+    throw new Error('Decrypted original file required');
+  }
+
+  const object = await env.DOCUMENTS.head(document.original_key);
+  if (!object) {
+    throw new Error('Original file not found in storage');
+  }
+
+  const sha256 = await sha256Hex(await file.arrayBuffer());
+  if (!document.original_sha256 || sha256 !== document.original_sha256) {
+    throw new Error('File does not match the stored original');
+  }
+
+  return object.customMetadata || {};
+}
+
+// Every encrypted original of the given sessions, before their rows are deleted: the keys
+// on their document rows and anything else under "<session token>/", such as an upload
+// whose key never reached D1
+export async function deleteSessionOriginals(env, sessionTokens) {
+  if (!env.DOCUMENTS || sessionTokens.length === 0) return 0;
+
+  const keys = new Set();
+  for (const sessionToken of sessionTokens) {
+    const documents = await env.DB.prepare(`
+      SELECT original_key FROM documents WHERE session_token = ? AND original_key IS NOT NULL
+    `).bind(sessionToken).all();
+    (documents.results || []).forEach(document => keys.add(document.original_key));
+
+    let cursor;
+    do {
+      const listed = await env.DOCUMENTS.list({ prefix: `${sessionToken}/`, cursor: cursor });
+      listed.objects.forEach(object => keys.add(object.key));
+      cursor = listed.truncated ? listed.cursor : undefined;
+    } while (cursor);
+  }
+
+  // R2 deletes at most 1000 keys per call
+  const all = Array.from(keys);
+  for (let start = 0; start < all.length; start += 1000) {
+    await env.DOCUMENTS.delete(all.slice(start, start + 1000));
+  }
+  return all.length;
+}
+
+export async function sha256Hex(buffer) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,1157 @@
+// PDF TEXT EXTRACTION - Dependency-free PDF parser for lab reports
+// Walks the PDF object graph directly (no pdf.js on the Workers runtime):
+// inflates FlateDecode streams, unpacks object streams, decodes literal/hex
+// strings through ToUnicode CMaps, and follows the text positioning operators
+// to rebuild visual rows and cells from the glyph positions.
+// Pages with no text layer (scans) are flagged and their images exported so the
+// caller can run them through OCR.
+
+const MAX_FORM_DEPTH = 5;
+
+// Most bytes all FlateDecode streams of one document may inflate to. A few KB of deflate
+// can expand to gigabytes, so decompression stops here and the document is rejected.
+const MAX_INFLATED_BYTES = 64 * 1024 * 1024;
+
+// A page with less text than this that draws an image is treated as a scan
+const IMAGE_ONLY_MAX_CHARS = 20;
+
+export async function extractTextFromPDF(bytes) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const pdf = bytesToBinaryString(data);
+
+  if (!pdf.startsWith('%PDF')) {
+    throw new Error('File is not a PDF document');
+  }
+
+  const objects = await parseObjects(pdf);
+  const encrypted = /\/Encrypt\s+(?:\d+\s+\d+\s+R|<<)/.test(pdf);
+  const pageRefs = findPageObjects(objects);
+
+  const pages = [];
+  for (const pageNum of pageRefs) {
+    const page = objects.get(pageNum);
+    const resources = resolve(objects, inheritedAttribute(objects, page.value, 'Resources')) || {};
+    const contents = await getPageContents(objects, page.value);
+    const items = [];
+    const images = [];
+    await interpretContent(objects, contents, resources, IDENTITY, items, 0, images);
+    pages.push({ pageNumber: pages.length + 1, items, images });
+  }
+
+  // No page tree found (broken or fragmentary file) - interpret every content-like stream
+  if (pages.length === 0) {
+    const items = [];
+    for (const obj of objects.values()) {
+      if (!obj.stream || (isDict(obj.value) && obj.value.Type === 'XObject')) continue;
+      const decoded = await decodeStream(objects, obj);
+      if (decoded && /\bBT\b/.test(decoded)) {
+        await interpretContent(objects, decoded, {}, IDENTITY, items, 0);
+      }
+    }
+    pages.push({ pageNumber: 1, items, images: [] });
+  }
+
+  const layouts = pages.map(page => buildLayout(page.items));
+  const pageTexts = layouts.map(rows => layoutToText(rows));
+
+  // Export the largest image of every page that has no usable text layer
+  const pageImages = [];
+  for (const [index, page] of pages.entries()) {
+    if (pageTexts[index].replace(/\s+/g, '').length >= IMAGE_ONLY_MAX_CHARS || page.images.length === 0) {
+      pageImages.push(null);
+      continue;
+    }
+    const largest = page.images.slice().sort((a, b) => b.area - a.area)[0];
+    pageImages.push(await exportImage(objects, objects.get(largest.ref), largest));
+  }
+
+  return {
+    text: pageTexts.join('\n\n').trim(),
+    pages: pages.map((page, index) => ({
+      pageNumber: page.pageNumber,
+      text: pageTexts[index],
+      itemCount: page.items.length,
+      imageOnly: page.images.length > 0 && pageTexts[index].replace(/\s+/g, '').length < IMAGE_ONLY_MAX_CHARS,
+      image: pageImages[index]
+    })),
+    layout: {
+      rows: layouts.flatMap((rows, index) => rows.map(row => ({ page: index + 1, ...row })))
+    },
+    pageCount: pages.length,
+    objectCount: objects.size,
+    encrypted: encrypted
+  };
+}
+
+// ===== Low level byte helpers =====
+
+function bytesToBinaryString(bytes) {
+  let result = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return result;
+}
+
+function binaryStringToBytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) {
+    bytes[i] = str.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+// ===== Lexer =====
+
+const WHITESPACE = '\x00\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+function isWhitespace(ch) {
+  return WHITESPACE.includes(ch);
+}
+
+function isRegular(ch) {
+  return ch !== undefined && ch !== '' && !WHITESPACE.includes(ch) && !DELIMITERS.includes(ch);
+}
+
+function createLexer(source, start = 0) {
+  return { s: source, pos: start };
+}
+
+// Returns the next token: { type, value } or null at end of input
+function nextToken(lexer) {
+  const s = lexer.s;
+
+  while (lexer.pos < s.length) {
+    const ch = s[lexer.pos];
+    if (isWhitespace(ch)) {
+      lexer.pos++;
+    } else if (ch === '%') {
+      while (lexer.pos < s.length && s[lexer.pos] !== '\n' && s[lexer.pos] !== '\r') lexer.pos++;
+    } else {
+      break;
+    }
+  }
+
+  if (lexer.pos >= s.length) return null;
+
+  const ch = s[lexer.pos];
+
+  if (ch === '(') return { type: 'string', value: readLiteralString(lexer) };
+
+  if (ch === '<') {
+    if (s[lexer.pos + 1] === '<') {
+      lexer.pos += 2;
+      return { type: 'dictStart' };
+    }
+    return { type: 'string', value: readHexString(lexer), hex: true };
+  }
+
+  if (ch === '>' && s[lexer.pos + 1] === '>') {
+    lexer.pos += 2;
+    return { type: 'dictEnd' };
+  }
+
+  if (ch === '[' || ch === ']' || ch === '{' || ch === '}') {
+    lexer.pos++;
+    return { type: ch === '[' ? 'arrayStart' : ch === ']' ? 'arrayEnd' : 'brace' };
+  }
+
+  if (ch === '/') {
+    lexer.pos++;
+    let name = '';
+    while (lexer.pos < s.length && isRegular(s[lexer.pos])) {
+      if (s[lexer.pos] === '#' && /^[0-9a-fA-F]{2}$/.test(s.substr(lexer.pos + 1, 2))) {
+        name += String.fromCharCode(parseInt(s.substr(lexer.pos + 1, 2), 16));
+        lexer.pos += 3;
+      } else {
+        name += s[lexer.pos++];
+      }
+    }
+    return { type: 'name', value: name };
+  }
+
+  let word = '';
+  while (lexer.pos < s.length && isRegular(s[lexer.pos])) {
+    word += s[lexer.pos++];
+  }
+
+  if (word === '') {
+    // Stray delimiter such as a lone '>' or ')' - skip it
+    lexer.pos++;
+    return nextToken(lexer);
+  }
+
+  if (/^[+-]?(?:\d+\.?\d*|\.\d+)$/.test(word)) {
+    return { type: 'number', value: parseFloat(word), integer: /^[+-]?\d+$/.test(word) };
+  }
+
+  return { type: 'keyword', value: word };
+}
+
+function readLiteralString(lexer) {
+  const s = lexer.s;
+  let depth = 1;
+  let out = '';
+  lexer.pos++;
+
+  while (lexer.pos < s.length) {
+    const ch = s[lexer.pos++];
+
+    if (ch === '\\') {
+      const next = s[lexer.pos++];
+      switch (next) {
+        case 'n': out += '\n'; break;
+        case 'r': out += '\r'; break;
+        case 't': out += '\t'; break;
+        case 'b': out += '\b'; break;
+        case 'f': out += '\f'; break;
+        case '(': out += '('; break;
+        case ')': out += ')'; break;
+        case '\\': out += '\\'; break;
+        case '\r':
+          if (s[lexer.pos] === '\n') lexer.pos++;
+          break;
+        case '\n':
+          break;
+        default:
+          if (next >= '0' && next <= '7') {
+            let octal = next;
+            while (octal.length < 3 && s[lexer.pos] >= '0' && s[lexer.pos] <= '7') {
+              octal += s[lexer.pos++];
+            }
+            out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+          } else if (next !== undefined) {
+            out += next;
+          }
+      }
+    } else if (ch === '(') {
+      depth++;
+      out += ch;
+    } else if (ch === ')') {
+      depth--;
+      if (depth === 0) break;
+      out += ch;
+    } else {
+      out += ch;
+    }
+  }
+
+  return out;
+}
+
+function readHexString(lexer) {
+  const s = lexer.s;
+  const end = s.indexOf('>', lexer.pos);
+  const stop = end === -1 ? s.length : end;
+  let hex = s.slice(lexer.pos + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+  lexer.pos = stop + 1;
+
+  if (hex.length % 2 === 1) hex += '0';
+
+  let out = '';
+  for (let i = 0; i < hex.length; i += 2) {
+    out += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+  }
+  return out;
+}
+
+// ===== Object parser =====
+
+// References are represented as { ref: objectNumber }
+function parseValue(lexer, token = nextToken(lexer)) {
+  if (!token) return null;
+
+  switch (token.type) {
+    case 'number': {
+      if (token.integer) {
+        // Look ahead for "<num> <gen> R"
+        const save = lexer.pos;
+        const gen = nextToken(lexer);
+        if (gen && gen.type === 'number' && gen.integer) {
+          const r = nextToken(lexer);
+          if (r && r.type === 'keyword' && r.value === 'R') {
+            return { ref: token.value };
+          }
+        }
+        lexer.pos = save;
+      }
+      return token.value;
+    }
+    case 'string':
+      return token.value;
+    case 'name':
+      return token.value;
+    case 'arrayStart': {
+      const arr = [];
+      let t;
+      while ((t = nextToken(lexer)) && t.type !== 'arrayEnd') {
+        arr.push(parseValue(lexer, t));
+      }
+      return arr;
+    }
+    case 'dictStart': {
+      const dict = {};
+      let t;
+      while ((t = nextToken(lexer)) && t.type !== 'dictEnd') {
+        if (t.type !== 'name') continue;
+        dict[t.value] = parseValue(lexer);
+      }
+      return dict;
+    }
+    case 'keyword':
+      if (token.value === 'true') return true;
+      if (token.value === 'false') return false;
+      return null;
+    default:
+      return null;
+  }
+}
+
+function isDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !('ref' in value);
+}
+
+function resolve(objects, value, depth = 0) {
+  if (value && typeof value === 'object' && 'ref' in value && depth < 20) {
+    const obj = objects.get(value.ref);
+    return obj ? resolve(objects, obj.value, depth + 1) : null;
+  }
+  return value;
+}
+
+// Collects every "n g obj ... endobj" in the file, including objects packed in object streams
+async function parseObjects(pdf) {
+  const objects = new Map();
+  // Bytes inflated so far, checked against MAX_INFLATED_BYTES (see inflate)
+  objects.inflatedBytes = 0;
+  const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+
+  while ((match = objectPattern.exec(pdf)) !== null) {
+    const objNum = parseInt(match[1], 10);
+    const lexer = createLexer(pdf, match.index + match[0].length);
+
+    let value;
+    try {
+      value = parseValue(lexer);
+    } catch (error) {
+      continue;
+    }
+
+    const entry = { value: value, stream: null };
+    const save = lexer.pos;
+    const next = nextToken(lexer);
+
+    if (next && next.type === 'keyword' && next.value === 'stream') {
+      let start = lexer.pos;
+      if (pdf[start] === '\r') start++;
+      if (pdf[start] === '\n') start++;
+
+      let end = -1;
+      const length = isDict(value) ? value.Length : null;
+      if (typeof length === 'number' && /^\s*endstream/.test(pdf.substr(start + length, 20))) {
+        end = start + length;
+      } else {
+        end = pdf.indexOf('endstream', start);
+        if (end === -1) end = pdf.length;
+        // Drop the EOL that precedes "endstream"
+        if (pdf[end - 1] === '\n') end--;
+        if (pdf[end - 1] === '\r') end--;
+      }
+
+      entry.stream = pdf.slice(start, end);
+      objectPattern.lastIndex = end;
+    } else {
+      lexer.pos = save;
+      objectPattern.lastIndex = lexer.pos;
+    }
+
+    objects.set(objNum, entry);
+  }
+
+  // Unpack compressed object streams (PDF 1.5+); directly defined objects take precedence
+  for (const entry of Array.from(objects.values())) {
+    if (!entry.stream || !isDict(entry.value) || entry.value.Type !== 'ObjStm') continue;
+
+    const decoded = await decodeStream(objects, entry);
+    if (!decoded) continue;
+
+    const count = entry.value.N || 0;
+    const first = entry.value.First || 0;
+    const headerLexer = createLexer(decoded);
+    const offsets = [];
+
+    for (let i = 0; i < count; i++) {
+      const num = nextToken(headerLexer);
+      const offset = nextToken(headerLexer);
+      if (!num || !offset) break;
+      offsets.push([num.value, offset.value]);
+    }
+
+    for (const [objNum, offset] of offsets) {
+      if (objects.has(objNum)) continue;
+      try {
+        const value = parseValue(createLexer(decoded, first + offset));
+        objects.set(objNum, { value: value, stream: null });
+      } catch (error) {
+        continue;
+      }
+    }
+  }
+
+  return objects;
+}
+
+// ===== Stream filters =====
+
+async function decodeStream(objects, entry) {
+  if (entry.decoded !== undefined) return entry.decoded;
+
+  const dict = isDict(entry.value) ? entry.value : {};
+  let filters = resolve(objects, dict.Filter);
+  if (!filters) filters = [];
+  if (!Array.isArray(filters)) filters = [filters];
+
+  let data = entry.stream;
+
+  try {
+    for (const filter of filters) {
+      const name = resolve(objects, filter);
+      if (name === 'FlateDecode' || name === 'Fl') {
+        data = bytesToBinaryString(await inflate(objects, binaryStringToBytes(data)));
+      } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+        data = readHexString(createLexer('<' + data.replace(/>.*$/s, '') + '>'));
+      } else if (name === 'ASCII85Decode' || name === 'A85') {
+        data = decodeASCII85(data);
+      } else {
+        // Image codecs (DCT, JBIG2, CCITT...) carry no text
+        data = null;
+        break;
+      }
+    }
+  } catch (error) {
+    if (error.code === 'PDF_INFLATE_LIMIT') throw error;
+    data = null;
+  }
+
+  entry.decoded = data;
+  return data;
+}
+
+// Inflate a zlib stream. Many PDF writers produce streams with a bad or missing
+// Adler-32 trailer, so fall back to raw deflate and keep whatever was recovered.
+// Throws PDF_INFLATE_LIMIT once the document has inflated more than MAX_INFLATED_BYTES.
+async function inflate(objects, bytes) {
+  try {
+    return await runDecompression(objects, 'deflate', bytes, false);
+  } catch (error) {
+    if (error.code === 'PDF_INFLATE_LIMIT') throw error;
+    return await runDecompression(objects, 'deflate-raw', bytes.subarray(2), true);
+  }
+}
+
+async function runDecompression(objects, format, bytes, tolerateErrors) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  const reader = stream.getReader();
+  const chunks = [];
+  let total = 0;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      objects.inflatedBytes += value.length;
+      if (objects.inflatedBytes > MAX_INFLATED_BYTES) {
+        await reader.cancel();
+        const error = new Error(`PDF decompresses to more than ${MAX_INFLATED_BYTES / 1024 / 1024} MB`);
+        error.code = 'PDF_INFLATE_LIMIT';
+        throw error;
+      }
+      chunks.push(value);
+      total += value.length;
+    }
+  } catch (error) {
+    if (error.code === 'PDF_INFLATE_LIMIT' || !tolerateErrors || total === 0) throw error;
+  }
+
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+function decodeASCII85(data) {
+  const input = data.replace(/^<~/, '').replace(/~>.*$/s, '').replace(/\s+/g, '');
+  let out = '';
+  let group = [];
+
+  const flush = (values, outputBytes) => {
+    let num = 0;
+    for (const v of values) num = num * 85 + v;
+    const bytes = [(num >>> 24) & 0xff, (num >>> 16) & 0xff, (num >>> 8) & 0xff, num & 0xff];
+    out += String.fromCharCode(...bytes.slice(0, outputBytes));
+  };
+
+  for (const ch of input) {
+    if (ch === 'z' && group.length === 0) {
+      out += '\x00\x00\x00\x00';
+      continue;
+    }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      flush(group, 4);
+      group = [];
+    }
+  }
+
+  if (group.length > 0) {
+    const padded = group.concat([84, 84, 84, 84]).slice(0, 5);
+    flush(padded, group.length - 1);
+  }
+
+  return out;
+}
+
+// ===== Page tree =====
+
+function findPageObjects(objects) {
+  const ordered = [];
+  const seen = new Set();
+
+  const catalog = Array.from(objects.values()).find(obj => isDict(obj.value) && obj.value.Type === 'Catalog');
+  const walk = (ref, depth) => {
+    if (!ref || typeof ref !== 'object' || !('ref' in ref) || seen.has(ref.ref) || depth > 50) return;
+    seen.add(ref.ref);
+    const node = objects.get(ref.ref);
+    if (!node || !isDict(node.value)) return;
+
+    if (node.value.Type === 'Page') {
+      ordered.push(ref.ref);
+    } else {
+      const kids = resolve(objects, node.value.Kids) || [];
+      kids.forEach(kid => walk(kid, depth + 1));
+    }
+  };
+
+  if (catalog) walk(catalog.value.Pages, 0);
+
+  // Fall back to object order when there is no usable page tree
+  if (ordered.length === 0) {
+    for (const [objNum, obj] of objects) {
+      if (isDict(obj.value) && obj.value.Type === 'Page') ordered.push(objNum);
+    }
+    ordered.sort((a, b) => a - b);
+  }
+
+  return ordered;
+}
+
+function inheritedAttribute(objects, node, key) {
+  let current = node;
+  for (let depth = 0; current && depth < 50; depth++) {
+    if (current[key] !== undefined) return current[key];
+    current = resolve(objects, current.Parent);
+  }
+  return undefined;
+}
+
+async function getPageContents(objects, page) {
+  let contents = page.Contents;
+  if (!contents) return '';
+  if (!Array.isArray(contents)) {
+    const resolved = resolve(objects, contents);
+    contents = Array.isArray(resolved) ? resolved : [contents];
+  }
+
+  const parts = [];
+  for (const ref of contents) {
+    const entry = ref && ref.ref !== undefined ? objects.get(ref.ref) : null;
+    if (!entry || !entry.stream) continue;
+    const decoded = await decodeStream(objects, entry);
+    if (decoded) parts.push(decoded);
+  }
+  // Content streams may split operators across array elements, so join before interpreting
+  return parts.join('\n');
+}
+
+// ===== Fonts =====
+
+function loadFont(objects, fontRef) {
+  const entry = fontRef && fontRef.ref !== undefined ? objects.get(fontRef.ref) : null;
+  if (entry && entry.font) return entry.font;
+
+  const dict = resolve(objects, fontRef) || {};
+  const font = {
+    codeBytes: dict.Subtype === 'Type0' ? 2 : 1,
+    toUnicode: null,
+    differences: null,
+    widths: new Map(),
+    defaultWidth: dict.Subtype === 'Type0' ? 1000 : 500
+  };
+
+  // Simple font widths
+  const widths = resolve(objects, dict.Widths);
+  if (Array.isArray(widths)) {
+    const firstChar = resolve(objects, dict.FirstChar) || 0;
+    widths.forEach((w, i) => font.widths.set(firstChar + i, resolve(objects, w)));
+  }
+
+  // CID font widths from the descendant font's /W array
+  if (dict.Subtype === 'Type0') {
+    const descendants = resolve(objects, dict.DescendantFonts) || [];
+    const cidFont = resolve(objects, descendants[0]) || {};
+    if (typeof cidFont.DW === 'number') font.defaultWidth = cidFont.DW;
+    parseCIDWidths(resolve(objects, cidFont.W) || [], objects, font.widths);
+  }
+
+  const encoding = resolve(objects, dict.Encoding);
+  if (isDict(encoding) && Array.isArray(encoding.Differences)) {
+    font.differences = parseDifferences(encoding.Differences);
+  }
+
+  const toUnicodeRef = dict.ToUnicode;
+  const toUnicodeEntry = toUnicodeRef && toUnicodeRef.ref !== undefined ? objects.get(toUnicodeRef.ref) : null;
+  if (toUnicodeEntry && toUnicodeEntry.decoded) {
+    font.toUnicode = parseCMap(toUnicodeEntry.decoded);
+    if (font.toUnicode.codeBytes) font.codeBytes = font.toUnicode.codeBytes;
+  }
+
+  if (entry) entry.font = font;
+  return font;
+}
+
+// Fonts are loaded synchronously during interpretation, so decode their CMap streams up front
+async function prepareFonts(objects, resources) {
+  const fonts = resolve(objects, resources.Font) || {};
+  for (const key of Object.keys(fonts)) {
+    const dict = resolve(objects, fonts[key]) || {};
+    const toUnicodeRef = dict.ToUnicode;
+    const entry = toUnicodeRef && toUnicodeRef.ref !== undefined ? objects.get(toUnicodeRef.ref) : null;
+    if (entry && entry.stream) await decodeStream(objects, entry);
+  }
+}
+
+function parseCIDWidths(w, objects, widths) {
+  let i = 0;
+  while (i < w.length) {
+    const first = resolve(objects, w[i]);
+    const next = resolve(objects, w[i + 1]);
+    if (Array.isArray(next)) {
+      next.forEach((width, j) => widths.set(first + j, resolve(objects, width)));
+      i += 2;
+    } else {
+      const last = next;
+      const width = resolve(objects, w[i + 2]);
+      for (let cid = first; cid <= last && cid - first < 65536; cid++) widths.set(cid, width);
+      i += 3;
+    }
+  }
+}
+
+function parseDifferences(differences) {
+  const map = new Map();
+  let code = 0;
+  for (const item of differences) {
+    if (typeof item === 'number') {
+      code = item;
+    } else if (typeof item === 'string') {
+      const ch = glyphNameToUnicode(item);
+      if (ch) map.set(code, ch);
+      code++;
+    }
+  }
+  return map;
+}
+
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: "'", quoteleft: "'", parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '-',
+  period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';',
+  less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[',
+  backslash: '\\', bracketright: ']', underscore: '_', braceleft: '{', bar: '|',
+  braceright: '}', endash: '–', emdash: '—', bullet: '•', degree: '°',
+  mu: 'µ', micro: 'µ', lessequal: '≤', greaterequal: '≥',
+  plusminus: '±', multiply: '×', fi: 'fi', fl: 'fl'
+};
+
+function glyphNameToUnicode(name) {
+  if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+  const uni = name.match(/^uni([0-9A-Fa-f]{4})/);
+  if (uni) return String.fromCharCode(parseInt(uni[1], 16));
+  return null;
+}
+
+function utf16HexToString(hex) {
+  let out = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) {
+    out += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+  }
+  if (hex.length === 2) out = String.fromCharCode(parseInt(hex, 16));
+  return out;
+}
+
+function parseCMap(cmap) {
+  const map = new Map();
+  let codeBytes = 0;
+
+  const codespace = cmap.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  if (codespace) codeBytes = codespace[1].length / 2;
+
+  const bfchar = /beginbfchar([\s\S]*?)endbfchar/g;
+  let block;
+  while ((block = bfchar.exec(cmap)) !== null) {
+    const pair = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+    let m;
+    while ((m = pair.exec(block[1])) !== null) {
+      map.set(parseInt(m[1], 16), utf16HexToString(m[2]));
+      if (!codeBytes) codeBytes = m[1].length / 2;
+    }
+  }
+
+  const bfrange = /beginbfrange([\s\S]*?)endbfrange/g;
+  while ((block = bfrange.exec(cmap)) !== null) {
+    const range = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+    let m;
+    while ((m = range.exec(block[1])) !== null) {
+      const lo = parseInt(m[1], 16);
+      const hi = parseInt(m[2], 16);
+      if (!codeBytes) codeBytes = m[1].length / 2;
+
+      if (m[3].startsWith('[')) {
+        const targets = m[3].match(/<([0-9a-fA-F]*)>/g) || [];
+        targets.forEach((t, i) => map.set(lo + i, utf16HexToString(t.slice(1, -1))));
+      } else {
+        const base = m[3].slice(1, -1);
+        const baseCode = parseInt(base.slice(-4) || '0', 16);
+        const prefix = utf16HexToString(base.slice(0, -4));
+        for (let code = lo; code <= hi && code - lo < 65536; code++) {
+          map.set(code, prefix + String.fromCharCode(baseCode + (code - lo)));
+        }
+      }
+    }
+  }
+
+  return { map: map, codeBytes: codeBytes };
+}
+
+// Split a shown string into glyphs: [{ text, code, width }]
+function decodeGlyphs(font, str) {
+  const glyphs = [];
+  const step = font ? font.codeBytes : 1;
+
+  for (let i = 0; i < str.length; i += step) {
+    let code = str.charCodeAt(i);
+    if (step === 2) code = (code << 8) | (str.charCodeAt(i + 1) || 0);
+
+    let text;
+    if (font && font.toUnicode && font.toUnicode.map.has(code)) {
+      text = font.toUnicode.map.get(code);
+    } else if (font && font.differences && font.differences.has(code)) {
+      text = font.differences.get(code);
+    } else if (step === 1) {
+      text = code >= 32 ? String.fromCharCode(code) : (code === 9 ? ' ' : '');
+    } else {
+      text = '';
+    }
+
+    const width = font && font.widths.has(code) ? font.widths.get(code) : (font ? font.defaultWidth : 500);
+    glyphs.push({ text: text, code: code, width: width });
+  }
+
+  return glyphs;
+}
+
+// ===== Content stream interpretation =====
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+async function interpretContent(objects, content, resources, baseMatrix, items, depth, images = []) {
+  await prepareFonts(objects, resources);
+
+  const lexer = createLexer(content);
+  const fonts = resolve(objects, resources.Font) || {};
+  const xobjects = resolve(objects, resources.XObject) || {};
+
+  let ctm = baseMatrix.slice();
+  const stack = [];
+  let operands = [];
+
+  const ts = {
+    tm: IDENTITY.slice(),
+    tlm: IDENTITY.slice(),
+    font: null,
+    fontSize: 0,
+    leading: 0,
+    charSpacing: 0,
+    wordSpacing: 0,
+    scale: 1,
+    rise: 0
+  };
+
+  const moveText = (tx, ty) => {
+    ts.tlm = multiply([1, 0, 0, 1, tx, ty], ts.tlm);
+    ts.tm = ts.tlm.slice();
+  };
+
+  const showText = (str) => {
+    const glyphs = decodeGlyphs(ts.font, str);
+    const trm = multiply([ts.fontSize * ts.scale, 0, 0, ts.fontSize, 0, ts.rise], multiply(ts.tm, ctm));
+    const startX = trm[4];
+    const startY = trm[5];
+    const size = Math.hypot(trm[2], trm[3]) || ts.fontSize || 1;
+
+    let text = '';
+    for (const glyph of glyphs) {
+      text += glyph.text;
+      const isSpace = glyph.text === ' ' && (ts.font ? ts.font.codeBytes === 1 : true);
+      const tx = ((glyph.width / 1000) * ts.fontSize + ts.charSpacing + (isSpace ? ts.wordSpacing : 0)) * ts.scale;
+      ts.tm = multiply([1, 0, 0, 1, tx, 0], ts.tm);
+    }
+
+    const end = multiply(ts.tm, ctm);
+    if (text.length > 0) {
+      items.push({
+        text: text,
+        x: startX,
+        y: startY,
+        endX: end[4],
+        fontSize: size
+      });
+    }
+  };
+
+  let token;
+  while ((token = nextToken(lexer)) !== null) {
+    if (token.type !== 'keyword') {
+      if (token.type === 'arrayStart' || token.type === 'dictStart') {
+        operands.push(parseValue(lexer, token));
+      } else if (token.type === 'number' || token.type === 'string' || token.type === 'name') {
+        operands.push(token.value);
+      }
+      continue;
+    }
+
+    const op = token.value;
+    const num = (i) => (typeof operands[i] === 'number' ? operands[i] : 0);
+
+    switch (op) {
+      case 'q':
+        stack.push(ctm.slice());
+        break;
+      case 'Q':
+        if (stack.length) ctm = stack.pop();
+        break;
+      case 'cm':
+        ctm = multiply([num(0), num(1), num(2), num(3), num(4), num(5)], ctm);
+        break;
+      case 'BT':
+        ts.tm = IDENTITY.slice();
+        ts.tlm = IDENTITY.slice();
+        break;
+      case 'Tf':
+        ts.font = fonts[operands[0]] ? loadFont(objects, fonts[operands[0]]) : null;
+        ts.fontSize = num(1);
+        break;
+      case 'TL':
+        ts.leading = num(0);
+        break;
+      case 'Tc':
+        ts.charSpacing = num(0);
+        break;
+      case 'Tw':
+        ts.wordSpacing = num(0);
+        break;
+      case 'Tz':
+        ts.scale = num(0) / 100;
+        break;
+      case 'Ts':
+        ts.rise = num(0);
+        break;
+      case 'Td':
+        moveText(num(0), num(1));
+        break;
+      case 'TD':
+        ts.leading = -num(1);
+        moveText(num(0), num(1));
+        break;
+      case 'Tm':
+        ts.tlm = [num(0), num(1), num(2), num(3), num(4), num(5)];
+        ts.tm = ts.tlm.slice();
+        break;
+      case 'T*':
+        moveText(0, -ts.leading);
+        break;
+      case 'Tj':
+        if (typeof operands[0] === 'string') showText(operands[0]);
+        break;
+      case "'":
+        moveText(0, -ts.leading);
+        if (typeof operands[0] === 'string') showText(operands[0]);
+        break;
+      case '"':
+        ts.wordSpacing = num(0);
+        ts.charSpacing = num(1);
+        moveText(0, -ts.leading);
+        if (typeof operands[2] === 'string') showText(operands[2]);
+        break;
+      case 'TJ':
+        if (Array.isArray(operands[0])) {
+          for (const part of operands[0]) {
+            if (typeof part === 'string') {
+              showText(part);
+            } else if (typeof part === 'number') {
+              const tx = (-part / 1000) * ts.fontSize * ts.scale;
+              ts.tm = multiply([1, 0, 0, 1, tx, 0], ts.tm);
+            }
+          }
+        }
+        break;
+      case 'Do': {
+        const xobjectRef = xobjects[operands[0]];
+        const entry = xobjectRef && xobjectRef.ref !== undefined ? objects.get(xobjectRef.ref) : null;
+        if (entry && isDict(entry.value) && entry.value.Subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+          const formContent = await decodeStream(objects, entry);
+          if (formContent) {
+            const matrix = resolve(objects, entry.value.Matrix) || IDENTITY;
+            const formResources = resolve(objects, entry.value.Resources) || resources;
+            await interpretContent(objects, formContent, formResources, multiply(matrix, ctm), items, depth + 1, images);
+          }
+        } else if (entry && isDict(entry.value) && entry.value.Subtype === 'Image') {
+          images.push({
+            ref: xobjectRef.ref,
+            width: resolve(objects, entry.value.Width),
+            height: resolve(objects, entry.value.Height),
+            area: Math.abs(ctm[0] * ctm[3] - ctm[1] * ctm[2])
+          });
+        }
+        break;
+      }
+      case 'BI': {
+        // Skip inline image data up to EI
+        const end = lexer.s.indexOf('EI', lexer.pos);
+        lexer.pos = end === -1 ? lexer.s.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+
+    operands = [];
+  }
+}
+
+// ===== Layout reconstruction =====
+
+// Group positioned text items into visual rows (same baseline, top to bottom)
+// and split each row into cells wherever the horizontal gap is wider than a
+// couple of spaces. Column assignment is left to the caller, which knows what
+// header labels to look for.
+export function buildLayout(items) {
+  const visible = items
+    .map(item => ({ ...item, text: item.text.replace(/[\x00-\x08\x0b-\x1f]/g, '') }))
+    .filter(item => item.text.trim().length > 0);
+
+  const sorted = visible.slice().sort((a, b) => b.y - a.y || a.x - b.x);
+  const rows = [];
+
+  for (const item of sorted) {
+    const row = rows.length ? rows[rows.length - 1] : null;
+    const tolerance = Math.max(item.fontSize, row ? row.fontSize : 0, 1) * 0.4;
+
+    if (row && Math.abs(row.y - item.y) <= tolerance) {
+      row.items.push(item);
+      row.fontSize = Math.max(row.fontSize, item.fontSize);
+    } else {
+      rows.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+
+  return rows.map(row => {
+    const rowItems = row.items.sort((a, b) => a.x - b.x);
+    const cells = [];
+    let cell = null;
+
+    for (const item of rowItems) {
+      const size = Math.max(item.fontSize, 1);
+      const gap = cell ? item.x - cell.endX : Infinity;
+
+      if (cell && gap <= size * 1.0) {
+        const needsSpace = gap > size * 0.15 && !/\s$/.test(cell.text) && !/^\s/.test(item.text);
+        cell.text += (needsSpace ? ' ' : '') + item.text;
+        cell.endX = Math.max(cell.endX, item.endX);
+      } else {
+        cell = { text: item.text, x: item.x, endX: item.endX };
+        cells.push(cell);
+      }
+    }
+
+    return {
+      y: Math.round(row.y * 100) / 100,
+      cells: cells
+        .map(c => ({
+          text: c.text.replace(/\s+/g, ' ').trim(),
+          x: Math.round(c.x * 100) / 100,
+          endX: Math.round(c.endX * 100) / 100
+        }))
+        .filter(c => c.text.length > 0)
+    };
+  }).filter(row => row.cells.length > 0);
+}
+
+// Rows become lines; cells within a row are separated by a tab so that the
+// column boundaries survive into the plain-text pipeline
+export function layoutToText(rows) {
+  return rows.map(row => row.cells.map(cell => cell.text).join('\t')).join('\n');
+}
+
+// ===== Image export (for OCR of scanned pages) =====
+
+// Return { mimeType, data, width, height } for an image XObject, or null when its
+// codec cannot be handed to an OCR provider (CCITT and JBIG2 fax scans, masks)
+async function exportImage(objects, entry, info) {
+  if (!entry || !entry.stream || !isDict(entry.value)) return null;
+
+  const dict = entry.value;
+  let filters = resolve(objects, dict.Filter) || [];
+  if (!Array.isArray(filters)) filters = [filters];
+  filters = filters.map(filter => resolve(objects, filter));
+
+  if (dict.ImageMask === true) return null;
+
+  const last = filters[filters.length - 1];
+  const image = { width: info.width, height: info.height };
+
+  try {
+    if (last === 'DCTDecode' || last === 'DCT' || last === 'JPXDecode') {
+      // JPEG / JPEG 2000 streams are complete image files once the outer filters are undone
+      let data = entry.stream;
+      for (const filter of filters.slice(0, -1)) {
+        if (filter === 'FlateDecode' || filter === 'Fl') data = bytesToBinaryString(await inflate(objects, binaryStringToBytes(data)));
+        else if (filter === 'ASCIIHexDecode' || filter === 'AHx') data = readHexString(createLexer('<' + data.replace(/>.*$/s, '') + '>'));
+        else if (filter === 'ASCII85Decode' || filter === 'A85') data = decodeASCII85(data);
+        else return null;
+      }
+      return { ...image, mimeType: last === 'JPXDecode' ? 'image/jp2' : 'image/jpeg', data: binaryStringToBytes(data) };
+    }
+
+    // Raw pixels (usually FlateDecode) are re-wrapped as PNG
+    const pixels = await decodeStream(objects, entry);
+    if (pixels === null) return null;
+
+    const colors = colorComponents(objects, dict.ColorSpace);
+    const bitsPerComponent = resolve(objects, dict.BitsPerComponent) || 8;
+    if (!colors || ![1, 8].includes(bitsPerComponent) || (bitsPerComponent === 1 && colors !== 1)) return null;
+
+    const decodeParms = resolve(objects, dict.DecodeParms) || {};
+    const predicted = (resolve(objects, decodeParms.Predictor) || 1) >= 10;
+    const png = await encodePNG(binaryStringToBytes(pixels), info.width, info.height, colors, bitsPerComponent, predicted);
+    return png ? { ...image, mimeType: 'image/png', data: png } : null;
+  } catch (error) {
+    if (error.code === 'PDF_INFLATE_LIMIT') throw error;
+    return null;
+  }
+}
+
+function colorComponents(objects, colorSpace) {
+  const space = resolve(objects, colorSpace);
+  const name = Array.isArray(space) ? resolve(objects, space[0]) : space;
+
+  if (name === 'DeviceGray' || name === 'CalGray' || name === 'G') return 1;
+  if (name === 'DeviceRGB' || name === 'CalRGB' || name === 'RGB') return 3;
+  if (name === 'ICCBased' && Array.isArray(space)) {
+    const profile = objects.get(space[1] && space[1].ref);
+    const components = profile && isDict(profile.value) ? resolve(objects, profile.value.N) : null;
+    return components === 1 || components === 3 ? components : null;
+  }
+  return null;
+}
+
+// Minimal PNG writer. PDF images with PNG predictors already carry a filter
+// byte per row; otherwise every row gets filter type 0 (None).
+async function encodePNG(pixels, width, height, colors, bitsPerComponent, predicted) {
+  const rowBytes = Math.ceil((width * colors * bitsPerComponent) / 8);
+  const stride = predicted ? rowBytes + 1 : rowBytes;
+  if (!width || !height || pixels.length < stride * height) return null;
+
+  let scanlines = pixels.subarray(0, stride * height);
+  if (!predicted) {
+    scanlines = new Uint8Array((rowBytes + 1) * height);
+    for (let row = 0; row < height; row++) {
+      scanlines.set(pixels.subarray(row * rowBytes, (row + 1) * rowBytes), row * (rowBytes + 1) + 1);
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = bitsPerComponent;
+  header[9] = colors === 3 ? 2 : 0;
+
+  const compressed = await compress(scanlines);
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', compressed),
+    pngChunk('IEND', new Uint8Array(0))
+  ];
+
+  const png = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    png.set(part, offset);
+    offset += part.length;
+  }
+  return png;
+}
+
+async function compress(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+let CRC_TABLE = null;
+
+function crc32(bytes) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,105 @@
+// PHI REDACTION - Mask patient identifiers before text is logged or returned
+// Detects names, dates of birth, addresses, phone numbers, e-mail addresses and record
+// numbers (MRN, accession, NHS/SSN...). Labels are kept and only the value is masked
+// ("DOB: [DOB]"), and test values, units and result dates are left alone, so redacted
+// text is still useful for debugging an extraction.
+
+const PLACEHOLDERS = {
+  name: '[NAME]',
+  dob: '[DOB]',
+  address: '[ADDRESS]',
+  phone: '[PHONE]',
+  email: '[EMAIL]',
+  id: '[ID]'
+};
+
+const DATE = '(?:\\d{1,4}[\\/.-]\\d{1,2}[\\/.-]\\d{1,4}|\\d{1,2}(?:st|nd|rd|th)?\\s+[A-Za-z]{3,9}\\.?,?\\s+\\d{2,4}|[A-Za-z]{3,9}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4})';
+
+// Words that end a labelled name ("Patient: Jane Doe  DOB: ...")
+const NAME_STOP = '(?:dob|d\\.o\\.b|date|born|sex|gender|age|mrn|id|no|number|phone|tel|address|collected|received|reported|printed|specimen|accession|account|ward|room|bed|male|female|m|f)\\b';
+const NAME_WORD = `(?!${NAME_STOP})[A-Za-z][A-Za-z'’-]*\\.?`;
+const NAME = `${NAME_WORD}(?:,?[ \\t]+${NAME_WORD}){0,3}`;
+
+const RECORD_LABEL = '(?:mrn|medical record(?: number| no\\.?)?|patient (?:id|number|no\\.?)|hospital (?:number|no\\.?)|nhs(?: number| no\\.?)?|health card(?: number| no\\.?)?|account(?: number| no\\.?)?|acct\\.?(?: no\\.?)?|accession(?: number| no\\.?)?|specimen (?:id|number|no\\.?)|sample (?:id|number|no\\.?)|lab(?:oratory)? (?:id|number|no\\.?)|requisition(?: number| no\\.?)?|order (?:id|number|no\\.?)|encounter (?:id|number|no\\.?)|visit (?:id|number|no\\.?)|insurance (?:id|number|no\\.?)|member (?:id|number|no\\.?)|policy (?:number|no\\.?)|ssn|social security(?: number| no\\.?)?)';
+
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Court|Ct|Way|Place|Pl|Terrace|Close|Crescent|Highway|Hwy|Parkway|Pkwy)';
+
+// Each detector masks the last capture group; the groups before it are context to keep
+const DETECTORS = [
+  { type: 'name', pattern: new RegExp(`(\\b(?:patient(?: name)?|(?<!test |analyte )name|full name|surname|first name|last name|pt\\.?|client|ordering (?:physician|provider|doctor)|referring (?:physician|provider|doctor)|physician|doctor|provider|consultant|attending|requested by|ordered by|gp|next of kin|guardian|signed by|verified by)[ \\t]*[:#-][ \\t]*)(${NAME})`, 'gi') },
+  { type: 'name', pattern: new RegExp(`(\\b(?:Dr|Mr|Mrs|Ms|Miss|Prof)\\.?[ \\t]+)(${NAME})`, 'g') },
+  { type: 'dob', pattern: new RegExp(`(\\b(?:dob|d\\.o\\.b\\.?|date of birth|birth ?date|born(?: on)?)[ \\t]*[:#-]?[ \\t]*)(${DATE})`, 'gi') },
+  { type: 'id', pattern: new RegExp(`(\\b${RECORD_LABEL}[ \\t]*(?:#[ \\t]*)?[:-]?[ \\t]*)((?=[A-Z0-9-]*\\d)[A-Z0-9][A-Z0-9-]{2,}(?:[ \\t]\\d{3,})*)`, 'gi') },
+  { type: 'id', pattern: /()(\b\d{3}-\d{2}-\d{4}\b)/g },
+  { type: 'email', pattern: /()([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g },
+  { type: 'phone', pattern: /(\b(?:phone|tel|telephone|mobile|cell|fax|contact)\.?(?: no\.?| number)?[ \t]*[:#-]?[ \t]*)(\+?[\d(][\d ().-]{5,}\d)/gi },
+  { type: 'phone', pattern: /()((?:\+\d{1,3}[ .-]?)?(?:\(\d{3}\)[ .-]?|\b\d{3}[.-])\d{3}[.-]\d{4}\b)/g },
+  { type: 'address', pattern: /(\b(?:address|addr|home address|residence)[ \t]*[:#-][ \t]*)([^\n]+)/gi },
+  { type: 'address', pattern: new RegExp(`()(\\b\\d{1,5}[ \\t]+(?:[A-Z][A-Za-z'-]+[ \\t]+){1,3}${STREET_SUFFIX}\\b\\.?(?:,?[ \\t]*(?:Apt|Suite|Unit|Flat)\\.?[ \\t]*\\w+)?(?:,[ \\t]*[A-Z][A-Za-z -]+)*(?:,?[ \\t]*[A-Z]{2})?(?:[ \\t]*\\d{5}(?:-\\d{4})?)?)`, 'g') }
+];
+
+// Spans of PHI in the text: [{ type, start, end }], sorted and non-overlapping
+export function findPHI(text) {
+  const source = String(text || '');
+  const spans = [];
+
+  DETECTORS.forEach(detector => {
+    detector.pattern.lastIndex = 0;
+    let match;
+    while ((match = detector.pattern.exec(source)) !== null) {
+      const value = match[match.length - 1];
+      if (value && value.trim()) {
+        const start = match.index + match[0].length - value.length;
+        spans.push({ type: detector.type, start: start, end: start + value.trimEnd().length });
+      }
+      if (match[0].length === 0) detector.pattern.lastIndex++;
+    }
+  });
+
+  spans.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  // Overlaps keep the earlier (longer) span
+  return spans.reduce((merged, span) => {
+    const last = merged[merged.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+    return merged;
+  }, []);
+}
+
+// The text with every detected identifier replaced by its placeholder
+export function redactPHI(text) {
+  const source = String(text || '');
+  let output = '';
+  let position = 0;
+
+  findPHI(source).forEach(span => {
+    output += source.slice(position, span.start) + PLACEHOLDERS[span.type];
+    position = span.end;
+  });
+
+  return output + source.slice(position);
+}
+
+// DEBUG LOGGING
+// Extraction detail (document text, per-row matches) is only logged when EXTRACTION_DEBUG
+// is set, and even then it goes through redactPHI. Bindings are the same for every request
+// an isolate serves, so the switch is module state rather than threaded through each helper.
+let debugEnabled = false;
+
+export function isDebugEnabled(env = {}) {
+  return ['1', 'true', 'yes', 'on'].includes(String(env.EXTRACTION_DEBUG || '').toLowerCase());
+}
+
+export function configureDebug(env) {
+  debugEnabled = isDebugEnabled(env);
+  return debugEnabled;
+}
+
+export function debugLog(...args) {
+  if (!debugEnabled) return;
+  console.log(...args.map(arg => redactPHI(typeof arg === 'string' ? arg : JSON.stringify(arg))));
+}
@@ -0,0 +1,200 @@
+// REFERENCE RANGES - Parse printed ranges/flags and derive a result status
+// Handles "<200", "≤5.6", ">40", "7-55", "3.5 to 5.0", "Up to 40", ranges qualified by
+// sex or age ("Male: 13.5-17.5; Female: 12.0-15.5", "Adult (18-65 yrs) 0.4-4.0") and risk
+// tiers ("Desirable <200 Borderline 200-239 High >=240"), read from the desirable tier.
+
+const CRITICAL_FLAGS = /^(?:HH|LL|C|CRIT|CRITICAL|PANIC|!!|\*\*|AA)$/i;
+const HIGH_FLAGS = /^(?:H|HI|HIGH)$/i;
+const LOW_FLAGS = /^(?:L|LO|LOW)$/i;
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+// Labels of risk tiers (lipid panels). Longer labels first, so "Near optimal" is not read as "Optimal".
+const TIER_LABELS = /\b(near optimal|above optimal|borderline(?:[ -](?:high|low))?|very high|desirable|optimal|ideal|normal|acceptable|high|low)\b\s*:?/gi;
+const NORMAL_TIERS = /^(?:desirable|optimal|ideal|normal|acceptable)$/i;
+
+// Parse a printed reference range into { text, low, high, lowInclusive, highInclusive, qualifier, alternatives }
+// profile ({ sex: 'male' | 'female', age }) selects between sex/age specific alternatives
+export function parseReferenceRange(text, profile = {}) {
+  if (!text) return null;
+
+  const raw = String(text).replace(/\s+/g, ' ').trim();
+  const alternatives = splitQualifiedSegments(selectTier(raw))
+    .map(segment => ({ ...segment.qualifier, ...parseBounds(segment.text) }))
+    .filter(alternative => alternative.low !== null || alternative.high !== null);
+
+  if (alternatives.length === 0) return null;
+
+  const selected = selectAlternative(alternatives, profile || {});
+
+  return {
+    text: raw,
+    low: selected.low,
+    high: selected.high,
+    lowInclusive: selected.lowInclusive,
+    highInclusive: selected.highInclusive,
+    qualifier: describeQualifier(selected),
+    alternatives: alternatives.length > 1 ? alternatives : undefined
+  };
+}
+
+// Derive Low / Normal / High / Critical (or Unknown) from value, parsed range and printed flag.
+// The lab's own flag wins over our comparison; critical limits come from the analyte catalog.
+export function deriveStatus(value, range, flag, criticalLimits) {
+  const normalizedFlag = flag ? String(flag).trim() : '';
+  if (CRITICAL_FLAGS.test(normalizedFlag)) return 'Critical';
+
+  const numericValue = parseFloat(String(value).replace(/^[<>≤≥=\s]+/, '').replace(',', '.'));
+
+  if (!isNaN(numericValue) && criticalLimits) {
+    if (criticalLimits.low !== undefined && criticalLimits.low !== null && numericValue < criticalLimits.low) return 'Critical';
+    if (criticalLimits.high !== undefined && criticalLimits.high !== null && numericValue > criticalLimits.high) return 'Critical';
+  }
+
+  if (HIGH_FLAGS.test(normalizedFlag)) return 'High';
+  if (LOW_FLAGS.test(normalizedFlag)) return 'Low';
+
+  if (!range || isNaN(numericValue)) return 'Unknown';
+
+  if (range.high !== null) {
+    const aboveHigh = range.highInclusive ? numericValue > range.high : numericValue >= range.high;
+    if (aboveHigh) return 'High';
+  }
+  if (range.low !== null) {
+    const belowLow = range.lowInclusive ? numericValue < range.low : numericValue <= range.low;
+    if (belowLow) return 'Low';
+  }
+
+  return 'Normal';
+}
+
+// "Desirable <200 Borderline 200-239 High >=240" -> "Desirable <200". Without a desirable or
+// normal tier the first one is used. Text with fewer than two tier labels is returned as is.
+function selectTier(raw) {
+  const labels = Array.from(raw.matchAll(TIER_LABELS));
+  if (labels.length < 2) return raw;
+
+  // Labels either lead their values ("Desirable <200 ...") or follow them ("<200 desirable, ...")
+  const trailing = /\d/.test(raw.slice(0, labels[0].index));
+  const tiers = labels.map((label, index) => ({
+    label: label[1],
+    text: trailing
+      ? raw.slice(index === 0 ? 0 : labels[index - 1].index + labels[index - 1][0].length, label.index)
+      : raw.slice(label.index + label[0].length, index + 1 < labels.length ? labels[index + 1].index : raw.length)
+  }));
+
+  const normal = tiers.find(tier => NORMAL_TIERS.test(tier.label));
+  return (normal || tiers[0]).text.replace(/^[\s,;(]+|[\s,;)]+$/g, '');
+}
+
+// Split "Male: 13.5-17.5; Female: 12.0-15.5" into qualified segments
+function splitQualifiedSegments(raw) {
+  const parts = raw
+    .split(/\s*[;\n|]\s*|\s+(?=(?:males?|females?|men|women|m|f)\s*[:=(])/i)
+    .filter(part => part && part.trim().length > 0);
+
+  return parts.map(part => {
+    let text = part;
+    const qualifier = { sex: null, ageMin: null, ageMax: null };
+
+    const sexMatch = text.match(/^\s*(males?|men|m|females?|women|f)\b\s*[:=]?\s*/i);
+    if (sexMatch) {
+      qualifier.sex = /^(?:f|female|females|women)$/i.test(sexMatch[1]) ? 'female' : 'male';
+      text = text.slice(sexMatch[0].length);
+    }
+
+    const ageRange = text.match(/\(?\s*(?:age\s*)?(\d{1,3})\s*(?:-|–|to)\s*(\d{1,3})\s*(?:y|yr|yrs|years?)\b\s*\)?\s*:?/i);
+    const ageOver = text.match(/\(?\s*(?:age\s*)?(?:>|≥|>=|over)\s*(\d{1,3})\s*(?:y|yr|yrs|years?)\b\s*\)?\s*:?/i);
+    if (ageRange) {
+      qualifier.ageMin = parseInt(ageRange[1], 10);
+      qualifier.ageMax = parseInt(ageRange[2], 10);
+      text = text.replace(ageRange[0], ' ');
+    } else if (ageOver) {
+      qualifier.ageMin = parseInt(ageOver[1], 10);
+      text = text.replace(ageOver[0], ' ');
+    }
+
+    text = text.replace(/^\s*(?:adults?|children|child|pediatric)\b\s*:?/i, ' ');
+
+    return { qualifier: qualifier, text: text.trim() };
+  });
+}
+
+function parseBounds(text) {
+  const bounds = { low: null, high: null, lowInclusive: true, highInclusive: true };
+
+  // European decimal commas ("3,5-5,0")
+  const normalized = text
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .replace(/[–—]/g, '-');
+
+  const between = normalized.match(new RegExp(`${NUMBER}\\s*(?:-|to)\\s*${NUMBER}`, 'i'));
+  if (between) {
+    bounds.low = parseFloat(between[1]);
+    bounds.high = parseFloat(between[2]);
+    if (bounds.low > bounds.high) [bounds.low, bounds.high] = [bounds.high, bounds.low];
+    return bounds;
+  }
+
+  const atMost = normalized.match(new RegExp(`(?:<=|=<|≤|up to|not more than)\\s*${NUMBER}`, 'i'));
+  const below = normalized.match(new RegExp(`(?:<|less than|below)\\s*${NUMBER}`, 'i'));
+  const atLeast = normalized.match(new RegExp(`(?:>=|=>|≥|at least)\\s*${NUMBER}`, 'i'));
+  const above = normalized.match(new RegExp(`(?:>|greater than|above|over)\\s*${NUMBER}`, 'i'));
+
+  if (atMost) {
+    bounds.high = parseFloat(atMost[1]);
+  } else if (below) {
+    bounds.high = parseFloat(below[1]);
+    bounds.highInclusive = false;
+  }
+
+  if (atLeast) {
+    bounds.low = parseFloat(atLeast[1]);
+  } else if (above) {
+    bounds.low = parseFloat(above[1]);
+    bounds.lowInclusive = false;
+  }
+
+  return bounds;
+}
+
+function selectAlternative(alternatives, profile) {
+  if (alternatives.length === 1) return alternatives[0];
+
+  const matching = alternatives.filter(alternative => {
+    if (alternative.sex && profile.sex && alternative.sex !== profile.sex) return false;
+    if (alternative.sex && !profile.sex) return false;
+    if (typeof profile.age === 'number') {
+      if (alternative.ageMin !== null && profile.age < alternative.ageMin) return false;
+      if (alternative.ageMax !== null && profile.age > alternative.ageMax) return false;
+    } else if (alternative.ageMin !== null || alternative.ageMax !== null) {
+      return false;
+    }
+    return true;
+  });
+
+  if (matching.length > 0) return matching[0];
+
+  // Unknown patient: only call a value abnormal if it is outside every alternative
+  const lows = alternatives.map(a => a.low);
+  const highs = alternatives.map(a => a.high);
+  return {
+    sex: null,
+    ageMin: null,
+    ageMax: null,
+    low: lows.includes(null) ? null : Math.min(...lows),
+    high: highs.includes(null) ? null : Math.max(...highs),
+    lowInclusive: true,
+    highInclusive: true,
+    combined: true
+  };
+}
+
+function describeQualifier(alternative) {
+  if (alternative.combined) return 'combined';
+  const parts = [];
+  if (alternative.sex) parts.push(alternative.sex);
+  if (alternative.ageMin !== null && alternative.ageMax !== null) parts.push(`age ${alternative.ageMin}-${alternative.ageMax}`);
+  else if (alternative.ageMin !== null) parts.push(`age ${alternative.ageMin}+`);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
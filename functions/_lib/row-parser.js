@@ -0,0 +1,138 @@
+// GENERIC ROW PARSER - Recognise "<name> <value> [flag] <unit> <reference range>" rows
+// Used for tests that are not in the analyte catalog (ferritin, Lp(a), ApoB...),
+// so it relies purely on the shape of the row and scores how sure it is.
+
+import { UNIT_PATTERN } from './units.js';
+
+const FLAG_PATTERN = /^(?:HH|LL|H|L|HI|LO|A|AA|C|\*|\*\*|!|High|Low|Abnormal|Critical|Crit)$/i;
+
+// Labels that look like "<name> <number>" but are document metadata, not results
+const NON_RESULT_NAMES = /^(?:page|date|dob|d\.o\.b|age|sex|phone|tel|fax|mrn|id|patient id|account|acct|accession|specimen|specimen id|order|order number|requisition|npi|zip|postcode|room|bed|ref|reference|report|version|time|collected|received|reported|printed|fasting|lab|client|physician|doctor|provider)\b/i;
+
+// A range may open with a sex or tier label: "Male: 13.5-17.5 Female: 12.0-15.5", "Desirable <200 ..."
+const RANGE_PATTERN = /^(?:(?:males?|females?|men|women|m|f|desirable|optimal|normal)\s*[:=]?\s*)?(?:[<>≤≥]=?\s*\d+(?:[.,]\d+)?|\d+(?:[.,]\d+)?\s*(?:-|–|to)\s*\d+(?:[.,]\d+)?)/i;
+
+// Parse a line (tab-separated cells or plain text) into a result row, or null
+export function parseGenericRow(line) {
+  const cells = line.includes('\t')
+    ? line.split('\t').map(cell => cell.trim()).filter(Boolean)
+    : null;
+
+  const parsed = cells && cells.length >= 2 ? parseCells(cells) : parseText(line.trim());
+  if (!parsed) return null;
+
+  const name = parsed.name.replace(/[\s:.]+$/, '').trim();
+  if (name.length < 2 || name.length > 60 || NON_RESULT_NAMES.test(name) || !/[a-z]{2}/i.test(name)) {
+    return null;
+  }
+
+  // Require at least a unit or a reference range, otherwise "Page 1" style lines get through
+  if (!parsed.unit && !parsed.referenceRange) return null;
+
+  return {
+    name: name,
+    value: parsed.value,
+    flag: parsed.flag || null,
+    unit: parsed.unit || null,
+    referenceRange: parsed.referenceRange || null,
+    confidence: scoreRow(parsed, Boolean(cells))
+  };
+}
+
+// Plain text: the name runs up to the first standalone number
+function parseText(line) {
+  const match = line.match(/^([A-Za-z][A-Za-z0-9 ,()'\/.\-+]*?[A-Za-z)])[\s:]+([<>]?\d+(?:\.\d+)?)(?=\s|$)(.*)$/);
+  if (!match) return null;
+
+  const tail = parseRowTail(match[3]);
+
+  return {
+    name: match[1],
+    value: match[2],
+    ...tail
+  };
+}
+
+// Parse what follows a result value: "[flag] [unit] [flag] [reference range]"
+export function parseRowTail(text) {
+  let rest = String(text || '').trim();
+  let flag = null;
+  let unit = null;
+
+  const flagMatch = rest.match(/^(\S+)(?:\s+|$)/);
+  if (flagMatch && FLAG_PATTERN.test(flagMatch[1])) {
+    flag = flagMatch[1];
+    rest = rest.slice(flagMatch[0].length);
+  }
+
+  const unitMatch = rest.match(new RegExp(`^(${UNIT_PATTERN.source})(?=\\s|$)`, 'i'))
+    || rest.match(/^([A-Za-zµ][A-Za-z0-9µ]*\/[A-Za-z0-9µ.]+)(?=\s|$)/);
+  if (unitMatch) {
+    unit = unitMatch[1];
+    rest = rest.slice(unitMatch[0].length).trim();
+  }
+
+  // A flag may also be printed after the unit
+  const trailingFlag = rest.match(/^(\S+)(?:\s+|$)/);
+  if (!flag && trailingFlag && FLAG_PATTERN.test(trailingFlag[1]) && !RANGE_PATTERN.test(rest)) {
+    flag = trailingFlag[1];
+    rest = rest.slice(trailingFlag[0].length);
+  }
+
+  // Narrative reports bracket the range: "45 ng/mL (15-150)."
+  const bracketed = rest.match(/^[(\[]\s*([^()\[\]]+?)\s*[)\]]\.?$/);
+  if (bracketed && RANGE_PATTERN.test(bracketed[1])) {
+    rest = bracketed[1];
+  }
+
+  const rangeMatch = rest.match(RANGE_PATTERN);
+
+  return {
+    flag: flag,
+    unit: unit,
+    referenceRange: rangeMatch ? rest.trim() : null,
+    trailing: rangeMatch ? '' : rest
+  };
+}
+
+// Layout cells: first cell is the name, the first numeric cell is the value
+function parseCells(cells) {
+  const valueIndex = cells.findIndex((cell, index) => index > 0 && /^[<>]?\d+(?:\.\d+)?(?:\s*(?:H|L|HH|LL|\*))?$/i.test(cell));
+  if (valueIndex === -1) return null;
+
+  const valueCell = cells[valueIndex].match(/^([<>]?\d+(?:\.\d+)?)\s*(\S*)$/);
+  const result = {
+    name: cells.slice(0, valueIndex).join(' '),
+    value: valueCell[1],
+    flag: valueCell[2] && FLAG_PATTERN.test(valueCell[2]) ? valueCell[2] : null,
+    unit: null,
+    referenceRange: null,
+    trailing: ''
+  };
+
+  cells.slice(valueIndex + 1).forEach(cell => {
+    if (!result.flag && FLAG_PATTERN.test(cell)) {
+      result.flag = cell;
+    } else if (!result.referenceRange && RANGE_PATTERN.test(cell)) {
+      result.referenceRange = cell;
+    } else if (!result.unit && (UNIT_PATTERN.test(cell) || /^[A-Za-zµ][A-Za-z0-9µ]*\/[A-Za-z0-9µ.]+$/.test(cell))) {
+      result.unit = cell;
+    } else {
+      result.trailing += ` ${cell}`;
+    }
+  });
+
+  return result;
+}
+
+function scoreRow(parsed, fromCells) {
+  let confidence = 0.4;
+
+  if (parsed.unit) confidence += UNIT_PATTERN.test(parsed.unit) ? 0.2 : 0.1;
+  if (parsed.referenceRange) confidence += 0.2;
+  if (parsed.unit && parsed.referenceRange) confidence += 0.05;
+  if (fromCells) confidence += 0.1;
+  if (parsed.trailing && parsed.trailing.trim().length > 0) confidence -= 0.15;
+
+  return Math.round(Math.max(0, Math.min(0.95, confidence)) * 100) / 100;
+}
@@ -0,0 +1,104 @@
+// SECURITY ANSWER HASHING - The three answers are the only thing standing between a leaked
+// anonymous_sessions table and a user's health data, and they are low entropy, so they
+// are stored as "pbkdf2-sha256$<iterations>$<salt>$<hash>" (salt and hash base64):
+//   password = HMAC-SHA256(SECURITY_ANSWER_PEPPER, answer) - the pepper is a Pages secret,
+//              so the table alone is not enough to start guessing
+//   hash     = PBKDF2-SHA256(password, 16 random bytes, SECURITY_ANSWER_ITERATIONS)
+// Rows from before this format hold a hex SHA-256 of answer + user salt + a static pepper;
+// they still verify, and needsRehash() tells the caller to replace them after a login.
+
+import { constantTimeEqual } from './compare.js';
+
+const SCHEME = 'pbkdf2-sha256';
+const LEGACY_PEPPER = 'healthai_salt_2024';
+
+// Workers' PBKDF2 refuses more than 100000 iterations
+const MAX_ITERATIONS = 100000;
+const MIN_ITERATIONS = 10000;
+
+export function getIterations(env = {}) {
+  const configured = parseInt(env.SECURITY_ANSWER_ITERATIONS, 10);
+  if (isNaN(configured)) return MAX_ITERATIONS;
+  return Math.min(MAX_ITERATIONS, Math.max(MIN_ITERATIONS, configured));
+}
+
+export async function hashSecurityAnswer(answer, env) {
+  const iterations = getIterations(env);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await deriveHash(answer, salt, iterations, env);
+
+  return `${SCHEME}$${iterations}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+// True when the answer matches the stored hash (either format). userSalt is only used
+// by legacy hashes.
+export async function verifySecurityAnswer(answer, stored, userSalt, env) {
+  if (isLegacyHash(stored)) {
+    const legacy = await legacyHash(answer, userSalt);
+    return await constantTimeEqual(legacy, stored);
+  }
+
+  const parsed = parseHash(stored);
+  if (!parsed) return false;
+
+  const hash = await deriveHash(answer, parsed.salt, parsed.iterations, env);
+  return await constantTimeEqual(toBase64(hash), parsed.hash);
+}
+
+// Legacy SHA-256 rows and hashes made with fewer iterations than currently configured
+export function needsRehash(stored, env) {
+  if (isLegacyHash(stored)) return true;
+  const parsed = parseHash(stored);
+  return !parsed || parsed.iterations < getIterations(env);
+}
+
+function isLegacyHash(stored) {
+  return /^[0-9a-f]{64}$/.test(String(stored || ''));
+}
+
+function parseHash(stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 4 || parts[0] !== SCHEME) return null;
+
+  const iterations = parseInt(parts[1], 10);
+  if (isNaN(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) return null;
+
+  try {
+    return { iterations: iterations, salt: fromBase64(parts[2]), hash: parts[3] };
+  } catch (error) {
+    return null;
+  }
+}
+
+async function deriveHash(answer, salt, iterations, env) {
+  const pepper = env.SECURITY_ANSWER_PEPPER;
+  if (!pepper) {
+    throw new Error('SECURITY_ANSWER_PEPPER is not configured');
+  }
+
+  const encoder = new TextEncoder();
+  const pepperKey = await crypto.subtle.importKey('raw', encoder.encode(pepper), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const password = await crypto.subtle.sign('HMAC', pepperKey, encoder.encode(answer));
+
+  const passwordKey = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+    passwordKey,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+async function legacyHash(answer, userSalt) {
+  const data = new TextEncoder().encode(answer + userSalt + LEGACY_PEPPER);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+}
@@ -0,0 +1,233 @@
+// ACCESS AND REFRESH TOKENS - What a client holds after logging in (session create/verify)
+//   access token  - HS256 JWT signed with the ACCESS_TOKEN_SECRET Pages secret, valid for
+//                   ACCESS_TOKEN_TTL_SECONDS. The API middleware checks the signature and
+//                   expiry only, no D1 lookup. Claims: sub (session token), fam (family), iat, exp.
+//   refresh token - random 256-bit "rt_..." string, valid for REFRESH_TOKEN_TTL_SECONDS and
+//                   good for one refresh: each refresh returns a new pair (rotation). Stored
+//                   as a SHA-256 in refresh_tokens (migration 0008).
+// Presenting a refresh token that was already rotated revokes its whole family (one login
+// on one device). Logout revokes the family, revoke-all every family of the user. Access
+// tokens already issued stay valid until they expire, at most ACCESS_TOKEN_TTL_SECONDS.
+
+import { generateId } from './ids.js';
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const MIN_SECRET_LENGTH = 32;
+const JWT_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+export function isTokenSigningConfigured(env) {
+  return typeof env.ACCESS_TOKEN_SECRET === 'string' && env.ACCESS_TOKEN_SECRET.length >= MIN_SECRET_LENGTH;
+}
+
+export async function signAccessToken(claims, env, now = new Date()) {
+  const iat = Math.floor(now.getTime() / 1000);
+  const payload = { sub: claims.sub, fam: claims.fam, iat: iat, exp: iat + ACCESS_TOKEN_TTL_SECONDS };
+
+  const signingInput = `${encodeSegment(JWT_HEADER)}.${encodeSegment(payload)}`;
+  const signature = await crypto.subtle.sign('HMAC', await getSigningKey(env), new TextEncoder().encode(signingInput));
+
+  return {
+    token: `${signingInput}.${toBase64Url(new Uint8Array(signature))}`,
+    expiresAt: new Date(payload.exp * 1000).toISOString()
+  };
+}
+
+// The claims of a valid access token; throws a 401 token error otherwise
+export async function verifyAccessToken(token, env, now = new Date()) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw tokenError('Invalid access token', 'INVALID_ACCESS_TOKEN');
+  }
+
+  let header;
+  let payload;
+  let signature;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+    signature = fromBase64Url(parts[2]);
+  } catch (error) {
+    throw tokenError('Invalid access token', 'INVALID_ACCESS_TOKEN');
+  }
+
+  // Only ever HS256 - the header must not pick the algorithm
+  if (!header || header.alg !== JWT_HEADER.alg || !payload || typeof payload !== 'object') {
+    throw tokenError('Invalid access token', 'INVALID_ACCESS_TOKEN');
+  }
+
+  // crypto.subtle.verify compares in constant time
+  const valid = await crypto.subtle.verify('HMAC', await getSigningKey(env), signature, new TextEncoder().encode(`${parts[0]}.${parts[1]}`));
+  if (!valid || typeof payload.sub !== 'string' || typeof payload.exp !== 'number') {
+    throw tokenError('Invalid access token', 'INVALID_ACCESS_TOKEN');
+  }
+
+  if (payload.exp <= Math.floor(now.getTime() / 1000)) {
+    throw tokenError('Access token expired. Use your refresh token to get a new one.', 'ACCESS_TOKEN_EXPIRED');
+  }
+
+  return payload;
+}
+
+// A new access/refresh pair starting a new family - after a successful login
+export async function issueTokens(env, session, deviceFingerprint, now = new Date()) {
+  // Expired rows of this user can go; they are refused either way
+  await env.DB.prepare(`
+    DELETE FROM refresh_tokens WHERE session_token = ? AND expires_at < ?
+  `).bind(session.session_token, now.toISOString()).run();
+
+  const familyId = generateId('tokenFamily');
+  const refresh = await newRefreshToken(session, now);
+
+  await env.DB.prepare(`
+    INSERT INTO refresh_tokens (token_hash, family_id, session_token, device_fingerprint, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(refresh.hash, familyId, session.session_token, deviceFingerprint || null, now.toISOString(), refresh.expiresAt).run();
+
+  return await tokenPair(env, session.session_token, familyId, refresh, now);
+}
+
+// Trade a refresh token for a new pair. A token that was already used revokes its family.
+export async function rotateRefreshToken(env, refreshToken, now = new Date()) {
+  const row = await findRefreshToken(env, refreshToken);
+  if (!row) {
+    throw tokenError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+  if (row.revoked_at) {
+    throw tokenError('Refresh token has been revoked. Please log in again.', 'REFRESH_TOKEN_REVOKED');
+  }
+  if (row.used_at) {
+    await revokeFamily(env, row.family_id, 'reuse_detected', now);
+    throw reuseError();
+  }
+  if (row.expires_at <= now.toISOString() || !row.session_expires_at || row.session_expires_at <= now.toISOString()) {
+    throw tokenError('Refresh token expired. Please log in again.', 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  const session = { session_token: row.session_token, expires_at: row.session_expires_at };
+  const refresh = await newRefreshToken(session, now);
+
+  // The successor is only inserted if this request is the one that marked the token used,
+  // so two concurrent refreshes with the same token cannot both succeed
+  const [, inserted] = await env.DB.batch([
+    env.DB.prepare(`
+      UPDATE refresh_tokens SET used_at = ?, replaced_by = ?
+      WHERE token_hash = ? AND used_at IS NULL AND revoked_at IS NULL
+    `).bind(now.toISOString(), refresh.hash, row.token_hash),
+    env.DB.prepare(`
+      INSERT INTO refresh_tokens (token_hash, family_id, session_token, device_fingerprint, created_at, expires_at)
+      SELECT ?, family_id, session_token, device_fingerprint, ?, ?
+      FROM refresh_tokens WHERE token_hash = ? AND replaced_by = ?
+    `).bind(refresh.hash, now.toISOString(), refresh.expiresAt, row.token_hash, refresh.hash)
+  ]);
+
+  if (!inserted.meta || inserted.meta.changes !== 1) {
+    await revokeFamily(env, row.family_id, 'reuse_detected', now);
+    throw reuseError();
+  }
+
+  return await tokenPair(env, row.session_token, row.family_id, refresh, now);
+}
+
+// Logout: the family of this refresh token (this device). Unknown tokens are ignored.
+export async function revokeRefreshTokenFamily(env, refreshToken, now = new Date()) {
+  const row = await findRefreshToken(env, refreshToken);
+  if (!row) return 0;
+  return await revokeFamily(env, row.family_id, 'logout', now);
+}
+
+// Every refresh token of the user the refresh token belongs to, on every device
+export async function revokeAllRefreshTokens(env, refreshToken, now = new Date()) {
+  const row = await findRefreshToken(env, refreshToken);
+  if (!row || row.revoked_at) {
+    throw tokenError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const result = await env.DB.prepare(`
+    UPDATE refresh_tokens SET revoked_at = ?, revoked_reason = 'revoke_all'
+    WHERE session_token = ? AND revoked_at IS NULL
+  `).bind(now.toISOString(), row.session_token).run();
+  return result.meta ? result.meta.changes : 0;
+}
+
+async function revokeFamily(env, familyId, reason, now) {
+  const result = await env.DB.prepare(`
+    UPDATE refresh_tokens SET revoked_at = ?, revoked_reason = ?
+    WHERE family_id = ? AND revoked_at IS NULL
+  `).bind(now.toISOString(), reason, familyId).run();
+
+  if (reason === 'reuse_detected') {
+    console.warn('🚨 Refresh token reuse detected, token family revoked');
+  }
+  return result.meta ? result.meta.changes : 0;
+}
+
+async function findRefreshToken(env, refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken.startsWith('rt_')) return null;
+
+  return await env.DB.prepare(`
+    SELECT refresh_tokens.*, anonymous_sessions.expires_at AS session_expires_at
+    FROM refresh_tokens
+    LEFT JOIN anonymous_sessions ON anonymous_sessions.session_token = refresh_tokens.session_token
+    WHERE refresh_tokens.token_hash = ?
+  `).bind(await sha256Hex(refreshToken)).first();
+}
+
+// Never outlives the session itself
+async function newRefreshToken(session, now) {
+  const token = generateId('refreshToken');
+  const expires = Math.min(now.getTime() + REFRESH_TOKEN_TTL_SECONDS * 1000, new Date(session.expires_at).getTime());
+  return { token: token, hash: await sha256Hex(token), expiresAt: new Date(expires).toISOString() };
+}
+
+async function tokenPair(env, sessionToken, familyId, refresh, now) {
+  const access = await signAccessToken({ sub: sessionToken, fam: familyId }, env, now);
+  return {
+    accessToken: access.token,
+    accessTokenExpiresAt: access.expiresAt,
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt
+  };
+}
+
+function reuseError() {
+  return tokenError('Refresh token was already used. All tokens of this login have been revoked; please log in again.', 'REFRESH_TOKEN_REUSED');
+}
+
+function tokenError(message, code, status = 401) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+async function getSigningKey(env) {
+  if (!isTokenSigningConfigured(env)) {
+    throw tokenError('ACCESS_TOKEN_SECRET is not configured', 'AUTH_UNAVAILABLE', 500);
+  }
+  return await crypto.subtle.importKey('raw', new TextEncoder().encode(env.ACCESS_TOKEN_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+function encodeSegment(value) {
+  return toBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(new TextDecoder().decode(fromBase64Url(segment)));
+}
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('Invalid base64url');
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), character => character.charCodeAt(0));
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,247 @@
+// UNITS - Canonical unit spellings and conventional <-> SI conversion per analyte
+// Values are stored as printed (original) and converted to the catalog unit of the
+// analyte (canonical), so results from US and SI labs can be trended together.
+
+import { findAnalyte, findVitalSign } from './analytes.js';
+
+// Units that may follow a result value
+export const UNIT_PATTERN = /(?:mg\/dl|mmol\/l|µmol\/l|umol\/l|nmol\/l|pmol\/l|mmol\/mol|g\/dl|g\/l|u\/l|iu\/l|miu\/l|miu\/ml|uiu\/ml|µiu\/ml|ng\/ml|ng\/dl|ng\/l|pg\/ml|ug\/dl|µg\/dl|ug\/l|µg\/l|mg\/l|meq\/l|mosm\/kg|fl|pg|sec|seconds|ratio|index|%|x?\s*10\^?[369]\/u?l|x?10e[369]\/ul|k\/ul|m\/ul|ml\/min(?:\/1\.73\s*m2)?)/i;
+
+// Lower-cased, whitespace-free spelling -> canonical spelling
+const UNIT_ALIASES = {
+  'mg/dl': 'mg/dL',
+  'mg%': 'mg/dL',
+  'g/dl': 'g/dL',
+  'g/l': 'g/L',
+  'mg/l': 'mg/L',
+  'ug/dl': 'ug/dL',
+  'mcg/dl': 'ug/dL',
+  'ug/l': 'ug/L',
+  'mcg/l': 'ug/L',
+  'ng/ml': 'ng/mL',
+  'ng/dl': 'ng/dL',
+  'ng/l': 'ng/L',
+  'pg/ml': 'pg/mL',
+  'mmol/l': 'mmol/L',
+  'umol/l': 'umol/L',
+  'nmol/l': 'nmol/L',
+  'pmol/l': 'pmol/L',
+  'mmol/mol': 'mmol/mol',
+  'meq/l': 'mEq/L',
+  'mosm/kg': 'mOsm/kg',
+  'u/l': 'U/L',
+  'iu/l': 'U/L',
+  'ukat/l': 'ukat/L',
+  'miu/l': 'mIU/L',
+  'uiu/ml': 'uIU/mL',
+  'uu/ml': 'uIU/mL',
+  'miu/ml': 'mIU/mL',
+  'fl': 'fL',
+  'pg': 'pg',
+  '%': '%',
+  'l/l': 'L/L',
+  'ml/min/1.73m2': 'mL/min/1.73m2',
+  'ml/min/1.73m²': 'mL/min/1.73m2',
+  '10^3/ul': '10^3/uL',
+  'x10^3/ul': '10^3/uL',
+  'k/ul': '10^3/uL',
+  'thou/ul': '10^3/uL',
+  '10^9/l': '10^9/L',
+  'x10^9/l': '10^9/L',
+  '10^6/ul': '10^6/uL',
+  'x10^6/ul': '10^6/uL',
+  'm/ul': '10^6/uL',
+  'mil/ul': '10^6/uL',
+  '10^12/l': '10^12/L',
+  'x10^12/l': '10^12/L',
+  'mmhg': 'mmHg',
+  'bpm': 'bpm',
+  'beats/min': 'bpm',
+  '/min': 'bpm',
+  'kg': 'kg',
+  'kgs': 'kg',
+  'lb': 'lb',
+  'lbs': 'lb',
+  'pounds': 'lb',
+  'kg/m2': 'kg/m2',
+  'kg/m²': 'kg/m2'
+};
+
+// Units that are numerically identical whatever the analyte
+const EQUIVALENT_UNITS = [
+  ['10^3/uL', '10^9/L'],
+  ['10^6/uL', '10^12/L'],
+  ['mIU/L', 'uIU/mL']
+];
+
+// Analyte name -> { unit: factor or { toCanonical, fromCanonical } }, converting into the
+// analyte's catalog unit. A plain number is the multiplier to the canonical unit.
+const CONVERSIONS = {
+  'Total Cholesterol': { 'mmol/L': 38.67 },
+  'LDL Cholesterol': { 'mmol/L': 38.67 },
+  'HDL Cholesterol': { 'mmol/L': 38.67 },
+  'Non-HDL Cholesterol': { 'mmol/L': 38.67 },
+  'VLDL Cholesterol': { 'mmol/L': 38.67 },
+  'Triglycerides': { 'mmol/L': 88.57 },
+  // IFCC mmol/mol <-> NGSP %
+  'HbA1c': {
+    'mmol/mol': {
+      toCanonical: value => value / 10.929 + 2.15,
+      fromCanonical: value => (value - 2.15) * 10.929
+    }
+  },
+  'Glucose': { 'mmol/L': 18.016 },
+  'Insulin': { 'pmol/L': 1 / 6.0 },
+  'ALT': { 'ukat/L': 60 },
+  'AST': { 'ukat/L': 60 },
+  'Alkaline Phosphatase': { 'ukat/L': 60 },
+  'GGT': { 'ukat/L': 60 },
+  'Total Bilirubin': { 'umol/L': 1 / 17.1 },
+  'Albumin': { 'g/L': 0.1 },
+  'Total Protein': { 'g/L': 0.1 },
+  'Creatinine': { 'umol/L': 1 / 88.42 },
+  'BUN': { 'mmol/L': 2.801 },
+  'Uric Acid': { 'umol/L': 1 / 59.48, 'mmol/L': 16.81 },
+  'Sodium': { 'mEq/L': 1 },
+  'Potassium': { 'mEq/L': 1 },
+  'Chloride': { 'mEq/L': 1 },
+  'Bicarbonate': { 'mEq/L': 1 },
+  'Calcium': { 'mmol/L': 4.008, 'mEq/L': 2.004 },
+  'Magnesium': { 'mmol/L': 2.431, 'mEq/L': 1.2155 },
+  'Phosphorus': { 'mmol/L': 3.097 },
+  'Hemoglobin': { 'g/L': 0.1, 'mmol/L': 1.611 },
+  'Hematocrit': { 'L/L': 100 },
+  'MCHC': { 'g/L': 0.1 },
+  'Free T4': { 'pmol/L': 1 / 12.87 },
+  'Free T3': { 'pmol/L': 0.651 },
+  'Testosterone': { 'nmol/L': 28.84 },
+  'Vitamin D': { 'nmol/L': 1 / 2.496 },
+  'Vitamin B12': { 'pmol/L': 1.355 },
+  'Folate': { 'nmol/L': 1 / 2.266 },
+  'Iron': { 'umol/L': 5.585 },
+  'hs-CRP': { 'mg/dL': 10 },
+  'C-Reactive Protein': { 'mg/dL': 10 },
+  'Weight': { 'lb': 0.45359237 }
+};
+
+// Canonical spelling of a unit string ("MG/DL" -> "mg/dL", "x10^9/L" -> "10^9/L"), or the trimmed input
+export function canonicalizeUnit(unit) {
+  if (unit === null || unit === undefined) return null;
+  const trimmed = String(unit).trim();
+  if (!trimmed) return null;
+
+  const key = trimmed
+    .toLowerCase()
+    .replace(/\s+/g, '')
+    .replace(/[µμ]/g, 'u')
+    .replace(/×/g, 'x')
+    .replace(/10[\^*e]?([369]|12)\//, '10^$1/')
+    .replace(/cells\//, '/');
+
+  return UNIT_ALIASES[key] || trimmed;
+}
+
+// True when two unit strings mean the same thing for any analyte
+export function sameUnit(a, b) {
+  const first = canonicalizeUnit(a);
+  const second = canonicalizeUnit(b);
+  if (!first || !second) return false;
+  if (first === second) return true;
+  return EQUIVALENT_UNITS.some(group => group.includes(first) && group.includes(second));
+}
+
+// Convert a value between two units of the same analyte; null when no conversion is known
+export function convertValue(value, fromUnit, toUnit, analyteName) {
+  const numericValue = parseNumericValue(value);
+  if (numericValue === null) return null;
+  if (sameUnit(fromUnit, toUnit)) return numericValue;
+
+  const analyte = findCatalogEntry(analyteName);
+  if (!analyte) return null;
+
+  const toCanonical = conversionToCanonical(analyte, fromUnit);
+  const fromCanonical = conversionFromCanonical(analyte, toUnit);
+  if (!toCanonical || !fromCanonical) return null;
+
+  return roundValue(fromCanonical(toCanonical(numericValue)));
+}
+
+// Original and canonical forms of one result:
+// { value, unit, numericValue, canonicalValue, canonicalUnit, converted }
+export function normalizeMeasurement(analyteName, value, unit) {
+  const analyte = findCatalogEntry(analyteName);
+  const originalUnit = canonicalizeUnit(unit);
+  const numericValue = parseNumericValue(value);
+
+  const result = {
+    value: value,
+    unit: originalUnit || (analyte && !unit ? analyte.unit : unit || null),
+    numericValue: numericValue,
+    canonicalValue: numericValue,
+    canonicalUnit: originalUnit,
+    converted: false
+  };
+
+  if (!analyte) return result;
+
+  // No unit printed: assume the catalog unit
+  if (!originalUnit) {
+    result.canonicalUnit = analyte.unit;
+    return result;
+  }
+
+  const toCanonical = conversionToCanonical(analyte, originalUnit);
+  if (!toCanonical) return result;
+
+  result.canonicalUnit = analyte.unit;
+  if (numericValue !== null) {
+    result.canonicalValue = roundValue(toCanonical(numericValue));
+    result.converted = !sameUnit(originalUnit, analyte.unit);
+  }
+
+  return result;
+}
+
+// Numeric part of a printed result ("<5", "1,25", "6.2 H") or null
+export function parseNumericValue(value) {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  const match = String(value === null || value === undefined ? '' : value)
+    .replace(/(\d),(\d{1,2})(?!\d)/, '$1.$2')
+    .replace(/(\d),(\d{3})(?!\d)/, '$1$2')
+    .match(/-?\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+// Lab analytes and vital signs share units and conversions
+function findCatalogEntry(name) {
+  return findAnalyte(name) || findVitalSign(name);
+}
+
+function conversionToCanonical(analyte, unit) {
+  if (sameUnit(unit, analyte.unit)) return value => value;
+
+  const conversions = CONVERSIONS[analyte.name] || {};
+  const key = Object.keys(conversions).find(candidate => sameUnit(candidate, unit));
+  if (!key) return null;
+
+  const conversion = conversions[key];
+  return typeof conversion === 'number' ? value => value * conversion : conversion.toCanonical;
+}
+
+function conversionFromCanonical(analyte, unit) {
+  if (sameUnit(unit, analyte.unit)) return value => value;
+
+  const conversions = CONVERSIONS[analyte.name] || {};
+  const key = Object.keys(conversions).find(candidate => sameUnit(candidate, unit));
+  if (!key) return null;
+
+  const conversion = conversions[key];
+  return typeof conversion === 'number' ? value => value / conversion : conversion.fromCanonical;
+}
+
+// Keep conversions readable: 4 significant digits, never more than 3 decimals
+function roundValue(value) {
+  if (!isFinite(value)) return null;
+  const precise = parseFloat(value.toPrecision(4));
+  return Math.round(precise * 1000) / 1000;
+}
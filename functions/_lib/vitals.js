@@ -0,0 +1,109 @@
+// VITAL SIGNS - Blood pressure, heart rate, weight, BMI and SpO2 from labelled lines
+// Vitals are printed as "Label: value unit" (or in a two/three column table), never
+// in the Test | Result | Reference layout of a lab report, so each sign has its own
+// label pattern and the value must follow the label directly.
+
+import { VITAL_SIGNS } from './analytes.js';
+import { parseReferenceRange, deriveStatus } from './reference-range.js';
+import { normalizeMeasurement } from './units.js';
+import { debugLog } from './phi.js';
+
+// Label, then ":", "=", "-", tabs or a parenthesised unit, then the value
+const SEPARATOR = '[\\s:=\\-]{1,8}(?:\\((?:mm\\s*hg|bpm|kg|lbs?|%|kg\\/m2)\\)[\\s:=\\-]{0,4})?';
+
+const VITAL_PATTERNS = {
+  'Blood Pressure': new RegExp(`\\b(?:blood\\s+pressure|b\\/?p)${SEPARATOR}(\\d{2,3})\\s*\\/\\s*(\\d{2,3})(?:\\s*(mm\\s*hg))?`, 'i'),
+  'Heart Rate': new RegExp(`\\b(?:heart\\s+rate|pulse(?!\\s*ox)(?:\\s+rate)?|hr)${SEPARATOR}(\\d{2,3})(?![\\d./])(?:\\s*(bpm|beats\\/min|\\/min))?`, 'i'),
+  'Weight': new RegExp(`\\b(?:body\\s+weight|weight|wt)${SEPARATOR}(\\d{1,3}(?:[.,]\\d+)?)(?:\\s*(kgs?|lbs?|pounds))?\\b`, 'i'),
+  'BMI': new RegExp(`\\b(?:bmi|body\\s+mass\\s+index)${SEPARATOR}(\\d{1,2}(?:[.,]\\d+)?)(?:\\s*(kg\\/m2|kg\\/m²))?`, 'i'),
+  'SpO2': new RegExp(`\\b(?:sp[o0]2|o2\\s+sat(?:uration)?|oxygen\\s+saturation|pulse\\s+ox(?:imetry)?)${SEPARATOR}(\\d{2,3})\\s*(%)?`, 'i')
+};
+
+// First reading of each vital sign in the text, as health parameters
+export function extractVitals(text) {
+  const parameters = [];
+  const lines = String(text || '').split(/\n+/);
+
+  VITAL_SIGNS.forEach(vital => {
+    const pattern = VITAL_PATTERNS[vital.name];
+
+    for (const line of lines) {
+      const match = line.match(pattern);
+      if (!match) continue;
+
+      const param = vital.name === 'Blood Pressure'
+        ? buildBloodPressure(vital, match)
+        : buildVital(vital, match[1].replace(',', '.'), match[2]);
+      if (!param) continue;
+
+      parameters.push(param);
+      debugLog(`🩺 VITAL: ${param.parameter} = ${param.value} ${param.unit}`);
+      break;
+    }
+  });
+
+  return parameters;
+}
+
+function buildVital(vital, value, printedUnit) {
+  const measurement = normalizeMeasurement(vital.name, value, printedUnit || vital.unit);
+  const [minValue, maxValue] = vital.plausibleRange;
+  if (measurement.canonicalValue === null || measurement.canonicalValue < minValue || measurement.canonicalValue > maxValue) {
+    return null;
+  }
+
+  const range = parseReferenceRange(vital.reference.text);
+
+  return {
+    category: vital.category,
+    parameter: vital.name,
+    value: value,
+    unit: measurement.unit,
+    canonicalValue: measurement.canonicalValue,
+    canonicalUnit: measurement.canonicalUnit,
+    referenceRange: vital.reference.text || 'Check with healthcare provider',
+    referenceRangeSource: vital.reference.text ? 'catalog' : null,
+    referenceLow: range ? range.low : null,
+    referenceHigh: range ? range.high : null,
+    flag: null,
+    status: deriveStatus(measurement.canonicalValue, range, null, vital.critical),
+    loinc: vital.loinc,
+    source: 'vitals',
+    confidence: 0.85
+  };
+}
+
+// "128/82" - systolic must be above diastolic, both within physiological limits
+function buildBloodPressure(vital, match) {
+  const systolic = parseInt(match[1], 10);
+  const diastolic = parseInt(match[2], 10);
+  if (systolic <= diastolic || systolic < vital.plausibleRange[0] || systolic > vital.plausibleRange[1] || diastolic < 20 || diastolic > 200) {
+    return null;
+  }
+
+  return {
+    category: vital.category,
+    parameter: vital.name,
+    value: `${systolic}/${diastolic}`,
+    unit: 'mmHg',
+    canonicalValue: systolic,
+    canonicalUnit: 'mmHg',
+    referenceRange: vital.reference.text,
+    referenceRangeSource: 'catalog',
+    referenceLow: null,
+    referenceHigh: vital.reference.high,
+    flag: null,
+    status: bloodPressureStatus(systolic, diastolic),
+    loinc: vital.loinc,
+    source: 'vitals',
+    confidence: 0.85
+  };
+}
+
+// ACC/AHA categories: elevated and hypertensive readings are High, crisis or shock Critical
+export function bloodPressureStatus(systolic, diastolic) {
+  if (systolic > 180 || diastolic > 120 || systolic < 70) return 'Critical';
+  if (systolic >= 120 || diastolic >= 80) return 'High';
+  if (systolic < 90 || diastolic < 60) return 'Low';
+  return 'Normal';
+}
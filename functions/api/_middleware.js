@@ -0,0 +1,56 @@
+import { isPublicRoute, getBearerToken } from '../_lib/auth.js';
+import { verifyAccessToken } from '../_lib/tokens.js';
+
+// AUTH MIDDLEWARE - Runs before every /api route: verifies the Bearer access token (signature
+// and expiry, no D1 lookup) and puts its session on context.data.session
+// (see functions/_lib/auth.js and functions/_lib/tokens.js)
+export async function onRequest(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+
+  if (request.method === 'OPTIONS' || isPublicRoute(url.pathname)) {
+    return context.next();
+  }
+
+  // Refused outright, so a client still sending it notices instead of leaking it in logs
+  if (url.searchParams.has('sessionToken')) {
+    return authError('Tokens are not accepted in the URL. Send "Authorization: Bearer <access token>" instead.', 'TOKEN_IN_URL', 400);
+  }
+
+  const accessToken = getBearerToken(request);
+  if (!accessToken) {
+    return authError('Authentication required. Send the access token as "Authorization: Bearer <access token>".', 'AUTH_REQUIRED', 401);
+  }
+
+  try {
+    const claims = await verifyAccessToken(accessToken, env);
+    context.data.session = { session_token: claims.sub, token_family: claims.fam, access_expires_at: claims.exp };
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      console.error('Auth middleware error:', error.message);
+    }
+    return authError(error.message, error.code || 'AUTH_UNAVAILABLE', error.status || 500);
+  }
+
+  return context.next();
+}
+
+function authError(message, code, status) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  };
+  if (status === 401) {
+    headers['WWW-Authenticate'] = code === 'AUTH_REQUIRED' ? 'Bearer' : 'Bearer error="invalid_token"';
+  }
+
+  return new Response(JSON.stringify({
+    success: false,
+    error: message,
+    errorCode: code,
+    timestamp: new Date().toISOString()
+  }), {
+    status: status,
+    headers: headers
+  });
+}
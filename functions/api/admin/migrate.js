@@ -0,0 +1,88 @@
+import { isAdminConfigured, isAdminRequest } from '../../_lib/admin.js';
+import { getMigrationStatus, runMigrations } from '../../_lib/migrate.js';
+
+// SCHEMA MIGRATIONS - Admin only (Authorization: Bearer <ADMIN_TOKEN>)
+//   GET                       - applied and pending migrations
+//   POST { "dryRun": true }   - the SQL each pending migration would run, nothing written
+//   POST                      - apply pending migrations in order
+// No CORS headers: this is called by operators with curl, never from the browser.
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Cache-Control': 'no-store'
+};
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  try {
+    const denied = await checkAdmin(request, env);
+    if (denied) return denied;
+
+    const status = await getMigrationStatus(env);
+
+    return new Response(JSON.stringify({
+      success: true,
+      ...status,
+      timestamp: new Date().toISOString()
+    }), {
+      headers: headers
+    });
+
+  } catch (error) {
+    console.error('Migration status error:', error.message);
+    return errorResponse(error.message, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    const denied = await checkAdmin(request, env);
+    if (denied) return denied;
+
+    const body = await request.text();
+    const options = body ? JSON.parse(body) : {};
+
+    console.log(`=== SCHEMA MIGRATIONS${options.dryRun ? ' (DRY RUN)' : ''} ===`);
+
+    const report = await runMigrations(env, { dryRun: options.dryRun === true });
+
+    return new Response(JSON.stringify({
+      success: !report.failed,
+      ...report,
+      timestamp: new Date().toISOString()
+    }), {
+      status: report.failed ? 500 : 200,
+      headers: headers
+    });
+
+  } catch (error) {
+    console.error('Migration error:', error.message);
+    return errorResponse(error.message, 400);
+  }
+}
+
+// A response when the request is not from an admin, otherwise null
+async function checkAdmin(request, env) {
+  if (!isAdminConfigured(env)) {
+    return errorResponse('Admin endpoints are disabled: ADMIN_TOKEN is not configured', 503);
+  }
+  if (!await isAdminRequest(request, env)) {
+    console.warn('Rejected migration request without a valid admin token');
+    return errorResponse('Admin token required', 401);
+  }
+  return null;
+}
+
+function errorResponse(message, status) {
+  return new Response(JSON.stringify({
+    success: false,
+    error: message,
+    timestamp: new Date().toISOString()
+  }), {
+    status: status,
+    headers: headers
+  });
+}
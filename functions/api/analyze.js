@@ -5,12 +5,12 @@ export async function onRequestPost(context) {
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Content-Type': 'application/json'
   };
 
   try {
-    const { healthData } = await request.json();
+    const { healthData, medications } = await request.json();
     
     if (!healthData || !healthData.trim()) {
       return new Response(JSON.stringify({
@@ -31,12 +31,21 @@ export async function onRequestPost(context) {
     // Step 2: Get medical context from MedlinePlus (in parallel with AI analysis)
     const medicalContextPromise = getMedicalContext(healthParameters);
     
+    // Current medications (statins, metformin, ...) change how results should be read
+    const medicationList = Array.isArray(medications) ? medications.filter(medication => medication && medication.name) : [];
+    const medicationText = medicationList.map(medication =>
+      `- ${medication.name}${medication.strength ? ' ' + medication.strength : ''}${medication.frequency ? ' ' + medication.frequency : ''}${medication.status === 'discontinued' ? ' (discontinued)' : ''}`
+    ).join('\n');
+    
     // Step 3: Create comprehensive health analysis prompt
     const prompt = `You are an expert health data analyst AI. Analyze this health data and provide helpful insights.
 
 Health Data to Analyze:
 ${healthData}
-
+${medicationText ? `
+Current Medications:
+${medicationText}
+` : ''}
 Please provide a comprehensive but concise analysis including:
 
 1. **Key Findings**: What stands out in these health metrics?
@@ -52,6 +61,7 @@ Important Guidelines:
 - Keep response under 400 words
 - Use clear, easy-to-understand language
 - Always recommend consulting healthcare professionals for medical decisions
+- If medications are listed, take them into account (e.g. LDL already on a statin, glucose on metformin) and never advise changing them
 - Be encouraging and supportive in tone
 
 Analysis:`;
@@ -258,7 +268,7 @@ export async function onRequestOptions() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     }
   });
 }
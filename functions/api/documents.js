@@ -1,5 +1,22 @@
+import { findAnalyte, findVitalSign } from '../_lib/analytes.js';
+import { normalizeMeasurement } from '../_lib/units.js';
+import { parseReferenceRange } from '../_lib/reference-range.js';
+import { canonicalMedicationName, getMedicationClass } from '../_lib/medications.js';
+import { verifyOriginal } from '../_lib/originals.js';
+import { validateManualParameter } from '../_lib/manual-entry.js';
+import { generateId } from '../_lib/ids.js';
+import { extractFromFile } from './extract.js';
+
+// Documents re-extracted per request - each one carries its decrypted original
+const MAX_REEXTRACT_BATCH = 10;
+
+// The values health_parameters.status accepts (CHECK constraint, migration 0006)
+const PARAMETER_STATUSES = ['Normal', 'High', 'Low', 'Critical', 'Unknown'];
+
 export async function onRequestPost(context) {
   const { request, env } = context;
+  // Verified by the auth middleware (functions/api/_middleware.js)
+  const { session } = context.data;
   
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
@@ -15,23 +32,14 @@ export async function onRequestPost(context) {
   try {
     console.log('=== DOCUMENTS API CALLED ===');
     
-    const requestData = await request.json();
-    const { action, sessionToken } = requestData;
+    // Re-extraction carries the decrypted originals, so it arrives as multipart
+    const contentType = request.headers.get('content-type') || '';
+    const requestData = contentType.includes('multipart/form-data')
+      ? parseReextractForm(await request.formData())
+      : await request.json();
+    const { action } = requestData;
 
     console.log('Action:', action);
-    console.log('Session token provided:', !!sessionToken);
-
-    if (!sessionToken) {
-      throw new Error('Session token required');
-    }
-
-    // Verify session exists
-    const session = await verifySessionToken(sessionToken, env);
-    if (!session) {
-      throw new Error('Invalid or expired session');
-    }
-
-    console.log('Session verified successfully');
 
     switch (action) {
       case 'list':
@@ -42,6 +50,18 @@ export async function onRequestPost(context) {
         return await deleteDocument(session, requestData, env, corsHeaders);
       case 'healthRecords':
         return await getHealthRecords(session, env, corsHeaders);
+      case 'medications':
+        return await getMedications(session, requestData, env, corsHeaders);
+      case 'reextract':
+        return await reextractDocuments(session, requestData, request, env, corsHeaders);
+      case 'updateParameter':
+        return await updateParameter(session, requestData, env, corsHeaders);
+      case 'addParameter':
+        return await addParameter(session, requestData, env, corsHeaders);
+      case 'deleteParameter':
+        return await deleteParameter(session, requestData, env, corsHeaders);
+      case 'parameterHistory':
+        return await getParameterHistory(session, requestData, env, corsHeaders);
       default:
         throw new Error(`Invalid action: ${action}`);
     }
@@ -62,8 +82,8 @@ export async function onRequestPost(context) {
 
 export async function onRequestGet(context) {
   const { request, env } = context;
+  const { session } = context.data;
   const url = new URL(request.url);
-  const sessionToken = url.searchParams.get('sessionToken');
   const action = url.searchParams.get('action') || 'list';
 
   const corsHeaders = {
@@ -76,19 +96,11 @@ export async function onRequestGet(context) {
   try {
     console.log('=== DOCUMENTS GET API CALLED ===');
     console.log('Action:', action);
-    console.log('Session token provided:', !!sessionToken);
-
-    if (!sessionToken) {
-      throw new Error('Session token required in query parameters');
-    }
-
-    const session = await verifySessionToken(sessionToken, env);
-    if (!session) {
-      throw new Error('Invalid or expired session');
-    }
 
     if (action === 'healthRecords') {
       return await getHealthRecords(session, env, corsHeaders);
+    } else if (action === 'medications') {
+      return await getMedications(session, { status: url.searchParams.get('status') }, env, corsHeaders);
     } else {
       return await listDocuments(session, env, corsHeaders);
     }
@@ -118,7 +130,10 @@ async function getHealthRecords(session, env, corsHeaders) {
         hp.*,
         d.file_name,
         d.document_type,
-        d.created_at as upload_date
+        d.created_at as upload_date,
+        EXISTS (
+          SELECT 1 FROM parameter_edits pe WHERE pe.parameter_id = hp.parameter_id
+        ) as edited
       FROM health_parameters hp
       LEFT JOIN documents d ON hp.document_id = d.document_id
       WHERE hp.session_token = ?
@@ -134,9 +149,8 @@ async function getHealthRecords(session, env, corsHeaders) {
 
     return new Response(JSON.stringify({
       success: true,
-      healthRecords: healthRecords.results || [],
-      totalRecords: healthRecords.results?.length || 0,
-      sessionToken: session.session_token
+      healthRecords: withoutSessionToken(healthRecords.results),
+      totalRecords: healthRecords.results?.length || 0
     }), {
       headers: corsHeaders
     });
@@ -156,8 +170,24 @@ async function storeHealthDocument(session, requestData, env, corsHeaders) {
   console.log('Extracted data received:', !!extractedData);
   
   try {
+    // Nothing is persisted while the extraction still has unresolved table/AI disagreements
+    applyConflictResolutions(extractedData);
+    
+    // The test date comes from the report or from the user - never default to today
+    const parameters = Array.isArray(extractedData?.healthParameters) ? extractedData.healthParameters : [];
+    const undated = parameters.filter(param => !isValidTestDate(param.date || extractedData.testDate));
+    if (undated.length > 0) {
+      throw new Error(`Test date required for ${undated.length} parameter(s) - please confirm the test date (YYYY-MM-DD)`);
+    }
+
+    const medications = Array.isArray(extractedData?.medications) ? extractedData.medications : [];
+    const malformed = medications.filter(medication => !isMedicationEntry(medication));
+    if (malformed.length > 0) {
+      throw new Error(`${malformed.length} medication(s) without a name or with fields that are not text`);
+    }
+    
     // Generate document ID
-    const documentId = generateDocumentId();
+    const documentId = generateId('document');
     
     // Store document metadata
     await env.DB.prepare(`
@@ -184,54 +214,54 @@ async function storeHealthDocument(session, requestData, env, corsHeaders) {
       console.log('Processing', extractedData.healthParameters.length, 'health parameters');
       
       for (const param of extractedData.healthParameters) {
-        const parameterId = generateParameterId();
-        
-        // Extract parameter data
-        const paramName = param.parameter || param.name || 'Unknown Parameter';
-        const paramValue = param.value || '';
-        const paramUnit = param.unit || '';
-        const paramCategory = param.category || categorizeParameter(paramName);
-        const testDate = param.date || extractedData.testDate || new Date().toISOString().split('T')[0];
-        const referenceRange = param.referenceRange || param.reference_range || '';
-        const status = param.status || 'Normal';
+        const row = buildParameterRow(param, param.date || extractedData.testDate);
         
-        // Extract numeric value for trend analysis
-        const numericValue = extractNumericValue(paramValue);
+        console.log(`Storing parameter: ${row.name} = ${row.value}`);
         
-        console.log(`Storing parameter: ${paramName} = ${paramValue}`);
-        
-        await env.DB.prepare(`
-          INSERT INTO health_parameters (
-            parameter_id, session_token, document_id, parameter_name,
-            parameter_value, parameter_unit, reference_range, status,
-            category, test_date, numeric_value, created_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `).bind(
-          parameterId,
-          session.session_token,
-          documentId,
-          paramName,
-          paramValue,
-          paramUnit,
-          referenceRange,
-          status,
-          paramCategory,
-          testDate,
-          numericValue,
-          new Date().toISOString()
-        ).run();
+        await insertParameter(env, session, documentId, row).run();
 
         storedParametersCount++;
       }
     }
 
-    console.log(`Document stored successfully. ${storedParametersCount} parameters saved.`);
+    // Store medications (prescriptions, discharge medication lists)
+    let storedMedicationsCount = 0;
+    
+    for (const medication of medications) {
+      const startDate = isValidTestDate(medication.startDate) ? medication.startDate : null;
+      console.log(`Storing medication: ${medication.name} ${medication.strength || ''}`);
+      
+      await env.DB.prepare(`
+        INSERT INTO medications (
+          medication_id, session_token, document_id, medication_name, drug_class,
+          strength, route, frequency, start_date, status, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        generateId('medication'),
+        session.session_token,
+        documentId,
+        canonicalMedicationName(medication.name),
+        getMedicationClass(medication.name)?.key || null,
+        medication.strength || null,
+        medication.route || null,
+        medication.frequency || null,
+        startDate,
+        medication.status === 'discontinued' ? 'discontinued' : 'active',
+        new Date().toISOString()
+      ).run();
+      
+      storedMedicationsCount++;
+    }
+
+    console.log(`Document stored successfully. ${storedParametersCount} parameters, ${storedMedicationsCount} medications saved.`);
 
     return new Response(JSON.stringify({
       success: true,
       documentId: documentId,
       parametersStored: storedParametersCount,
-      message: `Document "${fileName}" stored with ${storedParametersCount} health parameters`
+      medicationsStored: storedMedicationsCount,
+      message: `Document "${fileName}" stored with ${storedParametersCount} health parameters` +
+        (storedMedicationsCount > 0 ? ` and ${storedMedicationsCount} medications` : '')
     }), {
       headers: corsHeaders
     });
@@ -242,6 +272,685 @@ async function storeHealthDocument(session, requestData, env, corsHeaders) {
   }
 }
 
+// A stored health_parameters row built from an extracted parameter
+function buildParameterRow(param, testDate) {
+  const name = param.parameter || param.name || 'Unknown Parameter';
+  const value = param.value || '';
+  // Keep the printed value/unit and the value converted to the catalog unit for trends
+  const measurement = normalizeMeasurement(name, value, param.unit);
+  
+  return {
+    name: name,
+    value: value,
+    unit: measurement.unit || '',
+    referenceRange: param.referenceRange || param.reference_range || '',
+    status: PARAMETER_STATUSES.includes(param.status) ? param.status : 'Unknown',
+    category: param.category || categorizeParameter(name),
+    testDate: testDate,
+    numericValue: measurement.numericValue,
+    canonicalValue: measurement.canonicalValue,
+    canonicalUnit: measurement.canonicalUnit
+  };
+}
+
+function insertParameter(env, session, documentId, row, parameterId = generateId('parameter')) {
+  return env.DB.prepare(`
+    INSERT INTO health_parameters (
+      parameter_id, session_token, document_id, parameter_name,
+      parameter_value, parameter_unit, reference_range, status,
+      category, test_date, numeric_value, canonical_value, canonical_unit, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    parameterId,
+    session.session_token,
+    documentId,
+    row.name,
+    row.value,
+    row.unit,
+    row.referenceRange,
+    row.status,
+    row.category,
+    row.testDate,
+    row.numericValue,
+    row.canonicalValue,
+    row.canonicalUnit,
+    new Date().toISOString()
+  );
+}
+
+// RE-EXTRACTION - Run the current extractor over stored originals (one document or a
+// batch), diff the result against the document's health_parameters rows and, unless
+// dryRun is set, apply it and keep a record of what changed in document_reextractions.
+// Values the table and AI disagree on are never applied - they are reported for review.
+// Rows the new extractor no longer finds are only deleted with prune, so a regression
+// in the extractor cannot silently drop stored results.
+async function reextractDocuments(session, requestData, request, env, corsHeaders) {
+  const { documentIds, originals, dryRun, prune } = requestData;
+  
+  console.log('=== RE-EXTRACTING DOCUMENTS ===');
+  
+  if (!Array.isArray(documentIds) || documentIds.length === 0) {
+    throw new Error('At least one document ID required');
+  }
+  if (documentIds.length > MAX_REEXTRACT_BATCH) {
+    throw new Error(`At most ${MAX_REEXTRACT_BATCH} documents can be re-extracted per request`);
+  }
+  if (documentIds.some(documentId => typeof documentId !== 'string')) {
+    throw new Error('Document IDs must be strings');
+  }
+  // The decrypted files only arrive as multipart form fields (original:<documentId>)
+  if (!originals || typeof originals !== 'object' || Array.isArray(originals)) {
+    throw new Error('Decrypted originals required: send multipart/form-data with an original:<documentId> file per document');
+  }
+  
+  const results = [];
+  
+  // One at a time - each extraction can be heavy, and one failure must not stop the batch
+  for (const documentId of documentIds) {
+    try {
+      results.push(await reextractDocument(session, documentId, originals[documentId], {
+        dryRun: dryRun,
+        prune: prune,
+        acceptLanguage: request.headers.get('accept-language')
+      }, env));
+    } catch (error) {
+      console.error(`Re-extraction failed for ${documentId}:`, error.message);
+      results.push({ documentId: documentId, success: false, error: error.message });
+    }
+  }
+  
+  const totals = results.reduce((sum, result) => {
+    ['added', 'changed', 'removed', 'unchanged', 'conflicts', 'manual'].forEach(key => {
+      sum[key] += result.summary ? result.summary[key] : 0;
+    });
+    return sum;
+  }, { added: 0, changed: 0, removed: 0, unchanged: 0, conflicts: 0, manual: 0 });
+  
+  return new Response(JSON.stringify({
+    success: true,
+    dryRun: dryRun,
+    documents: results,
+    totals: totals,
+    failed: results.filter(result => !result.success).length
+  }), {
+    headers: corsHeaders
+  });
+}
+
+async function reextractDocument(session, documentId, file, options, env) {
+  const document = await env.DB.prepare(`
+    SELECT document_id, original_key, original_sha256 FROM documents WHERE document_id = ? AND session_token = ?
+  `).bind(documentId, session.session_token).first();
+  
+  if (!document) {
+    throw new Error('Document not found');
+  }
+  
+  await verifyOriginal(env, document, file);
+  
+  const { extractedData } = await extractFromFile(file, env, { acceptLanguage: options.acceptLanguage });
+  
+  const existing = await env.DB.prepare(`
+    SELECT * FROM health_parameters WHERE document_id = ? AND session_token = ?
+  `).bind(documentId, session.session_token).all();
+  
+  const edits = await env.DB.prepare(`
+    SELECT parameter_id, edit_type, before_values FROM parameter_edits
+    WHERE document_id = ? AND session_token = ?
+  `).bind(documentId, session.session_token).all();
+  
+  const diff = diffParameters(existing.results || [], extractedData, edits.results || []);
+  const summary = {
+    added: diff.added.length,
+    changed: diff.changed.length,
+    removed: diff.removed.length,
+    unchanged: diff.unchanged,
+    conflicts: diff.conflicts.length,
+    undated: diff.undated.length,
+    manual: diff.manual.length
+  };
+  
+  const hasChanges = diff.added.length > 0 || diff.changed.length > 0 || (options.prune && diff.removed.length > 0);
+  const applied = !options.dryRun && hasChanges;
+  
+  if (applied) {
+    await applyReextraction(session, documentId, diff, options.prune, env);
+  }
+  
+  console.log(`Re-extraction of ${documentId}: +${summary.added} ~${summary.changed} -${summary.removed} =${summary.unchanged}${applied ? ' (applied)' : ''}`);
+  
+  return {
+    documentId: documentId,
+    success: true,
+    applied: applied,
+    summary: summary,
+    changes: {
+      added: diff.added.map(change => change.after),
+      changed: diff.changed.map(({ before, after }) => ({ before, after })),
+      removed: diff.removed.map(change => change.before),
+      conflicts: diff.conflicts,
+      undated: diff.undated,
+      manual: diff.manual
+    }
+  };
+}
+
+// Compare stored rows with a fresh extraction, matching on catalog name and test date.
+// Results the user corrected, added or deleted by hand (parameter_edits) are reported
+// under manual and left alone, so a re-extraction never undoes a correction.
+function diffParameters(rows, extractedData, edits = []) {
+  const diff = { added: [], changed: [], removed: [], unchanged: 0, conflicts: [], undated: [], manual: [] };
+  const stored = new Map(rows.map(row => [parameterKey(row.parameter_name, row.test_date), row]));
+  const seen = new Set();
+  
+  const editedIds = new Set(edits.filter(edit => edit.edit_type !== 'delete').map(edit => edit.parameter_id));
+  // Where a corrected or deleted row used to be, so the extractor does not bring it back
+  const replacedKeys = new Set(edits
+    .filter(edit => edit.edit_type !== 'add' && edit.before_values)
+    .map(edit => {
+      const before = JSON.parse(edit.before_values);
+      return parameterKey(before.parameter, before.date);
+    }));
+  
+  // Undated results take the report date, else the date already stored for the document
+  const storedDates = Array.from(new Set(rows.map(row => row.test_date).filter(Boolean)));
+  const fallbackDate = extractedData.testDate || (storedDates.length === 1 ? storedDates[0] : null);
+  
+  (extractedData.healthParameters || []).forEach(param => {
+    const row = buildParameterRow(param, param.date || fallbackDate);
+    if (!isValidTestDate(row.testDate)) {
+      diff.undated.push(describeRow(row));
+      return;
+    }
+    
+    const key = parameterKey(row.name, row.testDate);
+    const current = stored.get(key);
+    if (current) seen.add(key);
+    
+    if (current ? editedIds.has(current.parameter_id) : replacedKeys.has(key)) {
+      diff.manual.push({ ...describeRow(row), stored: current ? current.parameter_value : null });
+      return;
+    }
+    
+    if (param.verification === 'conflict') {
+      const conflict = (extractedData.conflicts || []).find(item => item.id === param.conflictId);
+      diff.conflicts.push({
+        ...describeRow(row),
+        stored: current ? current.parameter_value : null,
+        candidates: conflict ? conflict.candidates.map(candidate => ({ source: candidate.source, value: candidate.value, unit: candidate.unit })) : []
+      });
+      return;
+    }
+    
+    if (!current) {
+      diff.added.push({ before: null, after: describeRow(row), row: row });
+    } else if (rowChanged(current, row)) {
+      diff.changed.push({ before: describeStoredRow(current), after: describeRow(row), row: row, parameterId: current.parameter_id });
+    } else {
+      diff.unchanged++;
+    }
+  });
+  
+  stored.forEach((row, key) => {
+    if (!seen.has(key) && !editedIds.has(row.parameter_id)) {
+      diff.removed.push({ before: describeStoredRow(row), after: null, parameterId: row.parameter_id });
+    }
+  });
+  
+  return diff;
+}
+
+// All changes in one D1 batch, so a document is never left half re-extracted
+async function applyReextraction(session, documentId, diff, prune, env) {
+  const statements = [];
+  
+  diff.changed.forEach(change => {
+    statements.push(env.DB.prepare(`
+      UPDATE health_parameters SET
+        parameter_name = ?, parameter_value = ?, parameter_unit = ?, reference_range = ?,
+        status = ?, category = ?, numeric_value = ?, canonical_value = ?, canonical_unit = ?
+      WHERE parameter_id = ? AND session_token = ?
+    `).bind(
+      change.row.name,
+      change.row.value,
+      change.row.unit,
+      change.row.referenceRange,
+      change.row.status,
+      change.row.category,
+      change.row.numericValue,
+      change.row.canonicalValue,
+      change.row.canonicalUnit,
+      change.parameterId,
+      session.session_token
+    ));
+  });
+  
+  diff.added.forEach(change => {
+    statements.push(insertParameter(env, session, documentId, change.row));
+  });
+  
+  const removed = prune ? diff.removed : [];
+  removed.forEach(change => {
+    statements.push(env.DB.prepare(`
+      DELETE FROM health_parameters WHERE parameter_id = ? AND session_token = ?
+    `).bind(change.parameterId, session.session_token));
+  });
+  
+  statements.push(updateParameterCount(env, session, documentId));
+  
+  statements.push(env.DB.prepare(`
+    INSERT INTO document_reextractions (
+      reextraction_id, session_token, document_id, added_count, changed_count,
+      removed_count, unchanged_count, changes, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    generateId('reextraction'),
+    session.session_token,
+    documentId,
+    diff.added.length,
+    diff.changed.length,
+    removed.length,
+    diff.unchanged,
+    JSON.stringify({
+      added: diff.added.map(change => change.after),
+      changed: diff.changed.map(({ before, after }) => ({ before, after })),
+      removed: removed.map(change => change.before)
+    }),
+    new Date().toISOString()
+  ));
+  
+  await env.DB.batch(statements);
+}
+
+function parameterKey(name, date) {
+  const entry = findAnalyte(name) || findVitalSign(name);
+  return `${entry ? entry.name : String(name || '').toLowerCase().trim()}|${date || ''}`;
+}
+
+function rowChanged(current, row) {
+  const same = (a, b) => String(a ?? '').trim() === String(b ?? '').trim();
+  return !same(current.parameter_value, row.value) ||
+    !same(current.parameter_unit, row.unit) ||
+    !same(current.status, row.status) ||
+    !same(current.reference_range, row.referenceRange);
+}
+
+function describeRow(row) {
+  return { parameter: row.name, date: row.testDate, value: row.value, unit: row.unit, status: row.status, referenceRange: row.referenceRange };
+}
+
+function describeStoredRow(row) {
+  return { parameter: row.parameter_name, date: row.test_date, value: row.parameter_value, unit: row.parameter_unit, status: row.status, referenceRange: row.reference_range };
+}
+
+// multipart fields: action, documentId (repeated), original:<documentId>, dryRun, prune
+function parseReextractForm(formData) {
+  const documentIds = formData.getAll('documentId').map(String).filter(Boolean);
+  const originals = {};
+  documentIds.forEach(documentId => {
+    originals[documentId] = formData.get(`original:${documentId}`);
+  });
+  
+  return {
+    action: formData.get('action'),
+    documentIds: Array.from(new Set(documentIds)),
+    originals: originals,
+    dryRun: formData.get('dryRun') === 'true',
+    prune: formData.get('prune') === 'true'
+  };
+}
+
+// Replace each conflicting parameter with the candidate the user chose, or with the value
+// they typed (source 'user'), which gets the same checks as a manually added parameter
+function applyConflictResolutions(extractedData) {
+  const conflicts = Array.isArray(extractedData?.conflicts) ? extractedData.conflicts : [];
+  if (conflicts.length === 0) return;
+  
+  const unresolved = conflicts.filter(conflict => !conflict.resolution);
+  if (unresolved.length > 0) {
+    throw new Error(`Conflicting values must be resolved before storing: ${unresolved.map(conflict => conflict.parameter).join(', ')}`);
+  }
+  
+  const parameters = extractedData.healthParameters || [];
+  
+  conflicts.forEach(conflict => {
+    // By conflict id first - the same test can appear once per date
+    let index = parameters.findIndex(param => param.conflictId === conflict.id);
+    if (index === -1) index = parameters.findIndex(param => param.parameter === conflict.parameter);
+    if (index === -1) return;
+    
+    const current = parameters[index];
+    const { resolution } = conflict;
+    const candidate = (conflict.candidates || []).find(option => option.source === resolution.source && option.parameter);
+    
+    let resolved;
+    if (candidate) {
+      resolved = { ...candidate.parameter, date: current.date || candidate.parameter.date };
+    } else if (resolution.source === 'user') {
+      // Judged against the range already on the parameter, or the catalog's without one
+      const validated = validateManualParameter({
+        parameter: current.parameter,
+        value: resolution.value,
+        unit: resolution.unit || current.unit,
+        referenceRange: parseReferenceRange(current.referenceRange) ? current.referenceRange : ''
+      });
+      resolved = {
+        ...current,
+        parameter: validated.parameter,
+        value: validated.value,
+        unit: validated.unit,
+        referenceRange: validated.referenceRange,
+        status: validated.status,
+        category: validated.category || current.category,
+        source: 'user'
+      };
+    } else {
+      throw new Error(`Resolution for ${conflict.parameter} must pick one of its readings or give a value (source "user")`);
+    }
+    
+    parameters[index] = { ...resolved, verification: 'user_resolved' };
+    console.log(`Conflict ${conflict.id} resolved: ${conflict.parameter} = ${parameters[index].value} (${resolution.source})`);
+  });
+}
+
+// MANUAL CORRECTIONS - Fix, add or remove stored results by hand. Values are validated
+// against the analyte catalog (manual-entry.js), numeric/canonical values and status are
+// recomputed, and each edit is written to parameter_edits in the same batch as the row,
+// so the value originally extracted is always available next to the correction.
+async function updateParameter(session, requestData, env, corsHeaders) {
+  const { parameterId, reason } = requestData;
+  const current = await findParameter(session, parameterId, env);
+  const given = field => requestData[field] !== undefined && requestData[field] !== null;
+  
+  const unit = given('unit') ? requestData.unit : current.parameter_unit;
+  const renamed = given('parameter') && String(requestData.parameter).trim() !== current.parameter_name;
+  const testDate = given('testDate') ? requestData.testDate : current.test_date;
+  
+  if (!isValidTestDate(testDate)) {
+    throw new Error('Test date must be a valid YYYY-MM-DD date');
+  }
+  
+  // A stored range belongs to the old test/unit - without a new one the catalog range applies
+  const keepRange = !renamed && String(unit || '').trim() === String(current.parameter_unit || '').trim();
+  const validated = validateManualParameter({
+    parameter: given('parameter') ? requestData.parameter : current.parameter_name,
+    value: given('value') ? requestData.value : current.parameter_value,
+    unit: unit,
+    referenceRange: given('referenceRange') ? requestData.referenceRange : (keepRange ? current.reference_range : '')
+  });
+  const row = buildParameterRow(validated, testDate);
+  
+  if (row.name === current.parameter_name && row.testDate === current.test_date && !rowChanged(current, row)) {
+    throw new Error('No changes to save');
+  }
+  
+  const edit = buildEdit(session, current.parameter_id, current.document_id, 'update', describeStoredRow(current), describeRow(row), reason);
+  
+  await env.DB.batch([
+    env.DB.prepare(`
+      UPDATE health_parameters SET
+        parameter_name = ?, parameter_value = ?, parameter_unit = ?, reference_range = ?,
+        status = ?, category = ?, test_date = ?, numeric_value = ?, canonical_value = ?, canonical_unit = ?
+      WHERE parameter_id = ? AND session_token = ?
+    `).bind(
+      row.name,
+      row.value,
+      row.unit,
+      row.referenceRange,
+      row.status,
+      row.category,
+      row.testDate,
+      row.numericValue,
+      row.canonicalValue,
+      row.canonicalUnit,
+      current.parameter_id,
+      session.session_token
+    ),
+    insertEdit(env, edit)
+  ]);
+  
+  console.log(`Parameter ${current.parameter_id} corrected (${edit.editId})`);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    parameterId: current.parameter_id,
+    parameter: describeRow(row),
+    edit: describeEdit(edit)
+  }), {
+    headers: corsHeaders
+  });
+}
+
+async function addParameter(session, requestData, env, corsHeaders) {
+  const { documentId, testDate, reason } = requestData;
+  
+  if (!documentId) {
+    throw new Error('Document ID required');
+  }
+  if (!isValidTestDate(testDate)) {
+    throw new Error('Test date must be a valid YYYY-MM-DD date');
+  }
+  
+  const document = await env.DB.prepare(`
+    SELECT document_id FROM documents WHERE document_id = ? AND session_token = ?
+  `).bind(documentId, session.session_token).first();
+  
+  if (!document) {
+    throw new Error('Document not found');
+  }
+  
+  const validated = validateManualParameter(requestData);
+  const row = buildParameterRow(validated, testDate);
+  
+  // One row per test and date in a document - a second one would be corrected, not added
+  const existing = await env.DB.prepare(`
+    SELECT parameter_name, test_date FROM health_parameters WHERE document_id = ? AND session_token = ?
+  `).bind(documentId, session.session_token).all();
+  const key = parameterKey(row.name, row.testDate);
+  if ((existing.results || []).some(stored => parameterKey(stored.parameter_name, stored.test_date) === key)) {
+    throw new Error(`${row.name} on ${row.testDate} is already recorded for this document - edit it instead`);
+  }
+  
+  const parameterId = generateId('parameter');
+  const edit = buildEdit(session, parameterId, documentId, 'add', null, describeRow(row), reason);
+  
+  await env.DB.batch([
+    insertParameter(env, session, documentId, row, parameterId),
+    insertEdit(env, edit),
+    updateParameterCount(env, session, documentId)
+  ]);
+  
+  console.log(`Parameter ${parameterId} added to ${documentId} (${edit.editId})`);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    parameterId: parameterId,
+    parameter: describeRow(row),
+    edit: describeEdit(edit)
+  }), {
+    headers: corsHeaders
+  });
+}
+
+async function deleteParameter(session, requestData, env, corsHeaders) {
+  const { parameterId, reason } = requestData;
+  const current = await findParameter(session, parameterId, env);
+  
+  const edit = buildEdit(session, current.parameter_id, current.document_id, 'delete', describeStoredRow(current), null, reason);
+  
+  await env.DB.batch([
+    env.DB.prepare(`
+      DELETE FROM health_parameters WHERE parameter_id = ? AND session_token = ?
+    `).bind(current.parameter_id, session.session_token),
+    insertEdit(env, edit),
+    updateParameterCount(env, session, current.document_id)
+  ]);
+  
+  console.log(`Parameter ${current.parameter_id} deleted (${edit.editId})`);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    parameterId: current.parameter_id,
+    edit: describeEdit(edit)
+  }), {
+    headers: corsHeaders
+  });
+}
+
+// Edits for one parameter or every parameter of a document, grouped per parameter with
+// the originally extracted values (null for rows added by hand) and the current ones
+async function getParameterHistory(session, requestData, env, corsHeaders) {
+  const { parameterId, documentId } = requestData;
+  
+  if (!parameterId && !documentId) {
+    throw new Error('Parameter ID or document ID required');
+  }
+  
+  const edits = await env.DB.prepare(`
+    SELECT * FROM parameter_edits
+    WHERE session_token = ? AND ${parameterId ? 'parameter_id' : 'document_id'} = ?
+    ORDER BY created_at ASC
+  `).bind(session.session_token, parameterId || documentId).all();
+  
+  const history = new Map();
+  (edits.results || []).forEach(stored => {
+    const edit = {
+      editId: stored.edit_id,
+      type: stored.edit_type,
+      before: stored.before_values ? JSON.parse(stored.before_values) : null,
+      after: stored.after_values ? JSON.parse(stored.after_values) : null,
+      reason: stored.reason,
+      createdAt: stored.created_at
+    };
+    
+    if (!history.has(stored.parameter_id)) {
+      history.set(stored.parameter_id, {
+        parameterId: stored.parameter_id,
+        documentId: stored.document_id,
+        parameter: stored.parameter_name,
+        original: edit.before,
+        edits: []
+      });
+    }
+    
+    const entry = history.get(stored.parameter_id);
+    entry.parameter = stored.parameter_name;
+    entry.current = edit.after;
+    entry.edits.push(edit);
+  });
+  
+  return new Response(JSON.stringify({
+    success: true,
+    parameters: Array.from(history.values()),
+    totalEdits: edits.results?.length || 0
+  }), {
+    headers: corsHeaders
+  });
+}
+
+async function findParameter(session, parameterId, env) {
+  if (!parameterId) {
+    throw new Error('Parameter ID required');
+  }
+  
+  const parameter = await env.DB.prepare(`
+    SELECT * FROM health_parameters WHERE parameter_id = ? AND session_token = ?
+  `).bind(parameterId, session.session_token).first();
+  
+  if (!parameter) {
+    throw new Error('Parameter not found');
+  }
+  
+  return parameter;
+}
+
+function buildEdit(session, parameterId, documentId, type, before, after, reason) {
+  return {
+    editId: generateId('edit'),
+    sessionToken: session.session_token,
+    parameterId: parameterId,
+    documentId: documentId,
+    type: type,
+    parameter: (after || before).parameter,
+    before: before,
+    after: after,
+    reason: reason ? String(reason).trim().substring(0, 500) : null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+function insertEdit(env, edit) {
+  return env.DB.prepare(`
+    INSERT INTO parameter_edits (
+      edit_id, session_token, parameter_id, document_id, edit_type,
+      parameter_name, before_values, after_values, reason, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    edit.editId,
+    edit.sessionToken,
+    edit.parameterId,
+    edit.documentId,
+    edit.type,
+    edit.parameter,
+    edit.before ? JSON.stringify(edit.before) : null,
+    edit.after ? JSON.stringify(edit.after) : null,
+    edit.reason,
+    edit.createdAt
+  );
+}
+
+function describeEdit(edit) {
+  return { editId: edit.editId, type: edit.type, before: edit.before, after: edit.after, reason: edit.reason, createdAt: edit.createdAt };
+}
+
+function updateParameterCount(env, session, documentId) {
+  return env.DB.prepare(`
+    UPDATE documents SET parameter_count = (
+      SELECT COUNT(*) FROM health_parameters WHERE document_id = ? AND session_token = ?
+    ) WHERE document_id = ? AND session_token = ?
+  `).bind(documentId, session.session_token, documentId, session.session_token);
+}
+
+// A medication as the extractor reports it: a name, and text or nothing for the rest
+function isMedicationEntry(medication) {
+  if (!medication || typeof medication.name !== 'string' || !medication.name.trim()) return false;
+  return ['strength', 'route', 'frequency', 'startDate', 'status']
+    .every(field => medication[field] === undefined || medication[field] === null || typeof medication[field] === 'string');
+}
+
+// Medications recorded for this session, newest first ("active" by default, or "all")
+async function getMedications(session, requestData, env, corsHeaders) {
+  console.log('=== GETTING MEDICATIONS ===');
+  
+  try {
+    const includeAll = requestData.status === 'all';
+    const medications = await env.DB.prepare(`
+      SELECT 
+        m.*,
+        d.file_name,
+        d.document_type
+      FROM medications m
+      LEFT JOIN documents d ON m.document_id = d.document_id
+      WHERE m.session_token = ? ${includeAll ? '' : "AND m.status = 'active'"}
+      ORDER BY COALESCE(m.start_date, m.created_at) DESC
+    `).bind(session.session_token).all();
+
+    console.log(`Found ${medications.results?.length || 0} medications`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      medications: withoutSessionToken(medications.results),
+      totalMedications: medications.results?.length || 0
+    }), {
+      headers: corsHeaders
+    });
+
+  } catch (error) {
+    console.error('Error in getMedications:', error);
+    throw new Error(`Failed to load medications: ${error.message}`);
+  }
+}
+
 // List documents for session
 async function listDocuments(session, env, corsHeaders) {
   console.log('=== LISTING DOCUMENTS ===');
@@ -257,7 +966,7 @@ async function listDocuments(session, env, corsHeaders) {
 
     return new Response(JSON.stringify({
       success: true,
-      documents: documents.results || [],
+      documents: withoutSessionToken(documents.results),
       totalDocuments: documents.results?.length || 0
     }), {
       headers: corsHeaders
@@ -269,6 +978,12 @@ async function listDocuments(session, env, corsHeaders) {
   }
 }
 
+// Rows as returned to the client: the session token is the server-side account key and
+// never leaves the API (clients hold access and refresh tokens only)
+function withoutSessionToken(rows) {
+  return (rows || []).map(({ session_token, ...row }) => row);
+}
+
 // Delete document
 async function deleteDocument(session, requestData, env, corsHeaders) {
   const { documentId } = requestData;
@@ -276,16 +991,20 @@ async function deleteDocument(session, requestData, env, corsHeaders) {
   console.log('Deleting document:', documentId);
   
   try {
-    // Delete health parameters first (foreign key constraint)
-    await env.DB.prepare(`
-      DELETE FROM health_parameters WHERE document_id = ? AND session_token = ?
-    `).bind(documentId, session.session_token).run();
-
-    // Delete document
+    const document = await env.DB.prepare(`
+      SELECT original_key FROM documents WHERE document_id = ? AND session_token = ?
+    `).bind(documentId, session.session_token).first();
+    
+    // Health parameters, medications, re-extraction records and edit history go with it (ON DELETE CASCADE)
     await env.DB.prepare(`
       DELETE FROM documents WHERE document_id = ? AND session_token = ?
     `).bind(documentId, session.session_token).run();
 
+    // And the encrypted original, if one was uploaded
+    if (document?.original_key && env.DOCUMENTS) {
+      await env.DOCUMENTS.delete(document.original_key);
+    }
+
     return new Response(JSON.stringify({
       success: true,
       message: 'Document deleted successfully'
@@ -299,39 +1018,18 @@ async function deleteDocument(session, requestData, env, corsHeaders) {
   }
 }
 
-// Verify session token
-async function verifySessionToken(sessionToken, env) {
-  try {
-    console.log('Verifying session token...');
-    const session = await env.DB.prepare(`
-      SELECT * FROM anonymous_sessions 
-      WHERE session_token = ? AND expires_at > datetime('now')
-    `).bind(sessionToken).first();
-    
-    console.log('Session verification result:', session ? 'valid' : 'invalid');
-    return session;
-  } catch (error) {
-    console.error('Database error in verifySessionToken:', error);
-    throw new Error(`Session verification failed: ${error.message}`);
-  }
-}
-
 // Utility functions
-function generateDocumentId() {
-  return 'doc_' + Date.now() + '_' + Math.random().toString(36).substring(2);
-}
-
-function generateParameterId() {
-  return 'param_' + Date.now() + '_' + Math.random().toString(36).substring(2);
-}
-
-function extractNumericValue(value) {
-  if (typeof value === 'number') return value;
-  const match = String(value).match(/[\d.]+/);
-  return match ? parseFloat(match[0]) : null;
+function isValidTestDate(date) {
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
 }
 
 function categorizeParameter(paramName) {
+  const analyte = findAnalyte(paramName) || findVitalSign(paramName);
+  if (analyte) return analyte.category;
+  
+  // Keyword fallback for tests that are not in the analyte catalog
   const name = paramName.toLowerCase();
   
   if (name.includes('cholesterol') || name.includes('hdl') || name.includes('ldl') || name.includes('triglyceride')) {
@@ -1,10 +1,35 @@
+import { extractTextFromPDF } from '../_lib/pdf-text.js';
+import { getOcrProvider, recognizeImages, detectFileType } from '../_lib/ocr.js';
+import { ANALYTES, findAnalyte, findAnalytesInText } from '../_lib/analytes.js';
+import { parseGenericRow, parseRowTail } from '../_lib/row-parser.js';
+import { parseReferenceRange, deriveStatus } from '../_lib/reference-range.js';
+import { detectReportDates, splitReportSections } from '../_lib/dates.js';
+import { extractCumulativeTables } from '../_lib/cumulative.js';
+import { classifyDocument, summarizeImagingReport } from '../_lib/document-types.js';
+import { extractVitals } from '../_lib/vitals.js';
+import { extractMedications } from '../_lib/medications.js';
+import { UNIT_PATTERN, normalizeMeasurement } from '../_lib/units.js';
+import { runStructuredExtraction, groundParameter, HEALTH_PARAMETERS_SCHEMA } from '../_lib/ai-extraction.js';
+import { redactPHI, configureDebug, debugLog } from '../_lib/phi.js';
+
+// Extractors run for each document type; 'labs' covers cumulative tables, report
+// sections and AI verification, 'vitals' labelled vital signs anywhere in the text,
+// 'medications' drug lists and prescriptions
+const DOCUMENT_EXTRACTORS = {
+  lab_report: ['labs', 'vitals'],
+  vitals: ['vitals', 'labs'],
+  discharge_summary: ['labs', 'vitals', 'medications'],
+  prescription: ['medications', 'vitals'],
+  imaging: ['imaging']
+};
+
 export async function onRequestPost(context) {
   const { request, env } = context;
   
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Content-Type': 'application/json'
   };
 
@@ -12,104 +37,40 @@ export async function onRequestPost(context) {
     console.log('=== TABLE-AWARE HEALTH PARAMETER EXTRACTION ===');
     console.log('Timestamp:', new Date().toISOString());
     
-    let textToProcess = '';
-    let fileName = 'unknown';
-    let fileSize = 0;
+    // Document text and row-level detail are only logged/returned (redacted) in debug mode
+    const debug = configureDebug(env);
     
     const contentType = request.headers.get('content-type') || '';
-    
-    if (contentType.includes('multipart/form-data')) {
-      const formData = await request.formData();
-      const pdfFile = formData.get('pdfFile');
-      
-      if (pdfFile && pdfFile instanceof File) {
-        fileName = pdfFile.name;
-        fileSize = pdfFile.size;
-        
-        // Extract text from PDF
-        const extractionResult = await extractPDFText(pdfFile);
-        textToProcess = extractionResult.text;
-        
-        console.log('=== EXTRACTED TEXT ANALYSIS ===');
-        console.log('Text length:', textToProcess.length);
-        console.log('FULL EXTRACTED TEXT:');
-        console.log(textToProcess);
-        
-      } else {
-        throw new Error('PDF file required');
-      }
-    } else {
+    if (!contentType.includes('multipart/form-data')) {
       throw new Error('Multipart form data required');
     }
-
-    if (!textToProcess || textToProcess.length < 50) {
-      throw new Error(`Text extraction failed. Only got ${textToProcess?.length || 0} characters`);
-    }
-
-    console.log('=== STARTING TABLE-AWARE EXTRACTION ===');
-
-    // STEP 1: Detect if this is a table-based lab report
-    const tableStructure = analyzeTableStructure(textToProcess);
-    console.log('Table structure analysis:', tableStructure);
-
-    // STEP 2: Extract parameters using table-aware methods
-    let extractedParams = [];
-    
-    if (tableStructure.isTable) {
-      console.log('🗂️ Using TABLE-BASED extraction...');
-      extractedParams = extractFromTableStructure(textToProcess, tableStructure);
-    } else {
-      console.log('📄 Using TEXT-BASED extraction...');
-      extractedParams = extractFromTextStructure(textToProcess);
-    }
     
-    console.log('Table-aware extraction found:', extractedParams.length, 'parameters');
-
-    // STEP 3: AI verification and enhancement
-    const aiParams = await aiTableVerification(textToProcess, env);
-    console.log('AI verification found:', aiParams.length, 'parameters');
-
-    // STEP 4: Intelligent merge with priority to table extraction
-    const finalParams = intelligentTableMerge(extractedParams, aiParams);
-    console.log('Final merged results:', finalParams.length, 'parameters');
-
-    if (finalParams.length === 0) {
-      throw new Error(`NO PARAMETERS FOUND
-
-EXTRACTED TEXT:
-"${textToProcess}"
-
-TABLE ANALYSIS:
-${JSON.stringify(tableStructure, null, 2)}`);
+    const formData = await request.formData();
+    // 'pdfFile' is also used for JPEG/PNG photos of reports
+    const uploadedFile = formData.get('pdfFile') || formData.get('file');
+    if (!uploadedFile || !(uploadedFile instanceof File)) {
+      throw new Error('PDF or image file required');
     }
-
-    const testDate = detectTestDate(textToProcess) || '2025-09-09';
     
-    const extractedData = {
-      healthParameters: finalParams,
-      documentType: 'Lab Results',
-      testDate: testDate,
-      totalParametersFound: finalParams.length,
-      tableStructure: tableStructure
-    };
+    const { text: textToProcess, extractedData } = await extractFromFile(uploadedFile, env, {
+      acceptLanguage: request.headers.get('accept-language')
+    });
 
     console.log('=== EXTRACTION SUCCESS ===');
-    console.log('Final results:');
-    finalParams.forEach((param, index) => {
-      console.log(`${index + 1}. ${param.parameter}: ${param.value} ${param.unit} (${param.status})`);
+    console.log('Final results:', extractedData.totalParametersFound, 'parameters');
+    extractedData.healthParameters.forEach((param, index) => {
+      debugLog(`${index + 1}. ${param.parameter}: ${param.value} ${param.unit} (${param.status})`);
     });
 
     return new Response(JSON.stringify({
       success: true,
       extractedData: extractedData,
       debugInfo: {
-        fileName: fileName,
-        fileSize: fileSize,
+        fileSize: uploadedFile.size,
         textLength: textToProcess.length,
-        fullExtractedText: textToProcess,
-        tableStructure: tableStructure,
-        parametersFound: finalParams.length,
-        timestamp: new Date().toISOString()
+        parametersFound: extractedData.totalParametersFound,
+        timestamp: new Date().toISOString(),
+        ...(debug ? { redactedText: redactPHI(textToProcess) } : {})
       }
     }), {
       headers: corsHeaders
@@ -130,69 +91,306 @@ ${JSON.stringify(tableStructure, null, 2)}`);
   }
 }
 
-// PDF text extraction
-async function extractPDFText(pdfFile) {
-  try {
-    const arrayBuffer = await pdfFile.arrayBuffer();
-    const uint8Array = new Uint8Array(arrayBuffer);
-    const pdfString = Array.from(uint8Array, byte => String.fromCharCode(byte)).join('');
-    
-    let text = '';
-    
-    // Method 1: Parentheses text
-    const parenthesesMatches = pdfString.match(/\(([^)]+)\)/g);
-    if (parenthesesMatches) {
-      text += parenthesesMatches
-        .map(match => match.slice(1, -1))
-        .filter(t => t.length > 0)
-        .join(' ') + ' ';
-    }
-    
-    // Method 2: BT/ET blocks
-    const btMatches = pdfString.match(/BT(.*?)ET/gs);
-    if (btMatches) {
-      btMatches.forEach(block => {
-        const textCommands = block.match(/\(([^)]*)\)\s*Tj/g);
-        if (textCommands) {
-          textCommands.forEach(cmd => {
-            const match = cmd.match(/\(([^)]*)\)/);
-            if (match && match[1]) text += match[1] + ' ';
-          });
-        }
-      });
+// EXTRACT FROM FILE - Text layer (or OCR) then extractHealthData. Shared by uploads and
+// re-extraction of stored originals; returns { text, extractedData }.
+// options: { acceptLanguage (header value, picks day-first vs month-first dates) }
+export async function extractFromFile(file, env, options = {}) {
+  const extractionResult = await extractDocumentText(file, env);
+  const text = extractionResult.text;
+  
+  console.log('=== EXTRACTED TEXT ANALYSIS ===');
+  console.log('Text length:', text?.length || 0);
+  debugLog('EXTRACTED TEXT (redacted):\n' + text);
+  
+  if (!text || text.length < 50) {
+    throw new Error(`Text extraction failed. Only got ${text?.length || 0} characters`);
+  }
+  
+  const extractedData = await extractHealthData(text, extractionResult.layout, env, {
+    dayFirst: localeUsesDayFirst(options.acceptLanguage),
+    ocr: extractionResult.ocr
+  });
+  
+  return { text, extractedData };
+}
+
+// EXTRACT HEALTH DATA - Everything after text extraction: classification, lab results,
+// vitals, medications and dates. Exported so stored documents can be re-extracted and
+// the regression harness can run fixtures without a multipart request.
+// options: { dayFirst (locale hint for numeric dates), ocr (OCR summary to pass through) }
+export async function extractHealthData(text, layout, env, options = {}) {
+  console.log('=== STARTING TABLE-AWARE EXTRACTION ===');
+  configureDebug(env);
+
+  // Sex/age printed on the report select between qualified reference ranges
+  const patientProfile = detectPatientProfile(text);
+
+  // No printed date means testDate is null - the client asks the user instead of us guessing
+  const reportDates = detectReportDates(text, { dayFirst: options.dayFirst });
+
+  // STEP 0: Classify the document - its type picks the extractors below
+  const classification = classifyDocument(text);
+  const extractors = DOCUMENT_EXTRACTORS[classification.type];
+  console.log(`📋 Document type: ${classification.label} (confidence ${classification.confidence})`);
+
+  const rows = layout && layout.rows.length > 0 ? layout.rows : textToRows(text);
+
+  const labs = extractors.includes('labs')
+    ? await extractLabResults(text, rows, reportDates, patientProfile, env)
+    : { parameters: [], conflicts: [], sections: [], tableStructures: [], cumulativeTables: [], aiSummary: null };
+  const testDate = reportDates.testDate;
+  console.log('Detected test date:', testDate, `(${reportDates.testDateSource || 'none'}, confidence ${reportDates.confidence})`);
+
+  // Vital signs are read from the whole document and dated with the test date
+  const vitals = extractors.includes('vitals') ? extractVitals(text) : [];
+  vitals.forEach(param => {
+    param.date = testDate;
+  });
+  console.log('Vital signs found:', vitals.length);
+
+  const labKeys = new Set(labs.parameters.map(observationKey));
+  const finalParams = labs.parameters.concat(vitals.filter(param => !labKeys.has(observationKey(param))));
+  const conflicts = labs.conflicts;
+  const imaging = extractors.includes('imaging') ? summarizeImagingReport(text) : null;
+
+  // A prescription starts on the day it was written unless the line says otherwise
+  const medications = extractors.includes('medications')
+    ? extractMedications(text, {
+      dayFirst: reportDates.dayFirst,
+      startDate: classification.type === 'prescription' ? testDate : null
+    })
+    : [];
+  console.log('Medications found:', medications.length);
+
+  // Imaging reports have no values to store; every other type must yield results or medications
+  if (finalParams.length === 0 && medications.length === 0 && !imaging) {
+    // Counts only - the document text never goes into an error message
+    const tableRows = labs.tableStructures.reduce((sum, structure) => sum + structure.tableRows.length, 0);
+    throw new Error(`NO PARAMETERS FOUND - no lab results, vital signs or medications recognised in ${text.split(/\n+/).length} lines of text (${classification.label}, ${tableRows} table rows)`);
+  }
+
+  const observationDates = Array.from(new Set(finalParams.map(param => param.date).filter(Boolean))).sort().reverse();
+
+  return {
+    healthParameters: finalParams,
+    documentType: classification.label,
+    documentClassification: { type: classification.type, confidence: classification.confidence },
+    testDate: testDate,
+    testDateSource: reportDates.testDateSource,
+    testDateConfidence: reportDates.confidence,
+    reportDates: {
+      collection: reportDates.collectionDate,
+      received: reportDates.receivedDate,
+      reported: reportDates.reportedDate,
+      printed: reportDates.printedDate
+    },
+    // Every date with at least one result - more than one for cumulative or multi-report PDFs
+    observationDates: observationDates,
+    multiDate: observationDates.length > 1,
+    sections: labs.sections,
+    cumulativeTables: labs.cumulativeTables,
+    totalParametersFound: finalParams.length,
+    // Table and AI disagreed on these values - the client must resolve them before storing
+    conflicts: conflicts,
+    medications: medications.map(medication => ({ ...medication, line: redactPHI(medication.line) })),
+    tableStructure: summarizeTableStructure(labs.tableStructures[0]),
+    imaging: imaging ? { ...imaging, impression: imaging.impression && redactPHI(imaging.impression) } : null,
+    ocr: options.ocr || null,
+    aiVerification: labs.aiSummary
+  };
+}
+
+// LAB RESULTS - Cumulative tables, then table/text extraction per report section,
+// then AI verification. Moves reportDates.testDate to the newest cumulative column
+// when the report prints no collection date.
+async function extractLabResults(text, rows, reportDates, profile, env) {
+  // STEP 1: Cumulative tables (one result column per collection date)
+  const cumulative = extractCumulativeTables(rows, { dayFirst: reportDates.dayFirst });
+  let extractedParams = buildCumulativeParameters(cumulative.observations, profile);
+  console.log('Cumulative tables:', cumulative.tables.length, 'with', extractedParams.length, 'observations');
+
+  // A cumulative report is "as of" its newest column unless a collection date is printed
+  if (cumulative.tables.length > 0 && !reportDates.collectionDate) {
+    reportDates.testDate = cumulative.tables.flatMap(table => table.dates).sort().pop();
+    reportDates.testDateSource = 'cumulative';
+    reportDates.confidence = Math.max(reportDates.confidence, 0.8);
+  }
+  const testDate = reportDates.testDate;
+
+  const consumedRows = new Set(cumulative.tables.flatMap(table => table.rowIndexes));
+  const remainingRows = rows.filter((row, index) => !consumedRows.has(index));
+
+  // STEP 2: One pass per report section - a PDF may hold several reports collected on different dates
+  const sections = splitReportSections(remainingRows.map(rowToLine), { dayFirst: reportDates.dayFirst });
+  const tableStructures = [];
+
+  sections.forEach((section, index) => {
+    const sectionRows = remainingRows.slice(section.start, section.end);
+    const sectionText = sectionRows.map(rowToLine).join('\n');
+    const sectionDate = section.date || testDate;
+    if (sections.length > 1) console.log(`📑 Section ${index + 1}/${sections.length}: ${sectionDate}`);
+
+    // STEP 2a: Detect if this is a table-based lab report
+    const tableStructure = analyzeTableStructure(sectionText, { rows: sectionRows });
+    tableStructures.push(tableStructure);
+
+    // STEP 2b: Extract parameters using table-aware methods
+    let sectionParams;
+    if (tableStructure.isTable) {
+      console.log('🗂️ Using TABLE-BASED extraction...');
+      sectionParams = extractFromTableStructure(sectionText, tableStructure, profile);
+    } else {
+      console.log('📄 Using TEXT-BASED extraction...');
+      sectionParams = extractFromTextStructure(sectionText, profile);
     }
+    console.log('Table-aware extraction found:', sectionParams.length, 'parameters');
+
+    // STEP 2c: Generic rows for tests outside the analyte catalog
+    const genericParams = extractGenericRows(sectionText, tableStructure, profile);
+    console.log('Generic row parser found:', genericParams.length, 'additional parameters');
+
+    sectionParams.concat(genericParams).forEach(param => {
+      param.date = sectionDate;
+      extractedParams.push(param);
+    });
+  });
+
+  // STEP 3: AI verification and enhancement
+  const aiResult = await aiTableVerification(text, env, profile);
+  const aiParams = aiResult.parameters;
+  aiParams.forEach(param => {
+    param.date = testDate;
+  });
+  console.log('AI verification found:', aiParams.length, 'parameters');
+
+  // STEP 4: Intelligent merge with priority to table extraction
+  const { parameters, conflicts } = intelligentTableMerge(extractedParams, aiParams, text);
+  console.log('Final merged results:', parameters.length, 'parameters,', conflicts.length, 'conflicts');
+
+  return {
+    parameters,
+    conflicts,
+    sections: sections.map(section => ({ date: section.date, dateSource: section.dateSource })),
+    tableStructures,
+    cumulativeTables: cumulative.tables.map(table => ({ dates: table.dates, rows: table.rowIndexes.length - 1 })),
+    aiSummary: aiResult.summary
+  };
+}
+
+// PDF text extraction
+async function extractDocumentText(file, env) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const fileType = detectFileType(bytes);
+  
+  // Photographed reports go straight to OCR
+  if (fileType === 'image/jpeg' || fileType === 'image/png') {
+    console.log(`🖼️ Image upload (${fileType}) - running OCR...`);
+    const ocr = await runOCR([{ data: bytes, mimeType: fileType, pageNumber: 1 }], env);
     
-    // Clean text
-    text = text
-      .replace(/\\[rnt]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-    
-    return { text };
-    
+    return {
+      text: ocr.text,
+      layout: ocr.layout,
+      ocr: { provider: ocr.provider, pages: [1], confidence: ocr.confidence }
+    };
+  }
+  
+  if (fileType !== 'application/pdf') {
+    throw new Error('Unsupported file type. Please upload a PDF, JPEG or PNG file');
+  }
+  
+  let result;
+  try {
+    result = await extractTextFromPDF(bytes);
   } catch (error) {
     throw new Error(`PDF extraction failed: ${error.message}`);
   }
+  
+  console.log(`PDF parsed: ${result.pageCount} pages, ${result.objectCount} objects`);
+  
+  if (result.encrypted && result.text.length < 50) {
+    throw new Error('PDF is encrypted and its text could not be read');
+  }
+  
+  // Scanned pages have no text layer - OCR their images and splice the text back in page order
+  const scannedPages = result.pages.filter(page => page.imageOnly);
+  if (scannedPages.length === 0) {
+    return { ...result, ocr: null };
+  }
+  
+  console.log(`🖼️ ${scannedPages.length} image-only page(s): ${scannedPages.map(page => page.pageNumber).join(', ')}`);
+  
+  const images = scannedPages
+    .filter(page => page.image)
+    .map(page => ({ ...page.image, pageNumber: page.pageNumber }));
+  
+  if (images.length === 0) {
+    if (result.text.length >= 50) return { ...result, ocr: null };
+    throw new Error('This PDF is a scan in an image format we cannot read (e.g. fax/CCITT). Please upload a photo (JPEG/PNG) of the report instead');
+  }
+  
+  const ocr = await runOCR(images, env);
+  const ocrPages = new Map(ocr.pages.map(page => [page.pageNumber, page.text]));
+  
+  return {
+    text: result.pages
+      .map(page => ocrPages.has(page.pageNumber) ? ocrPages.get(page.pageNumber) : page.text)
+      .join('\n\n')
+      .trim(),
+    layout: {
+      rows: result.layout.rows
+        .filter(row => !ocrPages.has(row.page))
+        .concat(ocr.layout.rows)
+        .sort((a, b) => a.page - b.page)
+    },
+    ocr: { provider: ocr.provider, pages: images.map(image => image.pageNumber), confidence: ocr.confidence }
+  };
+}
+
+async function runOCR(images, env) {
+  const provider = getOcrProvider(env);
+  if (!provider) {
+    throw new Error('This document is a scan or photo, and no OCR provider is configured');
+  }
+  
+  const ocr = await recognizeImages(images, provider);
+  console.log(`🔤 OCR (${ocr.provider}) recognised ${ocr.text.length} characters, confidence ${ocr.confidence}`);
+  return ocr;
 }
 
 // ANALYZE TABLE STRUCTURE - Detect if this is a structured table
-function analyzeTableStructure(text) {
+function analyzeTableStructure(text, layout) {
   console.log('🗂️ ANALYZING TABLE STRUCTURE');
-  console.log('Text to analyze:', text);
+  debugLog('Text to analyze:', text);
   
   const analysis = {
     isTable: false,
     hasHeaders: false,
     columnPattern: null,
+    columns: null,
+    tableRows: [],
     rowSeparators: [],
     confidence: 0
   };
   
+  // Use the PDF layout (x/y positions) to recover real columns when available
+  if (layout && layout.rows && layout.rows.length > 0) {
+    const layoutTable = reconstructTableRows(layout.rows);
+    
+    if (layoutTable.tableRows.length > 0) {
+      analysis.isTable = true;
+      analysis.hasHeaders = true;
+      analysis.columns = layoutTable.columns;
+      analysis.columnPattern = layoutTable.columns.join('-');
+      analysis.tableRows = layoutTable.tableRows;
+      console.log(`✅ Rebuilt ${layoutTable.tableRows.length} table rows from layout (${analysis.columnPattern})`);
+    }
+  }
+  
   // Look for table indicators
   const tableIndicators = [
     'test', 'result', 'reference range',
     'parameter', 'value', 'normal range',
-    'cholesterol', 'hba1c', 'creatinine'
+    'units', 'flag', 'range'
   ];
   
   let indicatorCount = 0;
@@ -205,7 +403,8 @@ function analyzeTableStructure(text) {
   analysis.confidence = indicatorCount / tableIndicators.length;
   
   // Check for common table patterns
-  if (text.toLowerCase().includes('test') && 
+  if (!analysis.hasHeaders &&
+      text.toLowerCase().includes('test') && 
       text.toLowerCase().includes('result') && 
       text.toLowerCase().includes('reference')) {
     analysis.isTable = true;
@@ -220,9 +419,9 @@ function analyzeTableStructure(text) {
   
   lines.forEach((line, index) => {
     // Look for lines with parameter name + number + unit
-    const hasParam = /(?:cholesterol|hba1c|alt|ast|creatinine)/i.test(line);
+    const hasParam = findAnalytesInText(line).length > 0;
     const hasNumber = /\d+(?:\.\d+)?/.test(line);
-    const hasUnit = /(?:mg\/dl|%|u\/l)/i.test(line);
+    const hasUnit = UNIT_PATTERN.test(line);
     
     if (hasParam && hasNumber) {
       rowPatterns.push({
@@ -242,145 +441,138 @@ function analyzeTableStructure(text) {
     analysis.confidence = Math.min(1.0, analysis.confidence + 0.3);
   }
   
-  console.log('Table analysis result:', analysis);
+  console.log('Table analysis result:', analysis.isTable ? analysis.columnPattern || 'table' : 'no table', `(${analysis.rowSeparators.length} result lines)`);
+  debugLog('Table analysis detail:', analysis);
   return analysis;
 }
 
+// Header labels used to identify lab table columns
+const COLUMN_HEADERS = {
+  test: /^(?:tests?|test name|analyte|component|parameter|investigation|examination|description)$/i,
+  result: /^(?:results?|value|your value|observed value|result value|current result)$/i,
+  flag: /^(?:flag|flags|abnormal|status|h\/l|indicator)$/i,
+  unit: /^(?:units?|uom)$/i,
+  reference: /^(?:reference(?: range| interval| value)?s?|ref\.? range|normal range|normal values?|range|standard range|biological ref(?:erence)? interval)$/i
+};
+
+// RECONSTRUCT TABLE ROWS - Map layout cells onto header columns by x position
+function reconstructTableRows(rows) {
+  const tableRows = [];
+  let header = null;
+  let columns = null;
+  
+  for (const row of rows) {
+    const headerColumns = detectHeaderColumns(row);
+    
+    if (headerColumns) {
+      header = headerColumns;
+      if (!columns) columns = headerColumns.map(col => col.role);
+      continue;
+    }
+    
+    if (!header || row.cells.length < 2) continue;
+    
+    const record = { line: row.cells.map(cell => cell.text).join(' '), page: row.page };
+    
+    row.cells.forEach((cell, index) => {
+      const role = index === 0 ? header[0].role : assignColumn(cell, header);
+      record[role] = record[role] ? `${record[role]} ${cell.text}` : cell.text;
+    });
+    
+    // A data row must have a test name and something that looks like a result
+    if (record.test && record.result && /\d/.test(record.result)) {
+      tableRows.push({
+        test: record.test,
+        result: record.result,
+        flag: record.flag || null,
+        unit: record.unit || null,
+        referenceRange: record.reference || null,
+        line: record.line,
+        page: record.page
+      });
+    }
+  }
+  
+  return { columns: columns || [], tableRows: tableRows };
+}
+
+function detectHeaderColumns(row) {
+  const roles = row.cells.map(cell => {
+    const label = cell.text.replace(/[:*]/g, '').trim();
+    return Object.keys(COLUMN_HEADERS).find(role => COLUMN_HEADERS[role].test(label)) || null;
+  });
+  
+  const recognized = roles.filter(Boolean);
+  if (!roles.includes('result') || recognized.length < 2 || recognized.length < row.cells.length - 1) {
+    return null;
+  }
+  
+  return row.cells.map((cell, index) => ({
+    role: roles[index] || (index === 0 ? 'test' : `column${index}`),
+    x: cell.x,
+    endX: cell.endX
+  }));
+}
+
+// Cells are matched to the right-most header that starts before the cell's centre,
+// which tolerates right-aligned numbers sitting under a left-aligned header
+function assignColumn(cell, header) {
+  const center = (cell.x + cell.endX) / 2;
+  let role = header[0].role;
+  
+  header.forEach(column => {
+    if (column.x - 2 <= center) role = column.role;
+  });
+  
+  return role;
+}
+
 // EXTRACT FROM TABLE STRUCTURE - Focus on result values
-function extractFromTableStructure(text, tableStructure) {
+function extractFromTableStructure(text, tableStructure, profile) {
   console.log('🗂️ TABLE-BASED EXTRACTION');
   console.log('Using table structure:', tableStructure.columnPattern);
   
   const parameters = [];
   const found = new Set();
   
-  // TABLE-AWARE PATTERNS - Look for specific table row formats
-  const tablePatterns = [
-    {
-      name: 'Total Cholesterol',
-      category: 'Cardiovascular',
-      // Match: "Total Cholesterol 218 mg/dL <200 mg/dL" 
-      // Focus on the MIDDLE number (result), not the reference range
-      patterns: [
-        /total\s+cholesterol\s+(\d+(?:\.\d+)?)\s+mg\/dl\s+<\s*\d+/gi,
-        /cholesterol\s+total\s+(\d+(?:\.\d+)?)\s+mg\/dl/gi,
-        /total\s+cholesterol[^0-9]*(\d+(?:\.\d+)?)[^<]*mg\/dl/gi
-      ],
-      unit: 'mg/dL',
-      expectedRange: [100, 400]
-    },
-    {
-      name: 'LDL Cholesterol',
-      category: 'Cardiovascular',
-      // Match: "LDL Cholesterol 152 mg/dL <100 mg/dL"
-      patterns: [
-        /ldl\s+cholesterol\s+(\d+(?:\.\d+)?)\s+mg\/dl\s+<\s*\d+/gi,
-        /cholesterol\s+ldl\s+(\d+(?:\.\d+)?)\s+mg\/dl/gi,
-        /ldl\s+cholesterol[^0-9]*(\d+(?:\.\d+)?)[^<]*mg\/dl/gi
-      ],
-      unit: 'mg/dL',
-      expectedRange: [50, 300]
-    },
-    {
-      name: 'HbA1c',
-      category: 'Metabolic',
-      // Match: "HbA1c 6.2% <5.7%" - Focus on first percentage
-      patterns: [
-        /hba1c\s+(\d+(?:\.\d+)?)\s*%\s+<\s*\d+/gi,
-        /hemoglobin\s+a1c\s+(\d+(?:\.\d+)?)\s*%/gi,
-        /hba1c[^0-9]*(\d+(?:\.\d+)?)\s*%[^<]*</gi
-      ],
-      unit: '%',
-      expectedRange: [3.0, 15.0]
-    },
-    {
-      name: 'ALT',
-      category: 'Liver Function',
-      // Match: "ALT (Liver Enzyme) 62 U/L 7-55 U/L"
-      patterns: [
-        /alt\s+\(liver\s+enzyme\)\s+(\d+(?:\.\d+)?)\s+u\/l\s+\d+\s*-\s*\d+/gi,
-        /alt[^0-9]*(\d+(?:\.\d+)?)\s+u\/l[^0-9]*\d+\s*-/gi,
-        /liver\s+enzyme\s+alt[^0-9]*(\d+(?:\.\d+)?)\s+u\/l/gi
-      ],
-      unit: 'U/L',
-      expectedRange: [10, 200]
-    },
-    {
-      name: 'AST',
-      category: 'Liver Function',
-      // Match: "AST (Liver Enzyme) 47 U/L 8-48 U/L"
-      patterns: [
-        /ast\s+\(liver\s+enzyme\)\s+(\d+(?:\.\d+)?)\s+u\/l\s+\d+\s*-\s*\d+/gi,
-        /ast[^0-9]*(\d+(?:\.\d+)?)\s+u\/l[^0-9]*\d+\s*-/gi,
-        /liver\s+enzyme\s+ast[^0-9]*(\d+(?:\.\d+)?)\s+u\/l/gi
-      ],
-      unit: 'U/L',
-      expectedRange: [10, 200]
-    },
-    {
-      name: 'Creatinine',
-      category: 'Kidney Function',
-      // Match: "Creatinine 1.03 mg/dL 0.7-1.3 mg/dL"
-      patterns: [
-        /creatinine\s+(\d+(?:\.\d+)?)\s+mg\/dl\s+\d+\.\d+\s*-\s*\d+\.\d+/gi,
-        /creatinine[^0-9]*(\d+(?:\.\d+)?)\s+mg\/dl[^0-9]*\d+\.\d+\s*-/gi
-      ],
-      unit: 'mg/dL',
-      expectedRange: [0.5, 3.0]
-    }
-  ];
-
-  // Extract using table-aware patterns
-  tablePatterns.forEach(pattern => {
-    if (found.has(pattern.name)) return;
+  // Prefer structured rows rebuilt from the PDF layout
+  (tableStructure.tableRows || []).forEach(row => {
+    const analyte = findAnalyte(row.test);
+    if (!analyte || found.has(analyte.name)) return;
     
-    console.log(`\n--- Table extraction for: ${pattern.name} ---`);
+    // Some labs print the flag in the result cell ("218 H")
+    const valueMatch = row.result.match(/(\d+(?:\.\d+)?)\s*([A-Za-z*!]{1,4})?/);
+    if (!valueMatch) return;
     
-    for (const regex of pattern.patterns) {
-      regex.lastIndex = 0;
+    const param = buildCatalogParameter(analyte, valueMatch[1], {
+      unit: row.unit,
+      referenceRange: row.referenceRange,
+      flag: row.flag || valueMatch[2] || null
+    }, 'table_layout', profile);
+    if (param) {
+      found.add(analyte.name);
+      parameters.push(param);
+      debugLog(`✅ ROW: ${param.parameter} = ${param.value} ${param.unit} (${param.status})`);
+    }
+  });
+
+  // Then scan each text line for catalog analytes: "<name> <value> <unit> <range>"
+  const lines = text.split(/\n+/);
+  lines.forEach(line => {
+    scanLineForAnalytes(line).forEach(candidate => {
+      if (found.has(candidate.analyte.name)) return;
+      
+      debugLog(`🎯 TABLE MATCH: "${candidate.snippet}"`);
       
-      const match = regex.exec(text);
-      if (match && match[1]) {
-        const value = match[1];
-        const numericValue = parseFloat(value);
-        const fullMatch = match[0];
-        
-        console.log(`🎯 TABLE MATCH: "${fullMatch}"`);
-        console.log(`   Parameter: ${pattern.name}`);
-        console.log(`   Extracted value: ${value}`);
-        console.log(`   Numeric value: ${numericValue}`);
-        
-        // Validate the value is in expected medical range
-        if (numericValue >= pattern.expectedRange[0] && numericValue <= pattern.expectedRange[1]) {
-          found.add(pattern.name);
-          
-          // Determine status
-          let status = 'Normal';
-          if (pattern.name === 'Total Cholesterol' && numericValue > 200) status = 'High';
-          if (pattern.name === 'LDL Cholesterol' && numericValue > 100) status = 'High';
-          if (pattern.name === 'HbA1c' && numericValue > 5.7) status = 'High';
-          if (pattern.name === 'ALT' && numericValue > 55) status = 'High';
-          if (pattern.name === 'AST' && numericValue > 48) status = 'High';
-          if (pattern.name === 'Creatinine' && numericValue > 1.3) status = 'High';
-          
-          parameters.push({
-            category: pattern.category,
-            parameter: pattern.name,
-            value: value,
-            unit: pattern.unit,
-            referenceRange: getReferenceRange(pattern.name),
-            status: status,
-            date: '2025-09-09',
-            source: 'table_extraction'
-          });
-          
-          console.log(`✅ ADDED: ${pattern.name} = ${value} ${pattern.unit} (${status})`);
-          break;
-        } else {
-          console.log(`❌ REJECTED: ${pattern.name} = ${value} (outside range ${pattern.expectedRange[0]}-${pattern.expectedRange[1]})`);
-        }
+      const param = buildCatalogParameter(candidate.analyte, candidate.value, candidate, 'table_extraction', profile);
+      if (param) {
+        found.add(candidate.analyte.name);
+        parameters.push(param);
+        debugLog(`✅ ADDED: ${param.parameter} = ${param.value} ${param.unit} (${param.status})`);
+      } else {
+        debugLog(`❌ REJECTED: ${candidate.analyte.name} = ${candidate.value} (outside plausible range)`);
       }
-    }
+    });
   });
 
   console.log(`🗂️ Table extraction found ${parameters.length} parameters`);
@@ -388,119 +580,208 @@ function extractFromTableStructure(text, tableStructure) {
 }
 
 // EXTRACT FROM TEXT STRUCTURE - For non-table documents
-function extractFromTextStructure(text) {
+function extractFromTextStructure(text, profile) {
   console.log('📄 TEXT-BASED EXTRACTION');
   
   const parameters = [];
   const found = new Set();
   
-  // Standard patterns for text-based documents
-  const textPatterns = [
-    {
-      name: 'Total Cholesterol',
-      category: 'Cardiovascular',
-      patterns: [
-        /total\s*cholesterol\s*[:\-]?\s*(\d+(?:\.\d+)?)/gi,
-        /cholesterol\s*total\s*[:\-]?\s*(\d+(?:\.\d+)?)/gi,
-        /cholesterol\s*[:\-]?\s*(\d+(?:\.\d+)?)\s*mg/gi
-      ],
-      unit: 'mg/dL',
-      expectedRange: [100, 400]
-    },
-    {
-      name: 'LDL Cholesterol',
-      category: 'Cardiovascular',
-      patterns: [
-        /ldl\s*cholesterol\s*[:\-]?\s*(\d+(?:\.\d+)?)/gi,
-        /ldl\s*[:\-]?\s*(\d+(?:\.\d+)?)/gi
-      ],
-      unit: 'mg/dL',
-      expectedRange: [50, 300]
-    },
-    {
-      name: 'HbA1c',
-      category: 'Metabolic',
-      patterns: [
-        /hba1c\s*[:\-]?\s*(\d+(?:\.\d+)?)/gi,
-        /a1c\s*[:\-]?\s*(\d+(?:\.\d+)?)/gi
-      ],
-      unit: '%',
-      expectedRange: [3.0, 15.0]
-    },
-    {
-      name: 'ALT',
-      category: 'Liver Function',
-      patterns: [
-        /alt\s*[:\-]?\s*(\d+(?:\.\d+)?)/gi
-      ],
-      unit: 'U/L',
-      expectedRange: [10, 200]
-    },
-    {
-      name: 'AST',
-      category: 'Liver Function',
-      patterns: [
-        /ast\s*[:\-]?\s*(\d+(?:\.\d+)?)/gi
-      ],
-      unit: 'U/L',
-      expectedRange: [10, 200]
-    },
-    {
-      name: 'Creatinine',
-      category: 'Kidney Function',
-      patterns: [
-        /creatinine\s*[:\-]?\s*(\d+(?:\.\d+)?)/gi
-      ],
-      unit: 'mg/dL',
-      expectedRange: [0.5, 3.0]
+  // Free text may put several results on one line ("Total cholesterol: 218, LDL: 152"),
+  // so the whole text is scanned rather than line by line
+  scanLineForAnalytes(text.replace(/\n+/g, ' ')).forEach(candidate => {
+    if (found.has(candidate.analyte.name)) return;
+    
+    const param = buildCatalogParameter(candidate.analyte, candidate.value, candidate, 'text_extraction', profile);
+    if (param) {
+      found.add(candidate.analyte.name);
+      parameters.push(param);
     }
-  ];
+  });
 
-  // Use same extraction logic as table but with simpler patterns
-  textPatterns.forEach(pattern => {
-    if (found.has(pattern.name)) return;
+  return parameters;
+}
+
+// EXTRACT GENERIC ROWS - Any "<name> <value> [flag] <unit> <range>" row not in the catalog
+function extractGenericRows(text, tableStructure, profile) {
+  console.log('🧾 GENERIC ROW EXTRACTION');
+  
+  const parameters = [];
+  const seen = new Set();
+  
+  const layoutLines = (tableStructure.tableRows || []).map(row =>
+    [row.test, row.result, row.flag, row.unit, row.referenceRange].filter(Boolean).join('\t')
+  );
+  
+  layoutLines.concat(text.split(/\n+/)).forEach(line => {
+    const row = parseGenericRow(line);
+    if (!row || row.confidence < 0.5) return;
     
-    for (const regex of pattern.patterns) {
-      regex.lastIndex = 0;
-      
-      const match = regex.exec(text);
-      if (match && match[1]) {
-        const value = match[1];
-        const numericValue = parseFloat(value);
-        
-        if (numericValue >= pattern.expectedRange[0] && numericValue <= pattern.expectedRange[1]) {
-          found.add(pattern.name);
-          
-          let status = 'Normal';
-          if (pattern.name === 'Total Cholesterol' && numericValue > 200) status = 'High';
-          if (pattern.name === 'LDL Cholesterol' && numericValue > 100) status = 'High';
-          if (pattern.name === 'HbA1c' && numericValue > 5.7) status = 'High';
-          if (pattern.name === 'ALT' && numericValue > 55) status = 'High';
-          if (pattern.name === 'AST' && numericValue > 48) status = 'High';
-          if (pattern.name === 'Creatinine' && numericValue > 1.3) status = 'High';
-          
-          parameters.push({
-            category: pattern.category,
-            parameter: pattern.name,
-            value: value,
-            unit: pattern.unit,
-            referenceRange: getReferenceRange(pattern.name),
-            status: status,
-            date: '2025-09-09',
-            source: 'text_extraction'
-          });
-          
-          break;
-        }
-      }
-    }
+    // Catalog analytes are handled (and range-checked) by the catalog extractors
+    if (findAnalyte(row.name)) return;
+    
+    const key = row.name.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    
+    parameters.push(buildGenericParameter(row, 'generic_row', row.confidence, profile));
+    
+    debugLog(`🧾 GENERIC: ${row.name} = ${row.value} ${row.unit || ''} (confidence ${row.confidence})`);
   });
+  
+  return parameters;
+}
 
+// Find "<analyte> ... <value> [flag] [unit] [range]" candidates. The value is the first
+// number after the analyte name and before the next analyte name, so reference ranges
+// that follow the result are never mistaken for it.
+function scanLineForAnalytes(line) {
+  const mentions = findAnalytesInText(line);
+  const candidates = [];
+  
+  mentions.forEach((mention, index) => {
+    const stop = index + 1 < mentions.length ? mentions[index + 1].index : line.length;
+    const segment = line.slice(mention.end, stop);
+    const valueMatch = segment.match(/^[^0-9<>\n]{0,40}?(\d+(?:\.\d+)?)/);
+    if (!valueMatch) return;
+    
+    const tail = parseRowTail(segment.slice(valueMatch[0].length).replace(/^[,;]\s*/, ''));
+    
+    candidates.push({
+      analyte: mention.analyte,
+      value: valueMatch[1],
+      unit: tail.unit,
+      flag: tail.flag,
+      referenceRange: tail.referenceRange ? tail.referenceRange.replace(/[,;]\s*$/, '') : null,
+      snippet: line.slice(mention.index, stop).trim()
+    });
+  });
+  
+  return candidates;
+}
+
+// A result row for a test outside the analyte catalog, status from its printed range and flag
+function buildGenericParameter(row, source, confidence, profile) {
+  const range = parseReferenceRange(row.referenceRange, profile);
+  const measurement = normalizeMeasurement(row.name, row.value, row.unit);
+  
+  return {
+    category: getCategoryForParameter(row.name),
+    parameter: row.name,
+    value: row.value,
+    unit: measurement.unit || '',
+    canonicalValue: measurement.canonicalValue,
+    canonicalUnit: measurement.canonicalUnit,
+    referenceRange: row.referenceRange || 'Check with healthcare provider',
+    referenceRangeSource: row.referenceRange ? 'report' : null,
+    referenceLow: range ? range.low : null,
+    referenceHigh: range ? range.high : null,
+    flag: row.flag,
+    status: deriveStatus(row.value, range, row.flag),
+    confidence: confidence,
+    source: source
+  };
+}
+
+// CUMULATIVE PARAMETERS - One parameter per (test, date) cell of a cumulative table
+function buildCumulativeParameters(observations, profile) {
+  const parameters = [];
+  
+  observations.forEach(observation => {
+    const analyte = findAnalyte(observation.name);
+    
+    // Non-catalog rows need a unit or range to tell them apart from stray numbers
+    const param = analyte
+      ? buildCatalogParameter(analyte, observation.value, observation, 'cumulative_table', profile)
+      : observation.unit || observation.referenceRange
+        ? buildGenericParameter(observation, 'cumulative_table', 0.8, profile)
+        : null;
+    
+    if (!param) return;
+    param.date = observation.date;
+    parameters.push(param);
+    debugLog(`📅 CUMULATIVE: ${param.parameter} = ${param.value} ${param.unit || ''} on ${param.date}`);
+  });
+  
   return parameters;
 }
 
+// How much we trust a catalog match, by the extractor that produced it
+// (AI results get a per-value score from the hallucination guard instead)
+const SOURCE_CONFIDENCE = {
+  table_layout: 0.95,
+  cumulative_table: 0.9,
+  table_extraction: 0.85,
+  text_extraction: 0.75
+};
+
+// Build a parameter for a catalog analyte, rejecting values outside its plausible range.
+// Values printed in SI (or other known) units are converted to the catalog unit for the
+// plausibility check, the catalog reference fallback and critical limits; the printed
+// value and unit are kept as-is next to the canonical ones.
+// Status comes from the range and flag printed on the report; the catalog's default
+// interval is only used when the report prints none.
+function buildCatalogParameter(analyte, value, details, source, profile) {
+  const measurement = normalizeMeasurement(analyte.name, value, details.unit);
+  const comparable = measurement.canonicalUnit === analyte.unit;
+  const checkedValue = comparable ? measurement.canonicalValue : measurement.numericValue;
+  const [minValue, maxValue] = analyte.plausibleRange;
+  
+  if (checkedValue === null || checkedValue < minValue || checkedValue > maxValue) {
+    return null;
+  }
+  
+  const printedRange = parseReferenceRange(details.referenceRange, profile);
+  const catalogRange = !printedRange && comparable
+    ? parseReferenceRange(analyte.reference.text, profile)
+    : null;
+  
+  // Printed ranges are in the printed unit, the catalog range and critical limits in the canonical one
+  let status = printedRange
+    ? deriveStatus(value, printedRange, details.flag)
+    : deriveStatus(measurement.canonicalValue, catalogRange, details.flag);
+  if (comparable && deriveStatus(measurement.canonicalValue, null, null, analyte.critical) === 'Critical') {
+    status = 'Critical';
+  }
+  const range = printedRange || catalogRange;
+  
+  return {
+    category: analyte.category,
+    parameter: analyte.name,
+    value: value,
+    unit: measurement.unit,
+    canonicalValue: measurement.canonicalValue,
+    canonicalUnit: measurement.canonicalUnit,
+    referenceRange: printedRange ? details.referenceRange : analyte.reference.text,
+    referenceRangeSource: printedRange ? 'report' : 'catalog',
+    referenceLow: range ? range.low : null,
+    referenceHigh: range ? range.high : null,
+    flag: details.flag || null,
+    status: status,
+    loinc: analyte.loinc,
+    source: source,
+    confidence: SOURCE_CONFIDENCE[source] || 0.5
+  };
+}
+
+// Sex and age printed in the report header, used to pick sex/age specific ranges
+function detectPatientProfile(text) {
+  const profile = {};
+  
+  const sexMatch = text.match(/\b(?:sex|gender)\s*[:\-]?\s*(male|female|m|f)\b/i);
+  if (sexMatch) profile.sex = /^f/i.test(sexMatch[1]) ? 'female' : 'male';
+  
+  const ageMatch = text.match(/\bage\s*[:\-]?\s*(\d{1,3})\s*(?:y|yrs?|years)?\b/i);
+  if (ageMatch) profile.age = parseInt(ageMatch[1], 10);
+  
+  return profile;
+}
+
 // AI TABLE VERIFICATION
-async function aiTableVerification(text, env) {
+// The model's output is schema-checked (with repair/retry) and every value must be
+// printed on a line naming the same test, so invented numbers never get through.
+async function aiTableVerification(text, env, profile) {
+  const summary = { attempts: 0, repaired: false, returned: 0, accepted: 0, rejected: 0, error: null };
+  
   try {
     console.log('🤖 AI TABLE VERIFICATION');
     
@@ -508,119 +789,207 @@ async function aiTableVerification(text, env) {
 
 TEXT: ${text}
 
-This appears to be a table with columns: Test | Result | Reference Range
+This appears to be a table with columns: Test | Result | Units | Reference Range
+
+Extract ONLY the Result column values for any of these tests that appear (use these exact names):
+${ANALYTES.map(analyte => `- ${analyte.name}: ? ${analyte.unit}`).join('\n')}
 
-Extract ONLY the Result column values:
-- Total Cholesterol: ? mg/dL
-- LDL Cholesterol: ? mg/dL  
-- HbA1c: ? %
-- ALT: ? U/L
-- AST: ? U/L
-- Creatinine: ? mg/dL
+Copy every value, unit, flag and reference range exactly as printed. Leave out tests that are not in the text.
 
 Return JSON with the ACTUAL RESULT VALUES (middle column):
-{"healthParameters": [{"parameter": "Total Cholesterol", "value": "218", "unit": "mg/dL"}]}
+{"healthParameters": [{"parameter": "Total Cholesterol", "value": "218", "unit": "mg/dL", "flag": "H", "referenceRange": "<200"}]}
 
 JSON only:`;
 
-    const response = await env.AI.run('@cf/meta/llama-3.1-8b-instruct', {
-      prompt: prompt,
-      max_tokens: 1000,
-      temperature: 0.0
+    const result = await runStructuredExtraction(env, prompt, { schema: HEALTH_PARAMETERS_SCHEMA });
+    summary.attempts = result.attempts;
+    summary.repaired = result.repaired;
+    summary.returned = result.data.healthParameters.length;
+    
+    const parameters = [];
+    
+    result.data.healthParameters.forEach(item => {
+      const analyte = findAnalyte(item.parameter);
+      const grounding = analyte ? groundParameter(item, text) : { grounded: false, reason: 'not a catalog test' };
+      
+      if (!grounding.grounded) {
+        summary.rejected++;
+        debugLog(`🚫 AI REJECTED: ${item.parameter} = ${item.value} (${grounding.reason})`);
+        return;
+      }
+      
+      // Flag and range are only trusted when they are on the supporting line too
+      const flag = item.flag && new RegExp(`(?:^|\\s)${escapeRegExp(item.flag)}(?:\\s|$)`).test(grounding.line) ? item.flag : null;
+      const referenceRange = item.referenceRange && grounding.line.includes(item.referenceRange) ? item.referenceRange : null;
+      
+      const param = buildCatalogParameter(analyte, String(item.value).replace(/^[<>]\s*/, '').trim(), {
+        unit: item.unit,
+        referenceRange: referenceRange,
+        flag: flag
+      }, 'ai_verification', profile);
+      
+      if (!param) {
+        summary.rejected++;
+        debugLog(`❌ AI REJECTED: ${analyte.name} = ${item.value} (outside plausible range)`);
+        return;
+      }
+      
+      // Output that needed repair or a retry is trusted a little less
+      param.confidence = Math.round((grounding.confidence - (result.repaired ? 0.1 : 0)) * 100) / 100;
+      summary.accepted++;
+      parameters.push(param);
     });
-
-    if (!response?.response) return [];
-
-    const jsonMatch = response.response.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) return [];
-
-    const data = JSON.parse(jsonMatch[0]);
-    return (data.healthParameters || []).map(param => ({
-      ...param,
-      category: getCategoryForParameter(param.parameter),
-      referenceRange: getReferenceRange(param.parameter),
-      status: 'Unknown',
-      date: '2025-09-09',
-      source: 'ai_verification'
-    }));
+    
+    return { parameters, summary };
 
   } catch (error) {
     console.warn('AI verification failed:', error.message);
-    return [];
+    summary.error = error.message;
+    return { parameters: [], summary };
   }
 }
 
 // INTELLIGENT TABLE MERGE
-function intelligentTableMerge(tableParams, aiParams) {
+// Table/text extraction stays the primary value. Where the AI read the same test,
+// matching values are marked as agreed (higher confidence); different values are
+// reported as conflicts with both candidates and the source line, for the user to resolve.
+// Results are keyed by test and date, so a cumulative report keeps one value per date;
+// the AI reads the whole document without dates and agrees with whichever date it matches.
+function intelligentTableMerge(tableParams, aiParams, text) {
   console.log('🧩 INTELLIGENT TABLE MERGE');
   
   const merged = new Map();
+  const conflicts = [];
   
   // Priority: Table extraction > AI verification
   tableParams.forEach(param => {
-    merged.set(param.parameter, param);
-    console.log(`📌 Table: ${param.parameter} = ${param.value}`);
+    const key = observationKey(param);
+    if (merged.has(key)) return;
+    merged.set(key, param);
+    debugLog(`📌 Table: ${param.parameter} = ${param.value} (${param.date || 'no date'})`);
   });
   
   aiParams.forEach(param => {
-    if (!merged.has(param.parameter)) {
-      merged.set(param.parameter, param);
-      console.log(`🤖 AI: ${param.parameter} = ${param.value}`);
-    } else {
-      console.log(`⚠️ AI duplicate skipped: ${param.parameter}`);
+    const observations = Array.from(merged.values()).filter(existing => existing.parameter === param.parameter);
+    
+    if (observations.length === 0) {
+      merged.set(observationKey(param), param);
+      debugLog(`🤖 AI: ${param.parameter} = ${param.value}`);
+      return;
+    }
+    
+    const agreeing = observations.find(existing => valuesAgree(existing, param));
+    if (agreeing) {
+      merged.set(observationKey(agreeing), {
+        ...agreeing,
+        verification: 'agreed',
+        confidence: Math.min(0.99, Math.max(agreeing.confidence || 0, param.confidence || 0) + 0.05)
+      });
+      debugLog(`✅ AI agrees: ${param.parameter} = ${param.value}`);
+      return;
     }
+    
+    const existing = observations.find(observation => observation.date === param.date) || observations[0];
+    const conflictId = `conflict_${conflicts.length + 1}`;
+    conflicts.push({
+      id: conflictId,
+      parameter: param.parameter,
+      snippet: findSourceSnippet(text, existing),
+      candidates: [existing, { ...param, date: existing.date }].map(candidate => ({
+        source: candidate.source,
+        value: candidate.value,
+        unit: candidate.unit,
+        status: candidate.status,
+        confidence: candidate.confidence,
+        snippet: findSourceSnippet(text, candidate),
+        parameter: candidate
+      })),
+      resolution: null
+    });
+    
+    merged.set(observationKey(existing), { ...existing, verification: 'conflict', conflictId: conflictId });
+    debugLog(`⚠️ CONFLICT: ${param.parameter} table=${existing.value} ${existing.unit} vs AI=${param.value} ${param.unit}`);
   });
   
-  return Array.from(merged.values());
+  return { parameters: Array.from(merged.values()), conflicts };
+}
+
+function observationKey(param) {
+  return `${param.parameter}|${param.date || ''}`;
+}
+
+// Same value once both are in the catalog unit (AI may report 5.4 mmol/L where the table has 97 mg/dL)
+function valuesAgree(a, b) {
+  const first = typeof a.canonicalValue === 'number' ? a.canonicalValue : parseFloat(a.value);
+  const second = typeof b.canonicalValue === 'number' ? b.canonicalValue : parseFloat(b.value);
+  if (isNaN(first) || isNaN(second)) return String(a.value).trim() === String(b.value).trim();
+  if (a.canonicalUnit && b.canonicalUnit && a.canonicalUnit !== b.canonicalUnit) return false;
+  return Math.abs(first - second) <= Math.max(Math.abs(first), Math.abs(second)) * 0.005;
+}
+
+// The line of the report that names the test and prints the value
+function findSourceSnippet(text, param) {
+  const analyte = findAnalyte(param.parameter);
+  const value = String(param.value).trim();
+  const lines = text.split(/\n+/);
+  
+  const line = lines.find(candidate => {
+    const names = analyte ? findAnalytesInText(candidate).some(mention => mention.analyte === analyte) : candidate.includes(param.parameter);
+    return names && candidate.includes(value);
+  }) || lines.find(candidate => analyte && findAnalytesInText(candidate).some(mention => mention.analyte === analyte));
+  
+  return line ? redactPHI(line.replace(/\t/g, '  ').trim().slice(0, 200)) : null;
+}
+
+// Table shape without its rows - the rows are document text
+function summarizeTableStructure(structure) {
+  if (!structure) return null;
+  return {
+    isTable: structure.isTable,
+    hasHeaders: structure.hasHeaders,
+    columnPattern: structure.columnPattern,
+    columns: structure.columns,
+    rowCount: structure.tableRows.length,
+    confidence: structure.confidence
+  };
 }
 
 // Helper functions
 function getCategoryForParameter(paramName) {
-  const categories = {
-    'Total Cholesterol': 'Cardiovascular',
-    'LDL Cholesterol': 'Cardiovascular',
-    'HDL Cholesterol': 'Cardiovascular',
-    'HbA1c': 'Metabolic',
-    'ALT': 'Liver Function',
-    'AST': 'Liver Function',
-    'Creatinine': 'Kidney Function'
-  };
-  return categories[paramName] || 'General';
+  const analyte = findAnalyte(paramName);
+  return analyte ? analyte.category : 'General';
 }
 
-function getReferenceRange(paramName) {
-  const ranges = {
-    'Total Cholesterol': '<200 mg/dL',
-    'LDL Cholesterol': '<100 mg/dL',
-    'HDL Cholesterol': '>40 mg/dL',
-    'HbA1c': '<5.7%',
-    'ALT': '7-55 U/L',
-    'AST': '8-48 U/L',
-    'Creatinine': '0.7-1.3 mg/dL'
-  };
-  return ranges[paramName] || 'Check with healthcare provider';
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-function detectTestDate(text) {
-  const patterns = [
-    /(?:test\s+date|collection\s+date|date)\s*[:\-]?\s*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi,
-    /(?:test\s+date|collection\s+date|date)\s*[:\-]?\s*(\d{1,2}[-\/]\d{1,2}[-\/]\d{4})/gi
-  ];
+// Layout rows as tab separated lines, the same text the PDF extractor builds
+function rowToLine(row) {
+  return row.cells.map(cell => cell.text).join('\t');
+}
 
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match && match[1]) {
-      try {
-        const date = new Date(match[1]);
-        if (!isNaN(date.getTime())) {
-          return date.toISOString().split('T')[0];
-        }
-      } catch (e) {
-        continue;
-      }
-    }
-  }
-  return null;
+// Without a layout (plain text), one row per line with tab separated cells on a synthetic grid
+function textToRows(text) {
+  return text
+    .split(/\n/)
+    .map((line, index) => ({
+      page: 1,
+      y: -index * 12,
+      cells: line
+        .split('\t')
+        .map(cell => cell.trim())
+        .filter(Boolean)
+        .map((cellText, cellIndex) => ({ text: cellText, x: cellIndex * 100, endX: cellIndex * 100 + 90 }))
+    }))
+    .filter(row => row.cells.length > 0);
+}
+
+// Only a hint for numeric dates the report itself leaves ambiguous (03/04/2025)
+function localeUsesDayFirst(acceptLanguage) {
+  const primary = String(acceptLanguage || '').split(',')[0].trim().toLowerCase();
+  if (!primary) return undefined;
+  return !/^en-us\b|^en-ph\b|^en-ca\b|^en$/.test(primary);
 }
 
 export async function onRequestOptions() {
@@ -628,7 +997,7 @@ export async function onRequestOptions() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     }
   });
 }
@@ -0,0 +1,224 @@
+import { extractFromFile } from './extract.js';
+import { verifyOriginal } from '../_lib/originals.js';
+
+// ORIGINAL DOCUMENTS - Encrypted copies of uploaded PDFs/photos in the DOCUMENTS R2 bucket
+// The browser encrypts the file (AES-GCM, key derived from the user's email, security
+// answers and userSalt - see setup.html) before upload, so the bucket only ever holds
+// ciphertext. Stored under "<session token>/<document id>"; the key is kept on the
+// document row together with the SHA-256 of the plaintext, which stays out of the bucket
+// (see functions/_lib/originals.js).
+//   POST action=upload    - multipart: file (ciphertext), documentId, iv, sha256, contentType
+//   POST action=reextract - multipart: file (decrypted original), documentId
+//   GET  ?documentId=...  - the ciphertext, with the IV and original type in headers
+
+const MAX_ORIGINAL_SIZE = 25 * 1024 * 1024 + 16; // upload limit plus the GCM tag
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const { session } = context.data;
+
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  try {
+    console.log('=== ORIGINALS API CALLED ===');
+
+    const contentType = request.headers.get('content-type') || '';
+    if (!contentType.includes('multipart/form-data')) {
+      throw new Error('Multipart form data required');
+    }
+
+    const formData = await request.formData();
+    const action = formData.get('action');
+
+    console.log('Action:', action);
+
+    if (!env.DOCUMENTS) {
+      throw new Error('Document storage is not configured');
+    }
+
+    const document = await findDocument(session, formData.get('documentId'), env);
+
+    switch (action) {
+      case 'upload':
+        return await storeOriginal(session, document, formData, env, corsHeaders);
+      case 'reextract':
+        return await reextractOriginal(document, formData, request, env, corsHeaders);
+      default:
+        throw new Error(`Invalid action: ${action}`);
+    }
+
+  } catch (error) {
+    console.error('Originals API Error:', error.message);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }), {
+      status: 400,
+      headers: corsHeaders
+    });
+  }
+}
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const { session } = context.data;
+  const url = new URL(request.url);
+
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'X-Encryption-IV, X-Encryption-KDF, X-Original-Content-Type, X-Original-SHA256',
+    'Content-Type': 'application/json'
+  };
+
+  try {
+    console.log('=== ORIGINALS GET API CALLED ===');
+
+    if (!env.DOCUMENTS) {
+      throw new Error('Document storage is not configured');
+    }
+
+    const document = await findDocument(session, url.searchParams.get('documentId'), env);
+    const object = await env.DOCUMENTS.get(document.original_key);
+    if (!object) {
+      throw new Error('Original file not found in storage');
+    }
+
+    const metadata = object.customMetadata || {};
+
+    return new Response(object.body, {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/octet-stream',
+        'Cache-Control': 'no-store',
+        'X-Encryption-IV': metadata.iv || '',
+        'X-Encryption-KDF': metadata.kdf || '',
+        'X-Original-Content-Type': metadata.contentType || 'application/pdf',
+        'X-Original-SHA256': document.original_sha256 || ''
+      }
+    });
+
+  } catch (error) {
+    console.error('Originals GET API Error:', error.message);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }), {
+      status: 400,
+      headers: corsHeaders
+    });
+  }
+}
+
+// Store the encrypted original and record its key on the document
+async function storeOriginal(session, document, formData, env, corsHeaders) {
+  const file = formData.get('file');
+  const iv = formData.get('iv');
+  const sha256 = formData.get('sha256');
+  const originalType = formData.get('contentType') || 'application/pdf';
+
+  if (!file || typeof file === 'string') {
+    throw new Error('Encrypted file required');
+  }
+  if (file.size === 0 || file.size > MAX_ORIGINAL_SIZE) {
+    throw new Error('Encrypted file is empty or larger than 25MB');
+  }
+  // 96-bit AES-GCM nonce, base64
+  if (!iv || !/^[A-Za-z0-9+/]{16}$/.test(iv)) {
+    throw new Error('A 12-byte base64 IV is required');
+  }
+  // SHA-256 of the plaintext, checked again when the original is re-extracted
+  if (!sha256 || !/^[0-9a-f]{64}$/.test(sha256)) {
+    throw new Error('SHA-256 of the original file required');
+  }
+  if (!['application/pdf', 'image/jpeg', 'image/png'].includes(originalType)) {
+    throw new Error('Original must be a PDF, JPEG or PNG');
+  }
+
+  const key = document.original_key || `${session.session_token}/${document.document_id}`;
+
+  await env.DOCUMENTS.put(key, await file.arrayBuffer(), {
+    httpMetadata: { contentType: 'application/octet-stream' },
+    customMetadata: {
+      algorithm: 'AES-GCM-256',
+      kdf: formData.get('kdf') || 'PBKDF2-SHA256',
+      iv: iv,
+      contentType: originalType,
+      uploadedAt: new Date().toISOString()
+    }
+  });
+
+  await env.DB.prepare(`
+    UPDATE documents SET original_key = ?, original_sha256 = ? WHERE document_id = ? AND session_token = ?
+  `).bind(key, sha256, document.document_id, session.session_token).run();
+
+  console.log(`Original stored for document ${document.document_id} (${file.size} bytes encrypted)`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    documentId: document.document_id,
+    size: file.size,
+    message: 'Encrypted original stored'
+  }), {
+    headers: corsHeaders
+  });
+}
+
+// Run the current extractor over the original the browser has just decrypted.
+// The plaintext hash must match the one recorded at upload, so only the stored file
+// can be re-extracted against this document.
+async function reextractOriginal(document, formData, request, env, corsHeaders) {
+  const file = formData.get('file');
+  await verifyOriginal(env, document, file);
+
+  console.log(`Re-extracting document ${document.document_id}`);
+
+  const { extractedData } = await extractFromFile(file, env, {
+    acceptLanguage: request.headers.get('accept-language')
+  });
+
+  return new Response(JSON.stringify({
+    success: true,
+    documentId: document.document_id,
+    extractedData: extractedData,
+    timestamp: new Date().toISOString()
+  }), {
+    headers: corsHeaders
+  });
+}
+
+// The session's document row; uploads need it to exist, everything else needs an original
+async function findDocument(session, documentId, env) {
+  if (!documentId) {
+    throw new Error('Document ID required');
+  }
+
+  const document = await env.DB.prepare(`
+    SELECT document_id, original_key, original_sha256 FROM documents WHERE document_id = ? AND session_token = ?
+  `).bind(documentId, session.session_token).first();
+
+  if (!document) {
+    throw new Error('Document not found');
+  }
+
+  return document;
+}
+
+export async function onRequestOptions() {
+  return new Response(null, {
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Expose-Headers': 'X-Encryption-IV, X-Encryption-KDF, X-Original-Content-Type, X-Original-SHA256'
+    }
+  });
+}
@@ -1,19 +1,23 @@
+import { normalizeMeasurement } from '../_lib/units.js';
+import { findAnalyte, findVitalSign } from '../_lib/analytes.js';
+import { getMedicationClass } from '../_lib/medications.js';
+import { generateId } from '../_lib/ids.js';
+
 export async function onRequestPost(context) {
   const { request, env } = context;
+  // Verified by the auth middleware (functions/api/_middleware.js)
+  const { session } = context.data;
+  const sessionToken = session.session_token;
   
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Content-Type': 'application/json'
   };
 
   try {
-    const { sessionToken, healthParameters, userProfile } = await request.json();
-    
-    if (!sessionToken) {
-      throw new Error('Session token required');
-    }
+    const { healthParameters, userProfile, medications } = await request.json();
 
     if (!healthParameters || healthParameters.length === 0) {
       throw new Error('Health parameters required for risk assessment');
@@ -21,17 +25,14 @@ export async function onRequestPost(context) {
 
     console.log('Starting risk assessment for', healthParameters.length, 'parameters');
 
-    // Verify session
-    const session = await verifySessionToken(sessionToken, env);
-    if (!session) {
-      throw new Error('Invalid session token');
-    }
-
     // Get user's historical data for context
     const historicalData = await getHistoricalHealthData(sessionToken, env);
     
+    // Medications sent with the request (just extracted) or the ones already on record
+    const currentMedications = Array.isArray(medications) ? medications : await getCurrentMedications(sessionToken, env);
+    
     // Calculate comprehensive risk scores
-    const riskAssessment = await calculateHealthRisks(healthParameters, historicalData, userProfile, env);
+    const riskAssessment = await calculateHealthRisks(healthParameters, historicalData, userProfile, env, currentMedications);
     
     // Generate personalized recommendations
     const recommendations = await generatePersonalizedRecommendations(riskAssessment, healthParameters, userProfile, env);
@@ -45,7 +46,8 @@ export async function onRequestPost(context) {
       recommendations: recommendations,
       timestamp: new Date().toISOString(),
       parametersAnalyzed: healthParameters.length,
-      historicalDataPoints: historicalData.length
+      historicalDataPoints: historicalData.length,
+      medicationsConsidered: currentMedications.length
     }), {
       headers: corsHeaders
     });
@@ -64,7 +66,7 @@ export async function onRequestPost(context) {
 }
 
 // Calculate comprehensive health risks
-async function calculateHealthRisks(healthParameters, historicalData, userProfile, env) {
+async function calculateHealthRisks(healthParameters, historicalData, userProfile, env, medications = []) {
   const riskScores = {
     cardiovascular: 0,
     metabolic: 0,
@@ -80,6 +82,13 @@ async function calculateHealthRisks(healthParameters, historicalData, userProfil
   for (const param of healthParameters) {
     const parameterRisk = assessParameterRisk(param, userProfile);
     
+    // A value on treatment (LDL on a statin, glucose on metformin) reads differently
+    const treatments = medicationsAffecting(param.parameter || param.name, medications);
+    if (treatments.length > 0) {
+      parameterRisk.medications = treatments;
+      parameterRisk.message += ` (on ${treatments.join(', ')} - value reflects treatment)`;
+    }
+    
     // Add to appropriate risk category
     if (parameterRisk.category === 'cardiovascular') {
       riskScores.cardiovascular += parameterRisk.score;
@@ -117,7 +126,7 @@ async function calculateHealthRisks(healthParameters, historicalData, userProfil
   const trends = analyzeTrends(healthParameters, historicalData);
 
   // Generate AI-powered risk insights
-  const aiInsights = await generateRiskInsights(riskScores, riskFactors, protectiveFactors, trends, env);
+  const aiInsights = await generateRiskInsights(riskScores, riskFactors, protectiveFactors, trends, env, medications);
 
   return {
     scores: riskScores,
@@ -133,30 +142,36 @@ async function calculateHealthRisks(healthParameters, historicalData, userProfil
 // Assess individual parameter risk
 function assessParameterRisk(parameter, userProfile) {
   const paramName = parameter.parameter?.toLowerCase() || parameter.name?.toLowerCase() || '';
-  const value = parseFloat(parameter.value) || 0;
-  const unit = parameter.unit || '';
+  // Thresholds below are in conventional units, so compare the value converted to the catalog unit
+  const measurement = normalizeMeasurement(parameter.parameter || parameter.name, parameter.value, parameter.unit);
+  const value = measurement.canonicalValue || 0;
+  const unit = measurement.canonicalUnit || '';
 
   // Age and gender adjustments
   const age = userProfile?.age || 40;
   const gender = userProfile?.gender?.toLowerCase() || 'unknown';
 
-  if (paramName.includes('cholesterol total')) {
+  // Dispatch on the catalog name, so "Non-HDL Cholesterol" or "VLDL Cholesterol" is not read as HDL/LDL
+  const entry = findAnalyte(parameter.parameter || parameter.name) || findVitalSign(parameter.parameter || parameter.name);
+  const canonicalName = entry ? entry.name : null;
+
+  if (canonicalName === 'Total Cholesterol') {
     return assessCholesterolRisk(value, age, gender);
-  } else if (paramName.includes('hdl')) {
+  } else if (canonicalName === 'HDL Cholesterol') {
     return assessHDLRisk(value, gender);
-  } else if (paramName.includes('ldl')) {
+  } else if (canonicalName === 'LDL Cholesterol') {
     return assessLDLRisk(value, age);
-  } else if (paramName.includes('triglycerides')) {
+  } else if (canonicalName === 'Triglycerides') {
     return assessTriglyceridesRisk(value);
-  } else if (paramName.includes('glucose') || paramName.includes('blood sugar')) {
+  } else if (canonicalName === 'Glucose') {
     return assessGlucoseRisk(value);
-  } else if (paramName.includes('hemoglobin a1c') || paramName.includes('hba1c')) {
+  } else if (canonicalName === 'HbA1c') {
     return assessA1CRisk(value);
-  } else if (paramName.includes('blood pressure')) {
+  } else if (canonicalName === 'Blood Pressure') {
     return assessBloodPressureRisk(parameter.value);
-  } else if (paramName.includes('crp') || paramName.includes('c-reactive protein')) {
+  } else if (canonicalName === 'hs-CRP' || canonicalName === 'C-Reactive Protein') {
     return assessCRPRisk(value);
-  } else if (paramName.includes('vitamin d')) {
+  } else if (canonicalName === 'Vitamin D') {
     return assessVitaminDRisk(value);
   } else {
     // Generic assessment for unknown parameters
@@ -434,7 +449,13 @@ function assessBloodPressureRisk(bpValue) {
 }
 
 // Generate AI-powered risk insights
-async function generateRiskInsights(riskScores, riskFactors, protectiveFactors, trends, env) {
+async function generateRiskInsights(riskScores, riskFactors, protectiveFactors, trends, env, medications = []) {
+  const medicationLines = medications.map(medication => {
+    const name = medication.medication_name || medication.name;
+    const drugClass = getMedicationClass(name);
+    return `- ${name}${medication.strength ? ' ' + medication.strength : ''}${medication.frequency ? ' ' + medication.frequency : ''}${drugClass ? ` (${drugClass.label})` : ''}`;
+  });
+  
   const prompt = `Analyze this health risk assessment and provide insights:
 
 Risk Scores:
@@ -447,6 +468,9 @@ Risk Scores:
 High Risk Factors: ${riskFactors.length}
 Protective Factors: ${protectiveFactors.length}
 
+Current Medications:
+${medicationLines.length > 0 ? medicationLines.join('\n') : '- None recorded'}
+
 Provide:
 1. Overall health risk assessment
 2. Key areas of concern 
@@ -454,6 +478,7 @@ Provide:
 4. Risk mitigation strategies
 5. When to consult healthcare provider
 
+Where a result is already on treatment (e.g. LDL on a statin, glucose on metformin), say so instead of suggesting that treatment.
 Keep response under 250 words, professional but encouraging tone.`;
 
   try {
@@ -491,7 +516,7 @@ function analyzeTrends(currentParams, historicalData) {
 async function getHistoricalHealthData(sessionToken, env) {
   try {
     const results = await env.DB.prepare(`
-      SELECT parameter_name, parameter_value, test_date
+      SELECT parameter_name, parameter_value, parameter_unit, canonical_value, canonical_unit, test_date
       FROM health_parameters
       WHERE session_token = ?
       ORDER BY test_date DESC
@@ -505,6 +530,35 @@ async function getHistoricalHealthData(sessionToken, env) {
   }
 }
 
+async function getCurrentMedications(sessionToken, env) {
+  try {
+    const results = await env.DB.prepare(`
+      SELECT medication_name, drug_class, strength, route, frequency, start_date
+      FROM medications
+      WHERE session_token = ? AND status = 'active'
+      ORDER BY start_date DESC
+    `).bind(sessionToken).all();
+    
+    return results.results || [];
+  } catch (error) {
+    console.error('Error fetching medications:', error);
+    return [];
+  }
+}
+
+// Names of the current medications whose class is known to move this result
+function medicationsAffecting(parameterName, medications) {
+  const entry = findAnalyte(parameterName) || findVitalSign(parameterName);
+  if (!entry) return [];
+  
+  return medications
+    .map(medication => medication.medication_name || medication.name)
+    .filter(name => {
+      const drugClass = getMedicationClass(name);
+      return drugClass && drugClass.affects.includes(entry.name);
+    });
+}
+
 async function generatePersonalizedRecommendations(riskAssessment, healthParameters, userProfile, env) {
   // This would generate specific recommendations based on risk factors
   return {
@@ -522,7 +576,7 @@ async function storeRiskAssessment(sessionToken, riskAssessment, env) {
         log_id, session_token, analysis_type, created_at
       ) VALUES (?, ?, 'risk_assessment', ?)
     `).bind(
-      'risk_' + Date.now(),
+      generateId('log'),
       sessionToken,
       new Date().toISOString()
     ).run();
@@ -531,19 +585,12 @@ async function storeRiskAssessment(sessionToken, riskAssessment, env) {
   }
 }
 
-async function verifySessionToken(sessionToken, env) {
-  return await env.DB.prepare(`
-    SELECT * FROM anonymous_sessions 
-    WHERE session_token = ? AND expires_at > datetime('now')
-  `).bind(sessionToken).first();
-}
-
 export async function onRequestOptions() {
   return new Response(null, {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     }
   });
 }
@@ -1,3 +1,11 @@
+import { generateSessionToken, generateSalt, generateId } from '../_lib/ids.js';
+import { hashSecurityAnswer, verifySecurityAnswer, needsRehash } from '../_lib/security-answers.js';
+import {
+  getThrottleSubjects, registerAttempt, recordFailure, clearFailures, createThrottleError
+} from '../_lib/login-throttle.js';
+import { issueTokens, rotateRefreshToken, revokeRefreshTokenFamily, revokeAllRefreshTokens } from '../_lib/tokens.js';
+import { deleteSessionOriginals } from '../_lib/originals.js';
+
 export async function onRequestPost(context) {
   const { request, env } = context;
   
@@ -15,19 +23,32 @@ export async function onRequestPost(context) {
       case 'create':
         return await createAnonymousSession(data, env, corsHeaders);
       case 'verify':
-        return await verifySession(data, env, corsHeaders);
-      case 'regenerate':
-        return await regenerateSessionKey(data, env, corsHeaders);
+        return await verifySession(data, env, corsHeaders, request);
+      case 'refresh':
+        return await refreshTokens(data, env, corsHeaders);
+      case 'logout':
+        return await logout(data, env, corsHeaders);
+      case 'revoke':
+        return await revokeAllTokens(data, env, corsHeaders);
       default:
         throw new Error('Invalid action');
     }
 
   } catch (error) {
     console.error('Session management error:', error);
-    
+
+    // Throttled and failed verifications say when the client may try again
+    const headers = error.retryAfterSeconds > 0
+      ? { ...corsHeaders, 'Retry-After': String(error.retryAfterSeconds) }
+      : corsHeaders;
+
     return new Response(JSON.stringify({
       success: false,
       error: error.message,
+      errorCode: error.code,
+      retryAt: error.retryAt,
+      retryAfterSeconds: error.retryAfterSeconds,
+      attemptsBeforeLockout: error.attemptsBeforeLockout,
       details: `Session operation failed: ${error.message}`,
       timestamp: new Date().toISOString(),
       troubleshooting: {
@@ -45,8 +66,8 @@ export async function onRequestPost(context) {
         ]
       }
     }), {
-      status: 500,
-      headers: corsHeaders
+      status: error.status || 500,
+      headers: headers
     });
   }
 }
@@ -79,33 +100,23 @@ async function createAnonymousSession(data, env, corsHeaders) {
       // Check if session is still valid
       const now = new Date().toISOString();
       if (existingSession.expires_at > now) {
-        console.log('Existing session is still valid, returning existing session');
-        
-        // Update last activity and device
-        await env.DB.prepare(`
-          UPDATE anonymous_sessions 
-          SET last_activity = ?, device_fingerprint = ?
-          WHERE session_token = ?
-        `).bind(
-          now,
-          deviceFingerprint,
-          existingSession.session_token
-        ).run();
-
-        return new Response(JSON.stringify({
-          success: true,
-          sessionToken: existingSession.session_token,
-          userSalt: existingSession.user_salt,
-          message: 'Existing session found and reactivated',
-          expiresAt: existingSession.expires_at,
-          isExisting: true
-        }), {
-          headers: corsHeaders
-        });
+        // Tokens for an existing user only ever come from verify, after the security answers
+        console.log('Existing session is still valid, refusing to create another');
+        const error = new Error('User session already exists. Use verify with your security answers to access it.');
+        error.code = 'SESSION_EXISTS';
+        error.status = 409;
+        throw error;
       } else {
         console.log('Existing session expired, will delete and create new');
         
-        // Delete expired session
+        // The encrypted originals in R2 first - the cascade below only reaches D1
+        const expired = await env.DB.prepare(`
+          SELECT session_token FROM anonymous_sessions WHERE user_email_hash = ?
+        `).bind(userEmailHash).all();
+        const removed = await deleteSessionOriginals(env, (expired.results || []).map(row => row.session_token));
+        console.log('Originals of the expired session deleted:', removed);
+        
+        // Delete expired session (its documents and results go with it - ON DELETE CASCADE)
         await env.DB.prepare(`
           DELETE FROM anonymous_sessions 
           WHERE user_email_hash = ?
@@ -115,16 +126,16 @@ async function createAnonymousSession(data, env, corsHeaders) {
 
     // STEP 2: Generate new session components
     console.log('Generating new session...');
-    const sessionToken = generateAnonymousToken();
+    const sessionToken = generateSessionToken();
     const userSalt = generateSalt();
     
-    console.log('Session token generated:', sessionToken.substring(0, 20) + '...');
-    console.log('User salt generated:', userSalt.substring(0, 10) + '...');
+    // Never log any part of the token - it is the credential
+    console.log('Session token and salt generated');
 
     // STEP 3: Hash security answers for verification
     console.log('Hashing security answers...');
     const answerHashes = await Promise.all(
-      securityAnswers.map(answer => hashSecurityAnswer(answer.toLowerCase().trim(), userSalt))
+      securityAnswers.map(answer => hashSecurityAnswer(answer.toLowerCase().trim(), env))
     );
     console.log('Security answers hashed successfully');
 
@@ -184,19 +195,15 @@ async function createAnonymousSession(data, env, corsHeaders) {
 
     console.log('=== SESSION CREATED SUCCESSFULLY ===');
 
+    const tokens = await issueTokens(env, sessionData, deviceFingerprint);
+
     return new Response(JSON.stringify({
       success: true,
-      sessionToken: sessionToken,
+      ...tokens,
       userSalt: userSalt,
       message: 'Anonymous session created successfully',
       expiresAt: expiresAt,
-      isExisting: false,
-      debugInfo: {
-        userEmailHashLength: userEmailHash.length,
-        saltLength: userSalt.length,
-        sessionTokenLength: sessionToken.length,
-        answersHashed: answerHashes.length
-      }
+      isExisting: false
     }), {
       headers: corsHeaders
     });
@@ -208,8 +215,19 @@ async function createAnonymousSession(data, env, corsHeaders) {
   }
 }
 
+// Failed verification carrying the throttle the failed attempt has put in place, if any
+function verificationError(message, code, status, throttle) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.retryAt = throttle.retryAt;
+  error.retryAfterSeconds = throttle.retryAfterSeconds;
+  error.attemptsBeforeLockout = throttle.attemptsBeforeLockout;
+  return error;
+}
+
 // ENHANCED: Verify session with security questions (cross-device access)
-async function verifySession(data, env, corsHeaders) {
+async function verifySession(data, env, corsHeaders, request) {
   const { userEmailHash, securityAnswers, deviceFingerprint } = data;
   
   if (!userEmailHash || !securityAnswers || securityAnswers.length < 3) {
@@ -220,6 +238,17 @@ async function verifySession(data, env, corsHeaders) {
   console.log('User email hash provided:', !!userEmailHash);
   console.log('Security answers provided:', securityAnswers.length);
 
+  const subjects = await getThrottleSubjects(userEmailHash, deviceFingerprint, request);
+
+  // Counted before any answer is checked, and turned away while the email or device is
+  // throttled. Only a successful verification below clears the count.
+  const attempt = await registerAttempt(env, subjects);
+  if (!attempt.allowed) {
+    console.warn(`Verification throttled (${attempt.throttle.scope}), retry in ${attempt.throttle.retryAfterSeconds}s`);
+    await recordFailure(env, subjects, { userEmailHash, reason: 'throttled' }, attempt.throttle);
+    throw createThrottleError(attempt.throttle);
+  }
+
   try {
     // Find session by email hash
     const session = await env.DB.prepare(`
@@ -229,27 +258,41 @@ async function verifySession(data, env, corsHeaders) {
     `).bind(userEmailHash).first();
 
     if (!session) {
-      throw new Error('No active session found for this user. Please create a new session first.');
+      // Counted too, so the endpoint cannot be used to probe for registered emails at speed
+      await recordFailure(env, subjects, { userEmailHash, reason: 'unknown_user' }, attempt.throttle);
+      throw verificationError('No active session found for this user. Please create a new session first.', 'SESSION_NOT_FOUND', 404, attempt.throttle);
     }
 
     console.log('Session found, verifying security answers...');
 
-    // Verify security answers
-    const answerHashes = await Promise.all(
-      securityAnswers.map(answer => hashSecurityAnswer(answer.toLowerCase().trim(), session.user_salt))
+    // Verify security answers - all three are always checked, so timing does not reveal
+    // which one was wrong
+    const answers = securityAnswers.slice(0, 3).map(answer => String(answer).toLowerCase().trim());
+    const storedHashes = [session.answer_hash_1, session.answer_hash_2, session.answer_hash_3];
+    const matches = await Promise.all(
+      answers.map((answer, index) => verifySecurityAnswer(answer, storedHashes[index], session.user_salt, env))
     );
 
-    const answersMatch = 
-      answerHashes[0] === session.answer_hash_1 &&
-      answerHashes[1] === session.answer_hash_2 &&
-      answerHashes[2] === session.answer_hash_3;
-
-    if (!answersMatch) {
+    if (!matches.every(Boolean)) {
       console.warn('Security verification failed for user:', userEmailHash);
-      throw new Error('Security verification failed. Please check your answers and try again.');
+      await recordFailure(env, subjects, { userEmailHash, reason: 'wrong_answers' }, attempt.throttle);
+      throw verificationError('Security verification failed. Please check your answers and try again.', 'INVALID_ANSWERS', 401, attempt.throttle);
     }
 
     console.log('Security verification successful');
+    await clearFailures(env, subjects);
+
+    // Old SHA-256 hashes (or fewer iterations than configured) are replaced now that the
+    // plain answers are at hand
+    if (storedHashes.some(hash => needsRehash(hash, env))) {
+      const rehashed = await Promise.all(answers.map(answer => hashSecurityAnswer(answer, env)));
+      await env.DB.prepare(`
+        UPDATE anonymous_sessions
+        SET answer_hash_1 = ?, answer_hash_2 = ?, answer_hash_3 = ?
+        WHERE session_token = ?
+      `).bind(rehashed[0], rehashed[1], rehashed[2], session.session_token).run();
+      console.log('Security answer hashes upgraded to PBKDF2');
+    }
 
     // Update last activity and device
     await env.DB.prepare(`
@@ -262,14 +305,18 @@ async function verifySession(data, env, corsHeaders) {
       session.session_token
     ).run();
 
-    // Log successful cross-device access
+    // Log successful cross-device access - one row per user and device
     await env.DB.prepare(`
-      INSERT OR REPLACE INTO device_access (
+      INSERT INTO device_access (
         access_id, user_email_hash, device_fingerprint,
         first_access, last_access, access_count, recovery_method
       ) VALUES (?, ?, ?, ?, ?, 1, 'security_questions')
+      ON CONFLICT (user_email_hash, device_fingerprint) DO UPDATE SET
+        last_access = excluded.last_access,
+        access_count = device_access.access_count + 1,
+        recovery_method = excluded.recovery_method
     `).bind(
-      generateAnonymousToken(),
+      generateId('deviceAccess'),
       userEmailHash,
       deviceFingerprint || 'unknown',
       new Date().toISOString(),
@@ -278,9 +325,11 @@ async function verifySession(data, env, corsHeaders) {
 
     console.log('=== SESSION VERIFICATION SUCCESSFUL ===');
 
+    const tokens = await issueTokens(env, session, deviceFingerprint);
+
     return new Response(JSON.stringify({
       success: true,
-      sessionToken: session.session_token,
+      ...tokens,
       userSalt: session.user_salt,
       documentCount: session.document_count || 0,
       message: 'Cross-device access verified successfully',
@@ -297,90 +346,56 @@ async function verifySession(data, env, corsHeaders) {
   }
 }
 
-// Regenerate session key (for security or device changes)
-async function regenerateSessionKey(data, env, corsHeaders) {
-  const { currentSessionToken, newDeviceFingerprint } = data;
-  
-  if (!currentSessionToken) {
-    throw new Error('Current session token required for regeneration');
+// Rotate the refresh token: a new access/refresh pair, the presented token is spent
+async function refreshTokens(data, env, corsHeaders) {
+  if (!data.refreshToken) {
+    throw new Error('Refresh token required');
   }
 
-  console.log('=== REGENERATE SESSION KEY ===');
-
-  try {
-    // Verify current session exists
-    const session = await env.DB.prepare(`
-      SELECT * FROM anonymous_sessions 
-      WHERE session_token = ? AND expires_at > datetime('now')
-    `).bind(currentSessionToken).first();
-
-    if (!session) {
-      throw new Error('Invalid or expired session token');
-    }
-
-    // Generate new session token
-    const newSessionToken = generateAnonymousToken();
+  const tokens = await rotateRefreshToken(env, data.refreshToken);
+  console.log('Tokens refreshed');
 
-    // Update session with new token
-    await env.DB.prepare(`
-      UPDATE anonymous_sessions 
-      SET session_token = ?, device_fingerprint = ?, last_activity = ?
-      WHERE session_token = ?
-    `).bind(
-      newSessionToken,
-      newDeviceFingerprint || session.device_fingerprint,
-      new Date().toISOString(),
-      currentSessionToken
-    ).run();
+  return new Response(JSON.stringify({
+    success: true,
+    ...tokens
+  }), {
+    headers: corsHeaders
+  });
+}
 
-    console.log('Session token regenerated successfully');
+// Log out this device - its refresh token family stops working
+async function logout(data, env, corsHeaders) {
+  if (!data.refreshToken) {
+    throw new Error('Refresh token required');
+  }
 
-    return new Response(JSON.stringify({
-      success: true,
-      sessionToken: newSessionToken,
-      message: 'Session token regenerated successfully'
-    }), {
-      headers: corsHeaders
-    });
+  const revoked = await revokeRefreshTokenFamily(env, data.refreshToken);
+  console.log('Logged out, refresh tokens revoked:', revoked);
 
-  } catch (error) {
-    console.error('=== SESSION REGENERATION FAILED ===');
-    console.error('Error details:', error);
-    throw error;
-  }
+  return new Response(JSON.stringify({
+    success: true,
+    message: 'Logged out'
+  }), {
+    headers: corsHeaders
+  });
 }
 
-// Utility functions
-function generateAnonymousToken() {
-  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = 'anon_';
-  for (let i = 0; i < 32; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+// Log out everywhere - every refresh token of the user, on every device
+async function revokeAllTokens(data, env, corsHeaders) {
+  if (!data.refreshToken) {
+    throw new Error('Refresh token required');
   }
-  return result;
-}
 
-function generateSalt() {
-  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  for (let i = 0; i < 16; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
+  const revoked = await revokeAllRefreshTokens(env, data.refreshToken);
+  console.log('All refresh tokens revoked:', revoked);
 
-async function hashSecurityAnswer(answer, salt) {
-  try {
-    // Enhanced hashing for security answers
-    const encoder = new TextEncoder();
-    const data = encoder.encode(answer + salt + 'healthai_salt_2024');
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  } catch (error) {
-    console.error('Error hashing security answer:', error);
-    throw new Error('Failed to hash security answer');
-  }
+  return new Response(JSON.stringify({
+    success: true,
+    revoked: revoked,
+    message: 'Logged out on all devices'
+  }), {
+    headers: corsHeaders
+  });
 }
 
 export async function onRequestOptions() {
@@ -0,0 +1,71 @@
+// Auth middleware - the access token comes from the Authorization header only, is checked
+// once per request and the session reaches the route through context.data.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { onRequest } from '../functions/api/_middleware.js';
+import { isPublicRoute, getBearerToken } from '../functions/_lib/auth.js';
+import { signAccessToken } from '../functions/_lib/tokens.js';
+import { quietly } from './helpers/quietly.js';
+
+// No DB binding: access tokens are checked without a D1 lookup
+const env = {
+  ACCESS_TOKEN_SECRET: 's'.repeat(32)
+};
+
+function call(path, options = {}, overrides = {}) {
+  const context = {
+    request: new Request(`http://localhost${path}`, options),
+    env: { ...env, ...overrides },
+    data: {},
+    next: async () => new Response('route', { status: 200 })
+  };
+
+  return quietly(() => onRequest(context)).then(response => ({ response, context }));
+}
+
+const bearer = async (now = new Date()) => {
+  const { token } = await signAccessToken({ sub: 'anon_valid', fam: 'fam_one' }, env, now);
+  return { Authorization: `Bearer ${token}` };
+};
+
+test('a valid access token puts the session on context.data and reaches the route', async () => {
+  const { response, context } = await call('/api/documents?action=healthRecords', { headers: await bearer() });
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), 'route');
+  assert.equal(context.data.session.session_token, 'anon_valid');
+  assert.equal(context.data.session.token_family, 'fam_one');
+});
+
+test('missing, invalid, expired and URL tokens are refused before the route runs', async () => {
+  const missing = await call('/api/analyze', { method: 'POST' });
+  assert.equal(missing.response.status, 401);
+  assert.equal((await missing.response.json()).errorCode, 'AUTH_REQUIRED');
+  assert.equal(missing.response.headers.get('WWW-Authenticate'), 'Bearer');
+
+  const rawSession = await call('/api/extract', { method: 'POST', headers: { Authorization: 'Bearer anon_valid' } });
+  assert.equal(rawSession.response.status, 401);
+  assert.equal((await rawSession.response.json()).errorCode, 'INVALID_ACCESS_TOKEN');
+
+  const expired = await call('/api/extract', { method: 'POST', headers: await bearer(new Date(Date.now() - 60 * 60 * 1000)) });
+  assert.equal(expired.response.status, 401);
+  assert.equal((await expired.response.json()).errorCode, 'ACCESS_TOKEN_EXPIRED');
+
+  const inUrl = await call('/api/documents?sessionToken=anon_valid', { headers: await bearer() });
+  assert.equal(inUrl.response.status, 400);
+  assert.equal((await inUrl.response.json()).errorCode, 'TOKEN_IN_URL');
+  assert.equal(inUrl.context.data.session, undefined);
+
+  const unconfigured = await call('/api/documents', { headers: await bearer() }, { ACCESS_TOKEN_SECRET: undefined });
+  assert.equal(unconfigured.response.status, 500);
+});
+
+test('session setup, admin routes and CORS preflights need no token', async () => {
+  assert.equal((await call('/api/session', { method: 'POST' })).response.status, 200);
+  assert.equal((await call('/api/admin/migrate')).response.status, 200);
+  assert.equal((await call('/api/risk-assessment', { method: 'OPTIONS' })).response.status, 200);
+
+  assert.equal(isPublicRoute('/api/sessions'), false);
+  assert.equal(isPublicRoute('/api/documents'), false);
+  assert.equal(getBearerToken(new Request('http://localhost', { headers: { Authorization: 'Basic abc' } })), null);
+});
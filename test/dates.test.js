@@ -0,0 +1,36 @@
+// Report dates - reference ranges and decimals are never read as dates, and an unlabeled
+// date on a result row is not the test date.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectReportDates, parseReportDate } from '../functions/_lib/dates.js';
+
+const today = new Date('2026-01-01T00:00:00Z');
+
+test('decimal reference ranges are not dates', () => {
+  const result = detectReportDates('Hemoglobin 14.2 g/dL 13.5-17.5', { today });
+  assert.equal(result.testDate, null);
+  assert.deepEqual(result.candidates, []);
+
+  assert.equal(parseReportDate('13.5-17.5', { today }), null);
+  assert.equal(detectReportDates('WBC 7.2 4.5-11.03.25', { today }).testDate, null);
+  assert.equal(parseReportDate('14.03.2025', { today }), '2025-03-14');
+  assert.equal(parseReportDate('14/03/25', { today }), '2025-03-14');
+});
+
+test('ranges do not decide whether the lab writes the day first', () => {
+  const collected = 'Collected: 03/04/2025';
+  const withRanges = `${collected}\nMCHC 33.1 g/dL 32.0-36.0\nGlucose 92 mg/dL 70-99`;
+
+  assert.equal(detectReportDates(collected, { today }).testDate, '2025-03-04');
+  assert.equal(detectReportDates(withRanges, { today }).testDate, '2025-03-04');
+  assert.equal(detectReportDates(withRanges, { today, dayFirst: true }).testDate, '2025-04-03');
+  assert.equal(detectReportDates(`${withRanges}\nReported: 14/04/2025`, { today }).testDate, '2025-04-03');
+});
+
+test('an unlabeled date on a result row is not the test date, one on its own line still is', () => {
+  assert.equal(detectReportDates('Glucose 92 mg/dL 70-99 03/04/2025', { today }).testDate, null);
+
+  const header = detectReportDates('City Lab\n2025-03-04\nGlucose 92 mg/dL 70-99', { today });
+  assert.deepEqual([header.testDate, header.testDateSource], ['2025-03-04', 'unlabeled']);
+});
@@ -0,0 +1,79 @@
+// Documents API - what the store, list and read actions accept and hand back to the client.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { onRequestGet, onRequestPost } from '../functions/api/documents.js';
+import { createMigratedD1, insertSession } from './helpers/d1.js';
+import { quietly } from './helpers/quietly.js';
+
+async function createEnv() {
+  const env = { DB: await createMigratedD1() };
+  const session = await insertSession(env.DB);
+  const post = body => quietly(async () => {
+    const request = new Request('http://localhost/api/documents', { method: 'POST', body: JSON.stringify(body) });
+    const response = await onRequestPost({ request, env, data: { session } });
+    return { status: response.status, ...(await response.json()) };
+  });
+  const get = query => quietly(async () => {
+    const response = await onRequestGet({ request: new Request(`http://localhost/api/documents?${query}`), env, data: { session } });
+    return { status: response.status, ...(await response.json()) };
+  });
+  return { env, session, post, get };
+}
+
+test('records and documents are returned without the session token', async () => {
+  const { session, post, get } = await createEnv();
+  const stored = await post({
+    action: 'store',
+    fileName: 'report.pdf',
+    extractedData: { testDate: '2024-07-22', healthParameters: [{ parameter: 'Glucose', value: '92', unit: 'mg/dL', date: '2024-07-22' }] }
+  });
+  assert.equal(stored.success, true);
+
+  const records = await get('action=healthRecords');
+  assert.equal(records.healthRecords.length, 1);
+  const documents = await get('action=list');
+  assert.equal(documents.documents.length, 1);
+
+  [records, documents].forEach(response => assert.ok(!JSON.stringify(response).includes(session.session_token)));
+});
+
+test('medications are stored with the document and listed, active ones by default', async () => {
+  const { post, get } = await createEnv();
+  const stored = await post({
+    action: 'store',
+    fileName: 'discharge.pdf',
+    extractedData: {
+      medications: [
+        { name: 'Lipitor', strength: '20 mg', route: 'oral', frequency: 'once daily', startDate: '2024-07-01' },
+        { name: 'Metformin', strength: '500 mg', frequency: 'twice daily', startDate: 'last spring', status: 'discontinued' }
+      ]
+    }
+  });
+  assert.deepEqual([stored.success, stored.medicationsStored], [true, 2]);
+
+  const active = await post({ action: 'medications' });
+  assert.deepEqual(
+    active.medications.map(medication => [medication.medication_name, medication.drug_class, medication.strength, medication.start_date, medication.file_name]),
+    [['atorvastatin', 'statin', '20 mg', '2024-07-01', 'discharge.pdf']]
+  );
+
+  const all = await get('action=medications&status=all');
+  assert.equal(all.totalMedications, 2);
+  const metformin = all.medications.find(medication => medication.medication_name === 'metformin');
+  assert.deepEqual([metformin.status, metformin.start_date], ['discontinued', null]);
+});
+
+test('a medication without a name or with non-text fields is refused before anything is stored', async () => {
+  const { post, get } = await createEnv();
+  const store = medications => post({ action: 'store', fileName: 'prescription.pdf', extractedData: { medications: medications } });
+
+  const nameless = await store([{ name: 'Metformin', strength: '500 mg' }, { strength: '20 mg' }]);
+  assert.equal(nameless.status, 400);
+  assert.match(nameless.error, /1 medication\(s\) without a name/);
+  assert.equal((await store([{ name: 'Metformin', strength: { value: 500 } }])).status, 400);
+  assert.equal((await store(['Metformin'])).status, 400);
+
+  assert.equal((await get('action=list')).documents.length, 0);
+  assert.equal((await get('action=medications&status=all')).totalMedications, 0);
+});
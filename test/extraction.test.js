@@ -0,0 +1,32 @@
+// Extraction regression tests - every fixture must come out exactly as expected.
+// Prints precision/recall per analyte at the end; set EXTRACTION_REPORT=<file> to also
+// write it as JSON (for tracking extraction quality over time) and EXTRACTION_VERBOSE=1
+// to see the pipeline's own logging.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { loadFixtures, runFixture, scoreFixture, summarize, formatSummary } from './helpers/harness.js';
+
+const fixtures = loadFixtures(fileURLToPath(new URL('./fixtures/', import.meta.url)));
+const scores = [];
+
+for (const fixture of fixtures) {
+  test(`${fixture.name}: ${fixture.description}`, async () => {
+    const extractedData = await runFixture(fixture, { verbose: Boolean(process.env.EXTRACTION_VERBOSE) });
+    const score = scoreFixture(fixture, extractedData);
+    scores.push(score);
+
+    assert.deepEqual(score.mismatches, []);
+  });
+}
+
+after(() => {
+  const summary = summarize(scores);
+  console.log(`\nExtraction quality over ${fixtures.length} fixtures\n${formatSummary(summary)}\n`);
+
+  if (process.env.EXTRACTION_REPORT) {
+    writeFileSync(process.env.EXTRACTION_REPORT, JSON.stringify({ generatedAt: new Date().toISOString(), fixtures: fixtures.length, ...summary }, null, 2));
+  }
+});
@@ -0,0 +1,87 @@
+// SQLITE D1 - The D1 binding on an in-memory node:sqlite database (Node 22), so tests run
+// the real SQL against the real schema. Foreign keys are enforced as on D1, batch() runs in
+// one transaction and rolls back on failure, and failOn makes any statement matching it
+// throw, to test failures. createMigratedD1() applies every migration first and
+// insertSession() adds the anonymous_sessions row most tests start from.
+
+import { DatabaseSync } from 'node:sqlite';
+import { runMigrations } from '../../functions/_lib/migrate.js';
+import { quietly } from './quietly.js';
+
+export function createTestD1(options = {}) {
+  const sqlite = new DatabaseSync(':memory:');
+  sqlite.exec('PRAGMA foreign_keys = ON');
+
+  const execute = (sql, args) => {
+    if (options.failOn && options.failOn.test(sql.replace(/\s+/g, ' '))) {
+      throw new Error(`D1_ERROR: simulated failure: ${sql.trim().slice(0, 40)}`);
+    }
+
+    const statement = sqlite.prepare(sql);
+    if (statement.columns().length > 0) {
+      const results = statement.all(...args).map(row => ({ ...row }));
+      const changes = /^\s*(?:INSERT|UPDATE|DELETE)/i.test(sql) ? results.length : 0;
+      return { success: true, results: results, meta: { changes: changes } };
+    }
+    const { changes, lastInsertRowid } = statement.run(...args);
+    return { success: true, results: [], meta: { changes: changes, last_row_id: Number(lastInsertRowid) } };
+  };
+
+  const prepare = (sql, args = []) => ({
+    bind: (...values) => prepare(sql, values),
+    first: async column => {
+      const row = execute(sql, args).results[0] || null;
+      return row && column ? row[column] : row;
+    },
+    all: async () => execute(sql, args),
+    run: async () => execute(sql, args),
+    execute: () => execute(sql, args)
+  });
+
+  return {
+    prepare: sql => prepare(sql),
+    async batch(statements) {
+      sqlite.exec('BEGIN');
+      try {
+        const results = statements.map(statement => statement.execute());
+        sqlite.exec('COMMIT');
+        return results;
+      } catch (error) {
+        sqlite.exec('ROLLBACK');
+        throw error;
+      }
+    },
+    async exec(sql) {
+      sqlite.exec(sql);
+      return { count: 1 };
+    },
+    sqlite: sqlite
+  };
+}
+
+export async function createMigratedD1() {
+  const DB = createTestD1();
+  const report = await quietly(() => runMigrations({ DB }));
+  if (report.failed) throw new Error(`migration ${report.failed.version} failed: ${report.failed.error}`);
+  return DB;
+}
+
+// An anonymous_sessions row with placeholder answers; columns overrides sets any of them
+export async function insertSession(DB, columns = {}) {
+  const row = {
+    session_token: 'anon_test',
+    user_email_hash: 'hash',
+    user_salt: 'salt',
+    answer_hash_1: 'a',
+    answer_hash_2: 'b',
+    answer_hash_3: 'c',
+    created_at: new Date().toISOString(),
+    expires_at: '2099-01-01T00:00:00.000Z',
+    ...columns
+  };
+  const names = Object.keys(row);
+  await DB.prepare(`
+    INSERT INTO anonymous_sessions (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})
+  `).bind(...names.map(name => row[name])).run();
+  return row;
+}
@@ -0,0 +1,194 @@
+// EXTRACTION HARNESS - Run fixtures through the /api/extract pipeline and score them
+// A fixture (test/fixtures/*.json) is either a synthetic PDF ("format": "pdf", rows of
+// cells per page placed at "columns" x positions) posted to onRequestPost exactly like
+// the browser does, or plain text ("format": "text", one string per line) passed to
+// extractHealthData. env.AI is stubbed with the fixture's "ai" parameters, so the run
+// is deterministic and needs no network.
+//
+// Scoring is per analyte: an extracted parameter is a true positive when the fixture
+// expects it with the same value (and unit, status and date where the fixture gives
+// them); a wrong value counts as both a false positive and a false negative.
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { onRequestPost, extractHealthData } from '../../functions/api/extract.js';
+import { canonicalizeUnit, parseNumericValue } from '../../functions/_lib/units.js';
+import { buildPdf } from './pdf.js';
+
+export function loadFixtures(directory) {
+  return readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ name: file.replace(/\.json$/, ''), ...JSON.parse(readFileSync(join(directory, file), 'utf8')) }));
+}
+
+// extractedData for a fixture, or { error } when the pipeline rejected it
+export async function runFixture(fixture, options = {}) {
+  const env = { AI: stubAI(fixture.ai || []) };
+  const restore = options.verbose ? () => {} : silenceConsole();
+
+  try {
+    if (fixture.format === 'text') {
+      return await extractHealthData(fixture.text.join('\n'), null, env, { dayFirst: fixture.dayFirst });
+    }
+
+    const form = new FormData();
+    form.append('pdfFile', new File([buildPdf(fixture.pages, fixture.columns)], `${fixture.name}.pdf`, { type: 'application/pdf' }));
+    const headers = fixture.acceptLanguage ? { 'Accept-Language': fixture.acceptLanguage } : {};
+    const response = await onRequestPost({ request: new Request('http://localhost/api/extract', { method: 'POST', body: form, headers }), env });
+    const result = await response.json();
+    return result.success ? result.extractedData : { error: result.error };
+  } catch (error) {
+    return { error: error.message };
+  } finally {
+    restore();
+  }
+}
+
+// { mismatches: [string], analytes: { name: { tp, fp, fn } } }
+export function scoreFixture(fixture, extractedData) {
+  const expected = fixture.expected || {};
+  const analytes = {};
+  const mismatches = [];
+  const count = (name, key) => {
+    analytes[name] = analytes[name] || { tp: 0, fp: 0, fn: 0 };
+    analytes[name][key]++;
+  };
+
+  if (extractedData.error) {
+    (expected.parameters || []).forEach(param => count(param.parameter, 'fn'));
+    return { mismatches: [`extraction failed: ${extractedData.error.split('\n')[0]}`], analytes };
+  }
+
+  const actual = {
+    documentType: extractedData.documentClassification && extractedData.documentClassification.type,
+    testDate: extractedData.testDate
+  };
+  Object.keys(actual).forEach(field => {
+    if (expected[field] !== undefined && actual[field] !== expected[field]) {
+      mismatches.push(`${field}: expected ${expected[field]}, got ${actual[field]}`);
+    }
+  });
+  if (expected.conflicts !== undefined && (extractedData.conflicts || []).length !== expected.conflicts) {
+    mismatches.push(`conflicts: expected ${expected.conflicts}, got ${(extractedData.conflicts || []).length}`);
+  }
+  if (expected.medications !== undefined) {
+    const names = (extractedData.medications || []).map(medication => medication.name).sort();
+    if (JSON.stringify(names) !== JSON.stringify([...expected.medications].sort())) {
+      mismatches.push(`medications: expected ${expected.medications.join(', ')}, got ${names.join(', ')}`);
+    }
+  }
+
+  const unmatched = [...(extractedData.healthParameters || [])];
+
+  (expected.parameters || []).forEach(want => {
+    const index = unmatched.findIndex(param => param.parameter === want.parameter && (!want.date || param.date === want.date));
+    if (index === -1) {
+      count(want.parameter, 'fn');
+      mismatches.push(`missing ${describe(want)}`);
+      return;
+    }
+
+    const [got] = unmatched.splice(index, 1);
+    const problems = compareParameter(want, got);
+    if (problems.length === 0) {
+      count(want.parameter, 'tp');
+    } else {
+      count(want.parameter, 'fn');
+      count(want.parameter, 'fp');
+      mismatches.push(`wrong ${describe(want)}: ${problems.join(', ')}`);
+    }
+  });
+
+  unmatched.forEach(param => {
+    count(param.parameter, 'fp');
+    mismatches.push(`unexpected ${describe(param)}`);
+  });
+
+  return { mismatches, analytes };
+}
+
+// Sum per-analyte counts over fixtures and add precision/recall
+export function summarize(scores) {
+  const totals = {};
+  scores.forEach(score => {
+    Object.entries(score.analytes).forEach(([name, counts]) => {
+      totals[name] = totals[name] || { tp: 0, fp: 0, fn: 0 };
+      ['tp', 'fp', 'fn'].forEach(key => {
+        totals[name][key] += counts[key];
+      });
+    });
+  });
+
+  const withRates = counts => ({
+    ...counts,
+    precision: counts.tp + counts.fp > 0 ? round(counts.tp / (counts.tp + counts.fp)) : null,
+    recall: counts.tp + counts.fn > 0 ? round(counts.tp / (counts.tp + counts.fn)) : null
+  });
+
+  const overall = Object.values(totals).reduce((sum, counts) => ({
+    tp: sum.tp + counts.tp, fp: sum.fp + counts.fp, fn: sum.fn + counts.fn
+  }), { tp: 0, fp: 0, fn: 0 });
+
+  return {
+    analytes: Object.fromEntries(Object.keys(totals).sort().map(name => [name, withRates(totals[name])])),
+    overall: withRates(overall)
+  };
+}
+
+export function formatSummary(summary) {
+  const rate = value => (value === null ? '-' : value.toFixed(2));
+  const rows = Object.entries(summary.analytes).map(([name, counts]) =>
+    `${name.padEnd(24)} ${String(counts.tp).padStart(4)} ${String(counts.fp).padStart(4)} ${String(counts.fn).padStart(4)} ${rate(counts.precision).padStart(9)} ${rate(counts.recall).padStart(7)}`
+  );
+
+  return [
+    `${'Analyte'.padEnd(24)} ${'TP'.padStart(4)} ${'FP'.padStart(4)} ${'FN'.padStart(4)} ${'Precision'.padStart(9)} ${'Recall'.padStart(7)}`,
+    ...rows,
+    `${'OVERALL'.padEnd(24)} ${String(summary.overall.tp).padStart(4)} ${String(summary.overall.fp).padStart(4)} ${String(summary.overall.fn).padStart(4)} ${rate(summary.overall.precision).padStart(9)} ${rate(summary.overall.recall).padStart(7)}`
+  ].join('\n');
+}
+
+function compareParameter(want, got) {
+  const problems = [];
+
+  const wantValue = parseNumericValue(want.value);
+  const gotValue = parseNumericValue(got.value);
+  if (wantValue === null ? String(want.value) !== String(got.value) : wantValue !== gotValue) {
+    problems.push(`value ${got.value}`);
+  }
+  if (want.unit !== undefined && canonicalizeUnit(want.unit) !== canonicalizeUnit(got.unit)) {
+    problems.push(`unit ${got.unit}`);
+  }
+  if (want.status !== undefined && want.status !== got.status) {
+    problems.push(`status ${got.status}`);
+  }
+  if (want.date !== undefined && want.date !== got.date) {
+    problems.push(`date ${got.date}`);
+  }
+
+  return problems;
+}
+
+function describe(param) {
+  return `${param.parameter} = ${param.value}${param.unit ? ' ' + param.unit : ''}${param.date ? ` (${param.date})` : ''}`;
+}
+
+// Workers AI stand-in: every text-model call returns the fixture's AI reading
+function stubAI(parameters) {
+  return {
+    run: async () => ({ response: JSON.stringify({ healthParameters: parameters }) })
+  };
+}
+
+function silenceConsole() {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  return () => Object.assign(console, original);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,58 @@
+// SYNTHETIC PDF - Minimal single-font PDFs for extraction fixtures
+// Each page is a list of rows, each row a list of cell strings placed at the fixture's
+// column x positions (empty cells are skipped), the way lab systems print tables.
+// Content streams are FlateDecode compressed like real reports. assemblePdf() writes
+// hand-built objects, for tests of specific PDF features.
+
+import { deflateSync } from 'node:zlib';
+
+const PAGE_TOP = 760;
+const LINE_HEIGHT = 14;
+
+export function buildPdf(pages, columns = [50]) {
+  const objects = [];
+  const add = body => objects.push(body);
+
+  add('<< /Type /Catalog /Pages 2 0 R >>');
+  add(null); // page tree, filled in once the page objects are numbered
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+
+  const pageRefs = [];
+  pages.forEach(rows => {
+    const content = deflateSync(Buffer.from(pageContent(rows, columns), 'latin1')).toString('latin1');
+    add(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n${content}\nendstream`);
+    add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${objects.length} 0 R >>`);
+    pageRefs.push(`${objects.length} 0 R`);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} /Resources << /Font << /F1 3 0 R >> >> >>`;
+
+  return assemblePdf(objects);
+}
+
+// A PDF from object bodies (latin1 strings), numbered from 1; object 1 is the catalog
+export function assemblePdf(objects) {
+  let output = '%PDF-1.4\n';
+  objects.forEach((body, index) => {
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  output += `trailer\n<< /Root 1 0 R /Size ${objects.length + 1} >>\n%%EOF\n`;
+
+  return new Uint8Array(Buffer.from(output, 'latin1'));
+}
+
+function pageContent(rows, columns) {
+  let content = 'BT /F1 10 Tf\n';
+  rows.forEach((row, rowIndex) => {
+    const y = PAGE_TOP - rowIndex * LINE_HEIGHT;
+    row.forEach((cell, cellIndex) => {
+      if (!cell) return;
+      const x = columns[cellIndex] !== undefined ? columns[cellIndex] : 50 + cellIndex * 100;
+      content += `1 0 0 1 ${x} ${y} Tm (${escapeString(cell)}) Tj\n`;
+    });
+  });
+  return content + 'ET';
+}
+
+function escapeString(text) {
+  return String(text).replace(/[\\()]/g, '\\$&');
+}
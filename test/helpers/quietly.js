@@ -0,0 +1,12 @@
+// QUIET CONSOLE - Runs a (possibly async) function with console.log/warn/error silenced,
+// for handlers that log every step. The console is restored even when it throws.
+
+export async function quietly(run) {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await run();
+  } finally {
+    Object.assign(console, original);
+  }
+}
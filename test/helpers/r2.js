@@ -0,0 +1,49 @@
+// IN-MEMORY R2 - The parts of an R2 bucket binding the API uses: put, head, get, delete
+// (one key or many) and list by prefix, which pages through results like R2 does.
+
+export function createTestR2() {
+  const objects = new Map();
+
+  const describe = (key, stored) => ({
+    key: key,
+    size: stored.bytes.byteLength,
+    httpMetadata: { ...stored.httpMetadata },
+    customMetadata: { ...stored.customMetadata }
+  });
+
+  return {
+    objects: objects,
+    async put(key, value, options = {}) {
+      const bytes = value instanceof ArrayBuffer ? value.slice(0) : await new Response(value).arrayBuffer();
+      objects.set(key, { bytes, httpMetadata: options.httpMetadata || {}, customMetadata: options.customMetadata || {} });
+      return describe(key, objects.get(key));
+    },
+    async head(key) {
+      return objects.has(key) ? describe(key, objects.get(key)) : null;
+    },
+    async get(key) {
+      if (!objects.has(key)) return null;
+      const stored = objects.get(key);
+      return {
+        ...describe(key, stored),
+        body: new Response(stored.bytes.slice(0)).body,
+        arrayBuffer: async () => stored.bytes.slice(0)
+      };
+    },
+    async delete(keys) {
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => objects.delete(key));
+    },
+    async list(options = {}) {
+      const limit = options.limit || 1000;
+      const keys = [...objects.keys()].filter(key => key.startsWith(options.prefix || '')).sort();
+      const start = options.cursor ? Number(options.cursor) : 0;
+      const page = keys.slice(start, start + limit);
+      const truncated = start + limit < keys.length;
+      return {
+        objects: page.map(key => describe(key, objects.get(key))),
+        truncated: truncated,
+        cursor: truncated ? String(start + limit) : undefined
+      };
+    }
+  };
+}
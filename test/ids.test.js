@@ -0,0 +1,30 @@
+// IDs and tokens - prefixed, typed, uniformly random and never repeated.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateId, generateSessionToken, generateSalt, getIdType, randomString, ID_TYPES } from '../functions/_lib/ids.js';
+
+test('IDs carry their type prefix and enough random characters', () => {
+  assert.match(generateSessionToken(), /^anon_[A-Za-z0-9]{43}$/);
+  assert.match(generateId('document'), /^doc_[A-Za-z0-9]{22}$/);
+  assert.match(generateId('parameter'), /^param_[A-Za-z0-9]{22}$/);
+  assert.match(generateId('log'), /^log_[A-Za-z0-9]{22}$/);
+  assert.match(generateSalt(), /^[A-Za-z0-9]{22}$/);
+
+  Object.keys(ID_TYPES).forEach(type => assert.equal(getIdType(generateId(type)), type));
+  assert.equal(getIdType('nope_123'), null);
+  assert.throws(() => generateId('invoice'), /Unknown ID type/);
+});
+
+test('tokens do not repeat and every character is used evenly', () => {
+  const tokens = new Set(Array.from({ length: 2000 }, () => generateSessionToken()));
+  assert.equal(tokens.size, 2000);
+
+  const counts = {};
+  randomString(62000).split('').forEach(character => {
+    counts[character] = (counts[character] || 0) + 1;
+  });
+  assert.equal(Object.keys(counts).length, 62);
+  // 1000 expected per character; +-25% is far outside chance for a uniform source
+  Object.values(counts).forEach(count => assert.ok(count > 750 && count < 1250, `skewed count ${count}`));
+});
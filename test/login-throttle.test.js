@@ -0,0 +1,110 @@
+// Login throttling - backoff and lockout policy, and the attempt counters behind it.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  THROTTLE_POLICY, getBackoffSeconds, getThrottleSubjects, registerAttempt, recordFailure, clearFailures, createThrottleError
+} from '../functions/_lib/login-throttle.js';
+import { createMigratedD1 } from './helpers/d1.js';
+
+const createThrottleEnv = async () => ({ DB: await createMigratedD1() });
+
+const rows = (env, sql) => env.DB.sqlite.prepare(sql).all().map(row => ({ ...row }));
+
+const at = seconds => new Date(Date.UTC(2026, 0, 1) + seconds * 1000);
+
+test('free attempts, then a doubling delay, then the lockout', () => {
+  const delays = Array.from({ length: 11 }, (_, index) => getBackoffSeconds(index + 1));
+  assert.deepEqual(delays, [0, 0, 0, 30, 60, 120, 240, 480, 960, 3600, 3600]);
+});
+
+// An attempt that fails, the way verifySession handles one
+const failedAttempt = async (env, subjects, now) => {
+  const attempt = await registerAttempt(env, subjects, now);
+  if (attempt.allowed) await recordFailure(env, subjects, { userEmailHash: 'email-hash', reason: 'wrong_answers' }, attempt.throttle, now);
+  return attempt;
+};
+
+test('counts attempts per email and device and refuses them until the delay is over', async () => {
+  const env = await createThrottleEnv();
+  const subjects = await getThrottleSubjects('email-hash', 'fingerprint', null);
+
+  let attempt;
+  for (let i = 0; i < THROTTLE_POLICY.FREE_FAILURES; i++) {
+    attempt = await failedAttempt(env, subjects, at(i));
+    assert.equal(attempt.allowed, true);
+  }
+  assert.equal(attempt.throttle.retryAfterSeconds, 0);
+
+  attempt = await failedAttempt(env, subjects, at(10));
+  assert.equal(attempt.allowed, true);
+  assert.deepEqual([attempt.throttle.failureCount, attempt.throttle.retryAfterSeconds, attempt.throttle.locked], [4, 30, false]);
+
+  const refused = await registerAttempt(env, subjects, at(20));
+  assert.deepEqual([refused.allowed, refused.throttle.retryAfterSeconds, refused.throttle.failureCount], [false, 20, 4]);
+  assert.equal((await failedAttempt(env, subjects, at(41))).throttle.failureCount, 5);
+
+  // Another email from the same device is held up by the device counter alone
+  const otherEmail = await getThrottleSubjects('other-hash', 'fingerprint', null);
+  const device = await registerAttempt(env, otherEmail, at(50));
+  assert.deepEqual([device.allowed, device.throttle.scope], [false, 'device']);
+
+  const audit = rows(env, 'SELECT device, reason, failure_count FROM failed_attempts ORDER BY created_at');
+  assert.equal(audit.length, 5);
+  assert.deepEqual(audit[4], { device: 'fp:fingerprint', reason: 'wrong_answers', failure_count: 5 });
+});
+
+test('a burst of parallel attempts gets no more through than one at a time would', async () => {
+  const env = await createThrottleEnv();
+  const subjects = await getThrottleSubjects('email-hash', 'fingerprint', null);
+
+  const burst = await Promise.all(Array.from({ length: 20 }, () => registerAttempt(env, subjects, at(0))));
+  assert.equal(burst.filter(attempt => attempt.allowed).length, THROTTLE_POLICY.FREE_FAILURES + 1);
+  assert.equal(rows(env, "SELECT failure_count FROM login_throttles WHERE scope = 'email'")[0].failure_count, THROTTLE_POLICY.FREE_FAILURES + 1);
+});
+
+test('locks out after the last allowed attempt, success and time reset the counters', async () => {
+  const env = await createThrottleEnv();
+  const subjects = await getThrottleSubjects('email-hash', 'fingerprint', null);
+
+  let attempt;
+  for (let i = 0; i < THROTTLE_POLICY.LOCKOUT_FAILURES; i++) {
+    attempt = await failedAttempt(env, subjects, at(i * 4000));
+    assert.equal(attempt.allowed, true);
+  }
+  assert.equal(attempt.throttle.locked, true);
+  assert.equal(attempt.throttle.attemptsBeforeLockout, 0);
+
+  const refused = await registerAttempt(env, subjects, at(36000 + 60));
+  const error = createThrottleError(refused.throttle);
+  assert.deepEqual([error.status, error.code, error.retryAfterSeconds], [429, 'VERIFY_LOCKED', 3540]);
+
+  // A day after the last attempt the count starts over
+  const later = await registerAttempt(env, subjects, at(36000 + THROTTLE_POLICY.RESET_AFTER_SECONDS + 1));
+  assert.deepEqual([later.allowed, later.throttle.failureCount], [true, 1]);
+
+  await clearFailures(env, subjects);
+  assert.deepEqual(rows(env, 'SELECT * FROM login_throttles'), []);
+});
+
+test('counters and audit rows from before the reset window are deleted as new ones are written', async () => {
+  const env = await createThrottleEnv();
+  const stale = await getThrottleSubjects('stale-hash', 'stale-device', null);
+  await failedAttempt(env, stale, at(0));
+
+  const later = at(THROTTLE_POLICY.RESET_AFTER_SECONDS + 1);
+  await failedAttempt(env, await getThrottleSubjects('email-hash', 'fingerprint', null), later);
+
+  assert.deepEqual(rows(env, 'SELECT subject FROM login_throttles ORDER BY subject'), [{ subject: 'email-hash' }, { subject: 'fp:fingerprint' }]);
+  assert.deepEqual(rows(env, 'SELECT created_at FROM failed_attempts'), [{ created_at: later.toISOString() }]);
+});
+
+test('without a fingerprint the device is a hash of the client IP, never a shared "unknown"', async () => {
+  const request = new Request('https://example.com/api/session', { headers: { 'CF-Connecting-IP': '203.0.113.9' } });
+  const subjects = await getThrottleSubjects('email-hash', 'unknown', request);
+  assert.equal(subjects[1].scope, 'device');
+  assert.match(subjects[1].subject, /^ip:[0-9a-f]{64}$/);
+  assert.ok(!subjects[1].subject.includes('203.0.113.9'));
+
+  assert.deepEqual(await getThrottleSubjects('email-hash', null, null), [{ scope: 'email', subject: 'email-hash' }]);
+});
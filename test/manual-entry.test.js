@@ -0,0 +1,74 @@
+// Manual corrections - typed values get the catalog checks and status rules extraction uses.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateManualParameter } from '../functions/_lib/manual-entry.js';
+import { onRequestPost } from '../functions/api/documents.js';
+import { createMigratedD1, insertSession } from './helpers/d1.js';
+import { quietly } from './helpers/quietly.js';
+
+test('resolves synonyms and derives status from the catalog range in the canonical unit', () => {
+  const glucose = validateManualParameter({ parameter: 'fasting blood glucose', value: '7.2', unit: 'mmol/L' });
+  assert.equal(glucose.parameter, 'Glucose');
+  assert.equal(glucose.unit, 'mmol/L');
+  assert.equal(glucose.status, 'High');
+
+  assert.equal(validateManualParameter({ parameter: 'Potassium', value: '2.1' }).status, 'Critical');
+  assert.equal(validateManualParameter({ parameter: 'LDL', value: '90', referenceRange: '<100' }).status, 'Normal');
+});
+
+test('rejects values, units and ranges that do not fit the test', () => {
+  assert.throws(() => validateManualParameter({ parameter: 'Glucose', value: 'normal' }), /must be a number/);
+  assert.throws(() => validateManualParameter({ parameter: 'Glucose', value: '92', unit: 'g/furlong' }), /not a unit for Glucose/);
+  assert.throws(() => validateManualParameter({ parameter: 'eGFR', value: '85', unit: 'mL/min' }), /not a unit for eGFR/);
+  assert.throws(() => validateManualParameter({ parameter: 'Glucose', value: '9000' }), /plausible range/);
+  assert.throws(() => validateManualParameter({ parameter: 'Glucose', value: '92', referenceRange: 'normal' }), /not understood/);
+  assert.throws(() => validateManualParameter({ parameter: '', value: '92' }), /name required/);
+});
+
+test('blood pressure is systolic/diastolic and tests outside the catalog need only a number', () => {
+  const bp = validateManualParameter({ parameter: 'BP', value: '142 / 91' });
+  assert.deepEqual([bp.parameter, bp.value, bp.unit, bp.status], ['Blood Pressure', '142/91', 'mmHg', 'High']);
+  assert.throws(() => validateManualParameter({ parameter: 'BP', value: '80/120' }), /plausible blood pressure/);
+
+  const ferritin = validateManualParameter({ parameter: 'Ferritin', value: '12', unit: 'ng/mL', referenceRange: '15-150' });
+  assert.deepEqual([ferritin.parameter, ferritin.status, ferritin.catalog], ['Ferritin', 'Low', false]);
+});
+
+test('a typed conflict resolution is validated like a manual entry, anything else is refused', async () => {
+  const DB = await createMigratedD1();
+  const session = await insertSession(DB);
+
+  const store = async resolution => {
+    const glucose = { parameter: 'Glucose', value: '92', unit: 'mg/dL', referenceRange: '70-99', status: 'Normal', date: '2025-03-04', conflictId: 'conflict_1' };
+    const extractedData = {
+      healthParameters: [glucose],
+      conflicts: [{
+        id: 'conflict_1',
+        parameter: 'Glucose',
+        candidates: [
+          { source: 'table_layout', value: '92', unit: 'mg/dL', parameter: { ...glucose, source: 'table_layout' } },
+          { source: 'ai_verification', value: '192', unit: 'mg/dL', parameter: { ...glucose, value: '192', status: 'High', source: 'ai_verification' } }
+        ],
+        resolution: resolution
+      }]
+    };
+    const request = new Request('http://localhost/api/documents', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'store', fileName: 'report.pdf', extractedData })
+    });
+
+    return await quietly(async () => (await onRequestPost({ request, env: { DB }, data: { session } })).json());
+  };
+  const stored = () => DB.prepare('SELECT parameter_value, status FROM health_parameters').all().then(result => result.results);
+
+  assert.equal((await store({ source: 'user' })).success, false);
+  assert.equal((await store({ source: 'user', value: '9000' })).success, false);
+  assert.match((await store({ source: 'ocr', value: '110' })).error, /must pick one of its readings/);
+  assert.match((await store({ source: 'ocr' })).error, /must pick one of its readings/);
+  assert.deepEqual(await stored(), []);
+
+  assert.equal((await store({ source: 'user', value: '110' })).success, true);
+  assert.equal((await store({ source: 'ai_verification' })).success, true);
+  assert.deepEqual(await stored(), [{ parameter_value: '110', status: 'High' }, { parameter_value: '192', status: 'High' }]);
+});
@@ -0,0 +1,165 @@
+// Schema migrations - a fresh database is built from the numbered migrations, runs are
+// idempotent, dry runs write nothing and only an admin can trigger them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runMigrations, getMigrationStatus } from '../functions/_lib/migrate.js';
+import { MIGRATIONS } from '../functions/_lib/migrations/index.js';
+import { onRequestGet, onRequestPost } from '../functions/api/admin/migrate.js';
+import { createTestD1, insertSession } from './helpers/d1.js';
+import { quietly } from './helpers/quietly.js';
+
+const ADMIN_TOKEN = 'a'.repeat(40);
+
+// Columns the API code reads and writes
+const EXPECTED_COLUMNS = {
+  anonymous_sessions: ['session_token', 'user_email_hash', 'user_salt', 'answer_hash_1', 'expires_at', 'device_fingerprint', 'document_count'],
+  device_access: ['access_id', 'user_email_hash', 'device_fingerprint', 'access_count', 'recovery_method'],
+  documents: ['document_id', 'session_token', 'file_name', 'analysis_results', 'parameter_count', 'original_key', 'original_sha256'],
+  health_parameters: ['parameter_id', 'parameter_value', 'status', 'category', 'test_date', 'numeric_value', 'canonical_value', 'canonical_unit'],
+  processing_logs: ['log_id', 'session_token', 'analysis_type', 'created_at'],
+  medications: ['medication_id', 'medication_name', 'status'],
+  document_reextractions: ['reextraction_id', 'changes'],
+  parameter_edits: ['edit_id', 'parameter_id', 'before_values', 'after_values']
+};
+
+const tables = DB => Object.fromEntries(
+  DB.sqlite.prepare("SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all()
+    .map(row => [row.name, { sql: row.sql, columns: DB.sqlite.prepare(`PRAGMA table_info(${row.name})`).all().map(column => column.name) }])
+);
+
+const indexTable = (DB, name) => DB.sqlite.prepare("SELECT tbl_name FROM sqlite_master WHERE type = 'index' AND name = ?").get(name)?.tbl_name;
+
+const schema = DB => DB.sqlite.prepare('SELECT type, name, sql FROM sqlite_master ORDER BY name').all();
+
+test('builds every table from scratch, and a second run does nothing', async () => {
+  const DB = createTestD1();
+
+  const dryRun = await runMigrations({ DB }, { dryRun: true });
+  assert.deepEqual(dryRun.migrations.map(migration => migration.version), MIGRATIONS.map(migration => migration.version));
+  assert.ok(dryRun.migrations[0].statements.some(sql => sql.includes('CREATE TABLE IF NOT EXISTS anonymous_sessions')));
+  assert.deepEqual(tables(DB), {}, 'dry run wrote to the database');
+
+  const report = await quietly(() => runMigrations({ DB }));
+  assert.equal(report.failed, null);
+  assert.equal(report.to, MIGRATIONS.length);
+
+  Object.entries(EXPECTED_COLUMNS).forEach(([table, columns]) => {
+    assert.ok(tables(DB)[table], `${table} missing`);
+    columns.forEach(column => assert.ok(tables(DB)[table].columns.includes(column), `${table}.${column} missing`));
+  });
+
+  const parameters = tables(DB).health_parameters.sql;
+  assert.match(parameters, /document_id TEXT REFERENCES documents\(document_id\) ON DELETE CASCADE/);
+  assert.match(parameters, /session_token TEXT NOT NULL REFERENCES anonymous_sessions\(session_token\) ON DELETE CASCADE/);
+  assert.match(parameters, /CHECK \(status IN \('Normal', 'High', 'Low', 'Critical', 'Unknown'\)\)/);
+  assert.match(tables(DB).device_access.sql, /UNIQUE \(user_email_hash, device_fingerprint\)/);
+  assert.equal(indexTable(DB, 'idx_health_parameters_session_date'), 'health_parameters');
+  assert.ok(!Object.keys(tables(DB)).some(table => table.endsWith('_new')));
+
+  const before = schema(DB);
+  const again = await runMigrations({ DB });
+  assert.deepEqual(again.migrations, []);
+  assert.deepEqual(schema(DB), before);
+
+  const status = await getMigrationStatus({ DB });
+  assert.equal(status.current, status.latest);
+  assert.ok(status.applied.every(migration => !migration.modified));
+});
+
+test('upgrades a database patched by the old setup-db endpoint without re-adding columns', async () => {
+  const DB = createTestD1();
+  await DB.prepare('CREATE TABLE documents (document_id TEXT PRIMARY KEY, session_token TEXT, file_name TEXT, document_type TEXT, analysis_results TEXT, parameter_count INTEGER, created_at TEXT, original_key TEXT)').run();
+  await DB.prepare('CREATE TABLE health_parameters (parameter_id TEXT PRIMARY KEY, session_token TEXT, document_id TEXT, parameter_name TEXT, parameter_value TEXT, parameter_unit TEXT, reference_range TEXT, created_at TEXT, status TEXT, test_date TEXT)').run();
+
+  const report = await quietly(() => runMigrations({ DB }));
+  assert.equal(report.failed, null);
+
+  const skipped = report.migrations.flatMap(migration => migration.skipped);
+  assert.deepEqual(skipped.sort(), ['documents.original_key', 'health_parameters.status', 'health_parameters.test_date']);
+  assert.ok(tables(DB).health_parameters.columns.includes('canonical_unit'));
+});
+
+test('the constraint rebuild keeps live rows, drops orphans and then cascades', async () => {
+  const DB = createTestD1();
+  await quietly(() => runMigrations({ DB }, { migrations: MIGRATIONS.slice(0, 5) }));
+
+  const now = '2026-01-01T00:00:00.000Z';
+  await insertSession(DB, { session_token: 'anon_live', created_at: now });
+  await DB.prepare("INSERT INTO documents (document_id, session_token, created_at) VALUES ('doc_live', 'anon_live', ?), ('doc_orphan', 'anon_gone', ?)").bind(now, now).run();
+  await DB.prepare(`
+    INSERT INTO health_parameters (parameter_id, session_token, document_id, parameter_name, created_at, status)
+    VALUES ('param_live', 'anon_live', 'doc_live', 'Glucose', ?, 'Normal'), ('param_orphan', 'anon_live', 'doc_orphan', 'Glucose', ?, 'Normal')
+  `).bind(now, now).run();
+
+  const report = await quietly(() => runMigrations({ DB }));
+  assert.equal(report.failed, null);
+  assert.deepEqual((await DB.prepare('SELECT document_id FROM documents').all()).results, [{ document_id: 'doc_live' }]);
+  assert.deepEqual((await DB.prepare('SELECT parameter_id FROM health_parameters').all()).results, [{ parameter_id: 'param_live' }]);
+
+  await DB.prepare("DELETE FROM anonymous_sessions WHERE session_token = 'anon_live'").run();
+  assert.equal(await DB.prepare('SELECT COUNT(*) AS count FROM health_parameters').first('count'), 0);
+  await assert.rejects(
+    () => DB.prepare("INSERT INTO documents (document_id, session_token, created_at) VALUES ('doc_new', 'anon_gone', ?)").bind(now).run(),
+    /FOREIGN KEY constraint failed/
+  );
+});
+
+test('a sessions table without a unique email hash gets one, keeping the newest session', async () => {
+  const DB = createTestD1();
+  await DB.prepare(`
+    CREATE TABLE anonymous_sessions (session_token TEXT PRIMARY KEY, user_email_hash TEXT, user_salt TEXT, answer_hash_1 TEXT,
+      answer_hash_2 TEXT, answer_hash_3 TEXT, created_at TEXT, expires_at TEXT, last_activity TEXT, device_fingerprint TEXT, document_count INTEGER)
+  `).run();
+  await insertSession(DB, { session_token: 'anon_old', created_at: '2025-01-01T00:00:00.000Z' });
+  await insertSession(DB, { session_token: 'anon_new', created_at: '2026-01-01T00:00:00.000Z' });
+  await insertSession(DB, { session_token: 'anon_other', user_email_hash: 'other' });
+  await quietly(() => runMigrations({ DB }, { migrations: MIGRATIONS.slice(0, 5) }));
+  await DB.prepare("INSERT INTO documents (document_id, session_token, created_at) VALUES ('doc_old', 'anon_old', ?), ('doc_new', 'anon_new', ?)")
+    .bind('2025-01-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z').run();
+
+  const report = await quietly(() => runMigrations({ DB }));
+  assert.equal(report.failed, null);
+  assert.deepEqual((await DB.prepare('SELECT session_token FROM anonymous_sessions ORDER BY session_token').all()).results,
+    [{ session_token: 'anon_new' }, { session_token: 'anon_other' }]);
+  assert.deepEqual((await DB.prepare('SELECT document_id FROM documents').all()).results, [{ document_id: 'doc_new' }]);
+  await assert.rejects(() => insertSession(DB, { session_token: 'anon_again' }), /UNIQUE constraint failed: anonymous_sessions.user_email_hash/);
+});
+
+test('a failing migration is rolled back and stops the run', async () => {
+  const DB = createTestD1({ failOn: /ADD COLUMN canonical_unit/ });
+
+  const report = await quietly(() => runMigrations({ DB }));
+  assert.equal(report.failed.version, 2);
+  assert.equal(report.to, 1);
+  assert.ok(!tables(DB).health_parameters.columns.includes('status'), 'partial migration left behind');
+  assert.ok(!tables(DB).medications, 'later migration ran after a failure');
+  assert.deepEqual((await getMigrationStatus({ DB })).pending.map(migration => migration.version), [2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('the migration endpoint is admin only', async () => {
+  const call = (handler, env, token, body) => quietly(() => handler({
+    request: new Request('http://localhost/api/admin/migrate', {
+      method: body === undefined ? 'GET' : 'POST',
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: body
+    }),
+    env
+  }));
+
+  const DB = createTestD1();
+
+  assert.equal((await call(onRequestPost, { DB }, ADMIN_TOKEN, '{}')).status, 503);
+  assert.equal((await call(onRequestPost, { DB, ADMIN_TOKEN }, null, '{}')).status, 401);
+  assert.equal((await call(onRequestGet, { DB, ADMIN_TOKEN }, 'b'.repeat(40))).status, 401);
+  assert.deepEqual(tables(DB), {});
+
+  const dryRun = await (await call(onRequestPost, { DB, ADMIN_TOKEN }, ADMIN_TOKEN, '{"dryRun": true}')).json();
+  assert.equal(dryRun.success, true);
+  assert.deepEqual(tables(DB), {});
+
+  const applied = await call(onRequestPost, { DB, ADMIN_TOKEN }, ADMIN_TOKEN, '');
+  assert.equal(applied.status, 200);
+  const status = await (await call(onRequestGet, { DB, ADMIN_TOKEN }, ADMIN_TOKEN)).json();
+  assert.equal(status.pending.length, 0);
+});
@@ -0,0 +1,69 @@
+// Stored originals - the plaintext hash a re-extraction is checked against lives on the
+// document row, never in the bucket next to the ciphertext, and originals go with their account.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { onRequestPost } from '../functions/api/originals.js';
+import { onRequestPost as sessionRequest } from '../functions/api/session.js';
+import { verifyOriginal } from '../functions/_lib/originals.js';
+import { createMigratedD1, insertSession } from './helpers/d1.js';
+import { quietly } from './helpers/quietly.js';
+import { createTestR2 } from './helpers/r2.js';
+
+const session = { session_token: 'anon_test' };
+const plaintext = new TextEncoder().encode('%PDF-1.4 glucose 92 mg/dL');
+const sha256 = createHash('sha256').update(plaintext).digest('hex');
+
+async function createEnv() {
+  const DB = await createMigratedD1();
+  const now = new Date().toISOString();
+  await insertSession(DB, { ...session, created_at: now });
+  await DB.prepare("INSERT INTO documents (document_id, session_token, created_at) VALUES ('doc_one', ?, ?)").bind(session.session_token, now).run();
+  return { DB, DOCUMENTS: createTestR2() };
+}
+
+const findDocument = env => env.DB.prepare("SELECT document_id, original_key, original_sha256 FROM documents WHERE document_id = 'doc_one'").first();
+
+test('an upload keeps the plaintext hash in D1 and only ciphertext and IV in R2', async () => {
+  const env = await createEnv();
+  const form = new FormData();
+  form.append('action', 'upload');
+  form.append('documentId', 'doc_one');
+  form.append('file', new Blob([new Uint8Array([1, 2, 3, 4])]));
+  form.append('iv', 'AAAAAAAAAAAAAAAA');
+  form.append('sha256', sha256);
+  form.append('contentType', 'application/pdf');
+
+  const response = await quietly(() => onRequestPost({ request: new Request('http://localhost/api/originals', { method: 'POST', body: form }), env, data: { session } }));
+  assert.equal((await response.json()).success, true);
+
+  const document = await findDocument(env);
+  assert.deepEqual([document.original_key, document.original_sha256], ['anon_test/doc_one', sha256]);
+  const stored = await env.DOCUMENTS.head('anon_test/doc_one');
+  assert.equal(stored.customMetadata.sha256, undefined);
+  assert.ok(!Object.values(stored.customMetadata).includes(sha256));
+
+  await verifyOriginal(env, document, new Blob([plaintext]));
+  await assert.rejects(() => verifyOriginal(env, document, new Blob(['something else'])), /does not match/);
+});
+
+test('creating an account again after it expired deletes the old originals from R2', async () => {
+  const env = await createEnv();
+  await env.DB.prepare("UPDATE anonymous_sessions SET expires_at = '2020-01-01T00:00:00.000Z'").run();
+  await env.DB.prepare("UPDATE documents SET original_key = 'anon_renamed/doc_one' WHERE document_id = 'doc_one'").run();
+  for (const key of ['anon_renamed/doc_one', 'anon_test/doc_lost', 'anon_test2/doc_two']) {
+    await env.DOCUMENTS.put(key, new Uint8Array([1]).buffer);
+  }
+
+  const request = new Request('http://localhost/api/session', {
+    method: 'POST',
+    body: JSON.stringify({ action: 'create', userEmailHash: 'hash', securityAnswers: ['a', 'b', 'c'] })
+  });
+  const settings = { SECURITY_ANSWER_PEPPER: 'pepper', SECURITY_ANSWER_ITERATIONS: '10000', ACCESS_TOKEN_SECRET: 's'.repeat(32) };
+  const created = await quietly(() => sessionRequest({ request, env: { ...env, ...settings } }));
+
+  assert.equal((await created.json()).success, true);
+  assert.deepEqual([...env.DOCUMENTS.objects.keys()], ['anon_test2/doc_two']);
+  assert.equal(await env.DB.prepare('SELECT COUNT(*) AS count FROM documents').first('count'), 0);
+});
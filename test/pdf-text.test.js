@@ -0,0 +1,94 @@
+// PDF text layer - hex strings, TJ arrays and ToUnicode CMaps decode to the printed text,
+// an image-only page is read through OCR, and a stream that inflates without bound is refused.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { extractTextFromPDF } from '../functions/_lib/pdf-text.js';
+import { onRequestPost } from '../functions/api/extract.js';
+import { assemblePdf } from './helpers/pdf.js';
+import { quietly } from './helpers/quietly.js';
+
+const HELVETICA = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+
+const stream = (dict, data) => `<< ${dict} /Length ${data.length} >>\nstream\n${data}\nendstream`;
+
+// One page with the given content stream and resources; extra objects are numbered from 5
+function singlePage(contents, resources, extra = []) {
+  return assemblePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources ${resources} >>`,
+    contents,
+    ...extra
+  ]);
+}
+
+test('hex strings and TJ arrays are decoded like literal strings', async () => {
+  const pdf = singlePage(stream('', [
+    'BT /F1 10 Tf',
+    '1 0 0 1 50 700 Tm <476C75636F7365> Tj',
+    '1 0 0 1 200 700 Tm [(9) -20 (2)] TJ',
+    '1 0 0 1 260 700 Tm [<6D67> 15 (/dL)] TJ',
+    'ET'
+  ].join('\n')), '<< /Font << /F1 5 0 R >> >>', [HELVETICA]);
+
+  const result = await extractTextFromPDF(pdf);
+  assert.match(result.text, /^Glucose\s+92\s+mg\/dL$/);
+});
+
+test('text in a font with a ToUnicode CMap is mapped through it', async () => {
+  const cmap = [
+    '/CIDInit /ProcSet findresource begin 12 dict begin begincmap',
+    '1 begincodespacerange <00> <FF> endcodespacerange',
+    '7 beginbfchar <01> <0047> <02> <006C> <03> <0075> <04> <0063> <05> <006F> <06> <0073> <07> <0065> endbfchar',
+    '1 beginbfrange <10> <19> <0030> endbfrange',
+    'endcmap end end'
+  ].join('\n');
+  const pdf = singlePage(
+    stream('', 'BT /F1 10 Tf 1 0 0 1 50 700 Tm <01020304050607> Tj 1 0 0 1 200 700 Tm <1912> Tj ET'),
+    '<< /Font << /F1 5 0 R >> >>',
+    ['<< /Type /Font /Subtype /Type1 /BaseFont /Subset /ToUnicode 6 0 R >>', stream('', cmap)]
+  );
+
+  const result = await extractTextFromPDF(pdf);
+  assert.match(result.text, /^Glucose\s+92$/);
+});
+
+test('an image-only page is sent through OCR and its results extracted', async () => {
+  // A JPEG whose comment segment carries the text the local OCR stand-in "recognises"
+  const recognised = 'Collected: 2024-05-02\nGlucose 92 mg/dL 70-99\nHemoglobin 14.1 g/dL 13.5-17.5';
+  const comment = Buffer.from(recognised, 'latin1');
+  const jpeg = Buffer.concat([
+    Buffer.from([0xff, 0xd8, 0xff, 0xfe, (comment.length + 2) >> 8, (comment.length + 2) & 0xff]),
+    comment,
+    Buffer.from([0xff, 0xd9])
+  ]).toString('latin1');
+  const pdf = singlePage(stream('', 'q 612 0 0 792 0 0 cm /Im1 Do Q'), '<< /XObject << /Im1 5 0 R >> >>', [
+    stream('/Type /XObject /Subtype /Image /Width 612 /Height 792 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode', jpeg)
+  ]);
+
+  const page = (await extractTextFromPDF(pdf)).pages[0];
+  assert.equal(page.imageOnly, true);
+  assert.equal(page.image.mimeType, 'image/jpeg');
+
+  const form = new FormData();
+  form.append('pdfFile', new File([pdf], 'scan.pdf', { type: 'application/pdf' }));
+  const response = await quietly(() => onRequestPost({
+    request: new Request('http://localhost/api/extract', { method: 'POST', body: form }),
+    env: { OCR_PROVIDER: 'local' }
+  }));
+  const result = await response.json();
+
+  assert.equal(result.success, true);
+  const values = Object.fromEntries(result.extractedData.healthParameters.map(param => [param.parameter, param.value]));
+  assert.deepEqual(values, { Glucose: '92', Hemoglobin: '14.1' });
+  assert.equal(result.extractedData.testDate, '2024-05-02');
+});
+
+test('a stream that inflates past the limit rejects the document', async () => {
+  const bomb = deflateSync(Buffer.alloc(65 * 1024 * 1024)).toString('latin1');
+  const pdf = singlePage(stream('/Filter /FlateDecode', bomb), '<< >>');
+
+  await assert.rejects(() => extractTextFromPDF(pdf), /decompresses to more than 64 MB/);
+});
@@ -0,0 +1,80 @@
+// PHI redaction - identifiers are masked, results are not, and /api/extract never
+// returns or logs the raw document text.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactPHI } from '../functions/_lib/phi.js';
+import { onRequestPost } from '../functions/api/extract.js';
+import { buildPdf } from './helpers/pdf.js';
+
+const IDENTIFIERS = ['Jane', 'Example', '1962', '00451234', 'A23-99812', '123-4567', 'jane@example.com', 'Elm Street', 'Grant'];
+
+const HEADER = [
+  'Patient: Jane Example   DOB: 03/14/1962   Sex: F',
+  'MRN: 00451234   Accession #: A23-99812',
+  'Phone: (555) 123-4567   Email: jane@example.com',
+  'Address: 42 Elm Street, Springfield, IL 62701',
+  'Ordering Physician: Dr. Alan Grant'
+];
+
+test('masks names, dates of birth, record numbers, contact details and addresses', () => {
+  const redacted = redactPHI(HEADER.join('\n'));
+
+  IDENTIFIERS.forEach(identifier => assert.ok(!redacted.includes(identifier), `${identifier} leaked: ${redacted}`));
+  assert.match(redacted, /Patient: \[NAME\]/);
+  assert.match(redacted, /DOB: \[DOB\]/);
+  assert.match(redacted, /MRN: \[ID\]/);
+  assert.match(redacted, /Sex: F/);
+});
+
+test('leaves results, ranges and collection dates alone', () => {
+  const lines = [
+    'Collected: 2024-03-14',
+    'Glucose 92 mg/dL 70-99',
+    'Potassium 5.8 mmol/L (3.5-5.1)',
+    'WBC 11.8 10^3/uL 4.0-11.0',
+    'Test Name: HbA1c 6.2 % 4.0-5.6'
+  ].join('\n');
+
+  assert.equal(redactPHI(lines), lines);
+});
+
+test('extract response and logs contain no document text unless debug mode is on', async () => {
+  const pdf = buildPdf([[
+    ...HEADER.map(line => [line]),
+    ['Collected: 2024-03-14'],
+    ['Test', 'Result', 'Units', 'Reference Range'],
+    ['Glucose', '92', 'mg/dL', '70-99'],
+    ['LDL Cholesterol', '152', 'mg/dL', '<100']
+  ]], [50, 220, 300, 380]);
+
+  const run = async env => {
+    const logged = [];
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = (...args) => logged.push(args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' '));
+    try {
+      const form = new FormData();
+      form.append('pdfFile', new File([pdf], 'report.pdf', { type: 'application/pdf' }));
+      const response = await onRequestPost({ request: new Request('http://localhost/api/extract', { method: 'POST', body: form }), env });
+      return { body: await response.text(), logs: logged.join('\n') };
+    } finally {
+      Object.assign(console, original);
+    }
+  };
+
+  const ai = { run: async () => ({ response: '{"healthParameters": []}' }) };
+
+  const quiet = await run({ AI: ai });
+  assert.match(quiet.body, /"success":true/);
+  assert.ok(!quiet.body.includes('redactedText'));
+  assert.ok(!quiet.logs.includes('Elm Street') && !quiet.logs.includes('EXTRACTED TEXT (redacted)'));
+
+  const debug = await run({ AI: ai, EXTRACTION_DEBUG: 'true' });
+  assert.match(debug.body, /"redactedText":"[^"]*Patient: \[NAME\]/);
+  assert.match(debug.logs, /EXTRACTED TEXT \(redacted\)/);
+
+  IDENTIFIERS.forEach(identifier => {
+    assert.ok(!quiet.body.includes(identifier) && !debug.body.includes(identifier), `${identifier} returned`);
+    assert.ok(!quiet.logs.includes(identifier) && !debug.logs.includes(identifier), `${identifier} logged`);
+  });
+});
@@ -0,0 +1,119 @@
+// Re-extraction - a stored document run through the extractor again keeps manual
+// corrections, only deletes results with prune, and reports conflicts instead of applying them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { onRequestPost } from '../functions/api/documents.js';
+import { createMigratedD1, insertSession } from './helpers/d1.js';
+import { createTestR2 } from './helpers/r2.js';
+import { buildPdf } from './helpers/pdf.js';
+import { quietly } from './helpers/quietly.js';
+
+// The report as printed today; the AI reads Glucose from the previous-result column
+const original = buildPdf([[
+  ['Report date: 2024-07-22', '', '', '', ''],
+  ['Test', 'Result', 'Previous', 'Units', 'Reference Range'],
+  ['Glucose', '126', '118', 'mg/dL', '70-99'],
+  ['ALT', '30', '28', 'U/L', '7-55'],
+  ['Sodium', '140', '139', 'mmol/L', '135-145'],
+  ['Potassium', '4.2', '4.0', 'mmol/L', '3.5-5.1']
+]], [50, 220, 280, 350, 430]);
+
+const AI = {
+  run: async () => ({
+    response: JSON.stringify({
+      healthParameters: [
+        { parameter: 'Glucose', value: '118', unit: 'mg/dL', referenceRange: '70-99' },
+        { parameter: 'ALT', value: '30', unit: 'U/L', referenceRange: '7-55' },
+        { parameter: 'Sodium', value: '140', unit: 'mmol/L', referenceRange: '135-145' },
+        { parameter: 'Potassium', value: '4.2', unit: 'mmol/L', referenceRange: '3.5-5.1' }
+      ]
+    })
+  })
+};
+
+// A document stored by an older extractor, with ALT corrected by hand since
+async function createEnv() {
+  const env = { DB: await createMigratedD1(), DOCUMENTS: createTestR2(), AI: AI };
+  const session = await insertSession(env.DB);
+  const call = body => quietly(async () => {
+    const request = new Request('http://localhost/api/documents', {
+      method: 'POST',
+      body: body instanceof FormData ? body : JSON.stringify(body)
+    });
+    const response = await onRequestPost({ request, env, data: { session } });
+    return { status: response.status, ...(await response.json()) };
+  });
+
+  const parameter = (name, value, unit) => ({ parameter: name, value: value, unit: unit, date: '2024-07-22' });
+  const stored = await call({
+    action: 'store',
+    fileName: 'report.pdf',
+    extractedData: {
+      testDate: '2024-07-22',
+      healthParameters: [
+        parameter('Glucose', '120', 'mg/dL'),
+        parameter('ALT', '25', 'U/L'),
+        parameter('Sodium', '135', 'mmol/L'),
+        parameter('Calcium', '9.5', 'mg/dL')
+      ]
+    }
+  });
+  const documentId = stored.documentId;
+
+  const key = `${session.session_token}/${documentId}`;
+  await env.DOCUMENTS.put(key, new Uint8Array([1, 2, 3]).buffer, { customMetadata: { iv: 'AAAAAAAAAAAAAAAA' } });
+  await env.DB.prepare('UPDATE documents SET original_key = ?, original_sha256 = ? WHERE document_id = ?')
+    .bind(key, createHash('sha256').update(original).digest('hex'), documentId).run();
+
+  const alt = await env.DB.prepare("SELECT parameter_id FROM health_parameters WHERE parameter_name = 'ALT'").first();
+  assert.equal((await call({ action: 'updateParameter', parameterId: alt.parameter_id, value: '31' })).success, true);
+
+  const reextract = options => {
+    const form = new FormData();
+    form.append('action', 'reextract');
+    form.append('documentId', documentId);
+    form.append(`original:${documentId}`, new File([original], 'report.pdf', { type: 'application/pdf' }));
+    Object.entries(options).forEach(([name, value]) => form.append(name, String(value)));
+    return call(form);
+  };
+  const values = async () => Object.fromEntries((await env.DB.prepare('SELECT parameter_name, parameter_value FROM health_parameters').all())
+    .results.map(row => [row.parameter_name, row.parameter_value]));
+
+  return { call, reextract, values };
+}
+
+test('a re-extraction keeps manual edits and reports conflicts, and only removes results with prune', async () => {
+  const { reextract, values } = await createEnv();
+
+  const preview = await reextract({ dryRun: true });
+  assert.equal(preview.success, true);
+  const [result] = preview.documents;
+  assert.equal(result.applied, false);
+  assert.deepEqual(
+    [result.summary.added, result.summary.changed, result.summary.removed, result.summary.conflicts, result.summary.manual],
+    [1, 1, 1, 1, 1]
+  );
+  assert.deepEqual(result.changes.conflicts[0].candidates.map(candidate => candidate.value).sort(), ['118', '126']);
+  assert.deepEqual(result.changes.manual.map(change => [change.parameter, change.value, change.stored]), [['ALT', '30', '31']]);
+
+  // Without prune, Calcium (no longer on the report) stays; the conflicting Glucose is not touched
+  const applied = await reextract({});
+  assert.equal(applied.documents[0].applied, true);
+  assert.deepEqual(await values(), { Glucose: '120', ALT: '31', Sodium: '140', Calcium: '9.5', Potassium: '4.2' });
+
+  const pruned = await reextract({ prune: true });
+  assert.equal(pruned.documents[0].summary.removed, 1);
+  assert.deepEqual(await values(), { Glucose: '120', ALT: '31', Sodium: '140', Potassium: '4.2' });
+});
+
+test('a re-extraction request without the decrypted originals is refused up front', async () => {
+  const { call } = await createEnv();
+
+  const response = await call({ action: 'reextract', documentIds: ['doc_one'] });
+  assert.equal(response.status, 400);
+  assert.match(response.error, /Decrypted originals required/);
+
+  assert.equal((await call({ action: 'reextract', documentIds: [{}], originals: {} })).status, 400);
+});
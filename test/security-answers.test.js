@@ -0,0 +1,72 @@
+// Security answers - PBKDF2 with a secret pepper, legacy SHA-256 rows still verify and
+// are upgraded on the next successful login.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { hashSecurityAnswer, verifySecurityAnswer, needsRehash, getIterations } from '../functions/_lib/security-answers.js';
+import { onRequestPost } from '../functions/api/session.js';
+import { createMigratedD1, insertSession } from './helpers/d1.js';
+import { quietly } from './helpers/quietly.js';
+
+const env = { SECURITY_ANSWER_PEPPER: 'test-pepper', SECURITY_ANSWER_ITERATIONS: '10000' };
+
+const legacyHash = (answer, salt) => createHash('sha256').update(answer + salt + 'healthai_salt_2024').digest('hex');
+
+test('hashes are salted PBKDF2 and need the pepper to verify', async () => {
+  const first = await hashSecurityAnswer('fluffy', env);
+  const second = await hashSecurityAnswer('fluffy', env);
+
+  assert.match(first, /^pbkdf2-sha256\$10000\$[A-Za-z0-9+/=]{24}\$[A-Za-z0-9+/=]{44}$/);
+  assert.notEqual(first, second);
+  assert.equal(await verifySecurityAnswer('fluffy', first, 'unused', env), true);
+  assert.equal(await verifySecurityAnswer('fluff', first, 'unused', env), false);
+  assert.equal(await verifySecurityAnswer('fluffy', first, 'unused', { ...env, SECURITY_ANSWER_PEPPER: 'other' }), false);
+  await assert.rejects(() => hashSecurityAnswer('fluffy', {}), /SECURITY_ANSWER_PEPPER is not configured/);
+});
+
+test('iteration count is configurable within what Workers allow, and lower counts are rehashed', async () => {
+  assert.equal(getIterations({}), 100000);
+  assert.equal(getIterations({ SECURITY_ANSWER_ITERATIONS: '500000' }), 100000);
+  assert.equal(getIterations({ SECURITY_ANSWER_ITERATIONS: '10' }), 10000);
+
+  const hash = await hashSecurityAnswer('fluffy', env);
+  assert.equal(needsRehash(hash, env), false);
+  assert.equal(needsRehash(hash, { ...env, SECURITY_ANSWER_ITERATIONS: '20000' }), true);
+  assert.equal(needsRehash(legacyHash('fluffy', 'salt'), env), true);
+  assert.equal(await verifySecurityAnswer('fluffy', 'pbkdf2-sha256$10000$!!$??', 'salt', env), false);
+});
+
+test('a login with legacy SHA-256 hashes succeeds and upgrades them', async () => {
+  const session = {
+    session_token: 'anon_test',
+    user_salt: 'saltsaltsaltsalt',
+    answer_hash_1: legacyHash('fluffy', 'saltsaltsaltsalt'),
+    answer_hash_2: legacyHash('paris', 'saltsaltsaltsalt'),
+    answer_hash_3: legacyHash('blue', 'saltsaltsaltsalt'),
+    expires_at: '2099-01-01T00:00:00.000Z'
+  };
+  const DB = await createMigratedD1();
+  await insertSession(DB, session);
+  const stored = () => DB.prepare('SELECT * FROM anonymous_sessions WHERE session_token = ?').bind(session.session_token).first();
+
+  const verify = answers => quietly(async () => {
+    const request = new Request('http://localhost/api/session', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'verify', userEmailHash: 'hash', securityAnswers: answers })
+    });
+    return await (await onRequestPost({ request, env: { ...env, DB, ACCESS_TOKEN_SECRET: 'a'.repeat(32) } })).json();
+  });
+
+  assert.equal((await verify(['Fluffy', 'Paris', 'green'])).success, false);
+  assert.equal((await stored()).answer_hash_2, session.answer_hash_2);
+
+  const login = await verify([' Fluffy', 'PARIS', 'blue']);
+  assert.equal(login.success, true);
+  assert.match(login.refreshToken, /^rt_/);
+  assert.equal(login.sessionToken, undefined);
+  assert.equal(await DB.prepare('SELECT COUNT(*) AS count FROM login_throttles').first('count'), 0, 'a successful login clears the failure count');
+  const rehashed = await stored();
+  assert.match(rehashed.answer_hash_2, /^pbkdf2-sha256\$/, 'legacy hashes were not upgraded');
+  assert.equal(await verifySecurityAnswer('paris', rehashed.answer_hash_2, session.user_salt, env), true);
+});
@@ -0,0 +1,101 @@
+// Access and refresh tokens - signed access tokens, single-use refresh tokens, reuse
+// detection and revocation.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  signAccessToken, verifyAccessToken, issueTokens, rotateRefreshToken, revokeRefreshTokenFamily, revokeAllRefreshTokens,
+  ACCESS_TOKEN_TTL_SECONDS
+} from '../functions/_lib/tokens.js';
+import { createMigratedD1, insertSession } from './helpers/d1.js';
+import { quietly } from './helpers/quietly.js';
+
+const SECRET = 'k'.repeat(32);
+const SESSION = { session_token: 'anon_user', expires_at: '2099-01-01T00:00:00.000Z' };
+
+async function createTokenEnv() {
+  const DB = await createMigratedD1();
+  await insertSession(DB, SESSION);
+  return { DB, ACCESS_TOKEN_SECRET: SECRET };
+}
+
+const refreshRows = env => env.DB.sqlite.prepare('SELECT * FROM refresh_tokens').all();
+
+test('access tokens verify with the secret only and reject tampering, other algorithms and expiry', async () => {
+  const env = { ACCESS_TOKEN_SECRET: SECRET };
+  const now = new Date('2026-01-01T00:00:00Z');
+  const { token, expiresAt } = await signAccessToken({ sub: 'anon_user', fam: 'fam_one' }, env, now);
+
+  assert.equal(expiresAt, new Date(now.getTime() + ACCESS_TOKEN_TTL_SECONDS * 1000).toISOString());
+  const claims = await verifyAccessToken(token, env, now);
+  assert.deepEqual([claims.sub, claims.fam], ['anon_user', 'fam_one']);
+
+  const [header, payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...claims, sub: 'anon_other' })).toString('base64url');
+  const unsigned = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+
+  await assert.rejects(() => verifyAccessToken(`${header}.${forged}.${signature}`, env, now), { code: 'INVALID_ACCESS_TOKEN' });
+  await assert.rejects(() => verifyAccessToken(`${unsigned}.${payload}.`, env, now), { code: 'INVALID_ACCESS_TOKEN' });
+  await assert.rejects(() => verifyAccessToken(token, { ACCESS_TOKEN_SECRET: 'x'.repeat(32) }, now), { code: 'INVALID_ACCESS_TOKEN' });
+  await assert.rejects(() => verifyAccessToken('anon_user', env, now), { code: 'INVALID_ACCESS_TOKEN' });
+  await assert.rejects(
+    () => verifyAccessToken(token, env, new Date(now.getTime() + ACCESS_TOKEN_TTL_SECONDS * 1000)),
+    { code: 'ACCESS_TOKEN_EXPIRED', status: 401 }
+  );
+  await assert.rejects(() => signAccessToken({ sub: 'anon_user' }, { ACCESS_TOKEN_SECRET: 'short' }), { code: 'AUTH_UNAVAILABLE', status: 500 });
+});
+
+test('refresh tokens rotate, are stored hashed and a reused one revokes its family', async () => {
+  const env = await createTokenEnv();
+  const login = await issueTokens(env, SESSION, 'device-1');
+
+  assert.match(login.refreshToken, /^rt_[A-Za-z0-9]{43}$/);
+  assert.ok(refreshRows(env).every(row => row.token_hash !== login.refreshToken && /^[0-9a-f]{64}$/.test(row.token_hash)));
+
+  const rotated = await rotateRefreshToken(env, login.refreshToken);
+  assert.notEqual(rotated.refreshToken, login.refreshToken);
+  assert.equal((await verifyAccessToken(rotated.accessToken, env)).sub, 'anon_user');
+
+  // The old token comes back - someone has a copy. The whole login is revoked.
+  await quietly(() => assert.rejects(() => rotateRefreshToken(env, login.refreshToken), { code: 'REFRESH_TOKEN_REUSED' }));
+  await assert.rejects(() => rotateRefreshToken(env, rotated.refreshToken), { code: 'REFRESH_TOKEN_REVOKED' });
+  assert.ok(refreshRows(env).every(row => row.revoked_reason === 'reuse_detected'));
+
+  await assert.rejects(() => rotateRefreshToken(env, 'rt_unknown'), { code: 'INVALID_REFRESH_TOKEN' });
+});
+
+test('two refreshes racing with the same token do not both succeed', async () => {
+  const env = await createTokenEnv();
+  const login = await issueTokens(env, SESSION, 'device-1');
+
+  const results = await quietly(() => Promise.allSettled([
+    rotateRefreshToken(env, login.refreshToken),
+    rotateRefreshToken(env, login.refreshToken)
+  ]));
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, 'REFRESH_TOKEN_REUSED');
+  assert.ok(refreshRows(env).every(row => row.revoked_at), 'the winning successor must be revoked too');
+});
+
+test('logout ends one login, revoke ends all of them, and tokens never outlive the session', async () => {
+  const env = await createTokenEnv();
+  const phone = await issueTokens(env, SESSION, 'phone');
+  const laptop = await issueTokens(env, SESSION, 'laptop');
+
+  assert.equal(await revokeRefreshTokenFamily(env, phone.refreshToken), 1);
+  await assert.rejects(() => rotateRefreshToken(env, phone.refreshToken), { code: 'REFRESH_TOKEN_REVOKED' });
+  // Only the phone's login ends: the laptop's access token keeps working and it can still refresh
+  assert.equal((await verifyAccessToken(laptop.accessToken, env)).sub, 'anon_user');
+  const stillIn = await rotateRefreshToken(env, laptop.refreshToken);
+
+  const tablet = await issueTokens(env, SESSION, 'tablet');
+  // The laptop's rotated token, its successor and the tablet's token
+  assert.equal(await revokeAllRefreshTokens(env, tablet.refreshToken), 3);
+  await assert.rejects(() => rotateRefreshToken(env, stillIn.refreshToken), { code: 'REFRESH_TOKEN_REVOKED' });
+  await assert.rejects(() => revokeAllRefreshTokens(env, tablet.refreshToken), { code: 'INVALID_REFRESH_TOKEN' });
+
+  const shortSession = { session_token: 'anon_user', expires_at: new Date(Date.now() + 60 * 1000).toISOString() };
+  const short = await issueTokens(env, shortSession, 'phone');
+  assert.equal(short.refreshTokenExpiresAt, shortSession.expires_at);
+});